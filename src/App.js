@@ -1,17 +1,42 @@
 // import logo from './logo.svg';
 import './App.css';
-import AudiomotionAnalyzer from './components/AudiomotionAnalyzer.js';
-// import Analyzer from 'audiomotion-analyzer';
-import Analyzer from './components/Analyzer.js'
+import { BrowserRouter, Route, Switch } from 'react-router-dom';
+import Login from './components/Login.js';
+import Navbar from './components/Navbar.js';
+import ProtectedRoute from './components/ProtectedRoute.js';
+import Signup from './components/Signup.js';
+import SpotifyCallback from './components/SpotifyCallback.js';
+import Visualizer from './components/Visualizer.js';
+import { AuthProvider } from './auth/AuthContext.js';
+import { SpotifyAuthProvider } from './spotify/SpotifyAuthContext.js';
 
 function App() {
   return (
-    <div className="App">
-      <header className="App-header">
-      </header>
-      <AudiomotionAnalyzer />
-    </div>
-
+    <AuthProvider>
+      <SpotifyAuthProvider>
+        <BrowserRouter>
+          <div className="App">
+            <header className="App-header">
+              <Navbar />
+            </header>
+            <Switch>
+              <Route path="/login">
+                <Login />
+              </Route>
+              <Route path="/signup">
+                <Signup />
+              </Route>
+              <Route path="/callback">
+                <SpotifyCallback />
+              </Route>
+              <ProtectedRoute path="/">
+                <Visualizer />
+              </ProtectedRoute>
+            </Switch>
+          </div>
+        </BrowserRouter>
+      </SpotifyAuthProvider>
+    </AuthProvider>
   );
 }
 
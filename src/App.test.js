@@ -1,8 +1,28 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen } from '@testing-library/react';
 import App from './App';
+import { installFakeAudioContext } from './testUtils/fakeAudioContext';
+import { validJwt } from './testUtils/jwt';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+installFakeAudioContext();
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.pushState({}, '', '/');
+});
+
+test('sends anonymous users to the login page', () => {
+  const { container } = render(<App />);
+
+  expect(screen.getByRole('heading', { name: 'Log in' })).toBeInTheDocument();
+  expect(container.querySelector('canvas')).toBeNull();
+  expect(window.location.pathname).toBe('/login');
+});
+
+test('renders the visualizer for logged in users', async () => {
+  localStorage.setItem('jwtToken', validJwt());
+  const { container } = render(<App />);
+  await act(() => Promise.resolve()); // input source picker lists the microphones
+
+  expect(screen.getByText('Ada')).toBeInTheDocument();
+  expect(container.querySelector('.App canvas')).toBeInTheDocument();
 });
@@ -0,0 +1,36 @@
+/**
+ * Bar ballistics - how fast each bar rises and falls towards the current level, based on elapsed time so the
+ * animation is the same at any frame rate or FFT size
+ *
+ * Attack and release times are the time to cover 99% of a change in level (the bars approach it exponentially).
+ */
+
+// settings for setOptions() that approximate common meter types; the meters turn off the analyzer's own
+// smoothing, which would otherwise add its frame rate dependent lag on top of theirs
+export const BALLISTICS = {
+  none: { attackTime: 0, releaseTime: 0, smoothing: 0.5 },   // follow the analyzer data directly (default smoothing)
+  vu: { attackTime: 300, releaseTime: 300, smoothing: 0 },   // VU meter - slow and symmetric
+  ppm: { attackTime: 10, releaseTime: 1500, smoothing: 0 },  // peak programme meter - fast rise, slow fall
+};
+
+// fraction of a change left after the attack or release time
+const SETTLE = 0.01;
+
+/**
+ * Move a bar towards its target level
+ *
+ * @param {number} current level on the previous frame
+ * @param {number} target level read from the analyzer data
+ * @param {number} elapsed time since the previous frame, in ms
+ * @param {number} attackTime time to rise, in ms (0 for instant)
+ * @param {number} releaseTime time to fall, in ms (0 for instant)
+ * @returns {number} new level
+ */
+export function applyBallistics(current, target, elapsed, attackTime, releaseTime) {
+  if (!(elapsed >= 0)) return target; // first frame, or the clock went back
+
+  const time = target > current ? attackTime : releaseTime;
+  if (!time) return target;
+
+  return current + (target - current) * (1 - SETTLE ** (elapsed / time));
+}
@@ -0,0 +1,26 @@
+import { BALLISTICS, applyBallistics } from './ballistics';
+
+test('covers 99% of a change in the attack or release time', () => {
+  expect(applyBallistics(0, 1, 300, 300, 1500)).toBeCloseTo(0.99);
+  expect(applyBallistics(1, 0, 1500, 300, 1500)).toBeCloseTo(0.01);
+  expect(applyBallistics(1, 0, 300, 300, 1500)).toBeCloseTo(0.398, 3); // release is slower
+});
+
+test('gives the same result at any frame rate', () => {
+  const { attackTime, releaseTime } = BALLISTICS.vu;
+  let slow = 0;
+  let fast = 0;
+
+  for (let frame = 0; frame < 6; frame++) slow = applyBallistics(slow, 1, 1000 / 30, attackTime, releaseTime);
+  for (let frame = 0; frame < 24; frame++) fast = applyBallistics(fast, 1, 1000 / 120, attackTime, releaseTime);
+
+  expect(slow).toBeCloseTo(fast, 10);
+});
+
+test('jumps to the target when the time is zero or unknown', () => {
+  expect(applyBallistics(0, 0.8, 16, 0, 300)).toBe(0.8);
+  expect(applyBallistics(0.8, 0.2, 16, 300, 0)).toBe(0.2);
+  expect(applyBallistics(0, 0.8, NaN, 300, 300)).toBe(0.8);
+  expect(applyBallistics(0, 0.8, -16, 300, 300)).toBe(0.8);
+  expect(applyBallistics(0.5, 0.8, 0, 300, 300)).toBe(0.5);
+});
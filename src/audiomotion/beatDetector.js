@@ -0,0 +1,123 @@
+/**
+ * Beat and onset detection
+ *
+ * Onsets are found per frequency band with spectral flux (the sum of increases in each bin's value since the
+ * previous frame) compared against an adaptive threshold - the mean plus `sensitivity` standard deviations of
+ * the flux over the last `window` milliseconds. Onsets in the `beatBand` that are at least `minBeatInterval`
+ * apart count as beats, and the intervals between beats give a running tempo estimate.
+ */
+
+// flux below this value is never an onset, so noise doesn't trigger events during near silence
+const MIN_FLUX = 0.005;
+
+// beats further apart than this (ms) don't contribute to the tempo estimate
+const MAX_BEAT_INTERVAL = 2000;
+
+// number of beat intervals used for the tempo estimate
+const TEMPO_HISTORY = 16;
+
+export class BeatDetector {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.bands] band names, see getEnergy() presets
+   * @param {string} [options.beatBand] band whose onsets are beats
+   * @param {number} [options.sensitivity] threshold, in standard deviations above the mean flux - lower detects more
+   * @param {number} [options.window] length of the flux history used for the threshold, in ms
+   * @param {number} [options.minInterval] minimum time between onsets in the same band, in ms
+   * @param {number} [options.minBeatInterval] minimum time between beats, in ms (250ms = 240 BPM)
+   */
+  constructor({
+    bands = ['bass', 'mid', 'treble'],
+    beatBand = 'bass',
+    sensitivity = 1.5,
+    window = 1000,
+    minInterval = 100,
+    minBeatInterval = 250,
+  } = {}) {
+    this.bands = bands;
+    this.beatBand = beatBand;
+    this.sensitivity = sensitivity;
+    this.window = window;
+    this.minInterval = minInterval;
+    this.minBeatInterval = minBeatInterval;
+    this.reset();
+  }
+
+  /**
+   * Running tempo estimate, in beats per minute (0 until enough beats are detected)
+   */
+  get bpm() {
+    const intervals = this._intervals;
+    if (intervals.length < 2) return 0;
+
+    const sorted = [...intervals].sort((a, b) => a - b);
+    let bpm = 60000 / sorted[sorted.length >> 1];
+
+    // fold into a common tempo range, as onsets may fall on half or double time
+    while (bpm < 60) bpm *= 2;
+    while (bpm > 180) bpm /= 2;
+
+    return Math.round(bpm * 10) / 10;
+  }
+
+  /**
+   * Forget all history
+   */
+  reset() {
+    this._bandState = {};
+    this._intervals = [];
+    this._lastBeat = -Infinity;
+  }
+
+  /**
+   * Analyze a new frame
+   *
+   * @param {number} timestamp frame time, in ms
+   * @param {object} spectra for each band, an array with the normalized value (0 to 1) of each FFT bin in it
+   * @returns {object} { onsets: [ { band, strength, timestamp } ], beat: { band, strength, timestamp, bpm } or null }
+   *                   `strength` is the ratio of the flux to the threshold (> 1)
+   */
+  process(timestamp, spectra) {
+    const onsets = [];
+    let beat = null;
+
+    for (const band of this.bands) {
+      const values = spectra[band];
+      if (!values || !values.length) continue;
+
+      const state = this._bandState[band] || (this._bandState[band] = { prev: null, history: [], lastOnset: -Infinity });
+
+      // spectral flux, averaged per bin so bands of different widths are comparable
+      let flux = 0;
+      if (state.prev && state.prev.length === values.length) {
+        for (let i = 0; i < values.length; i++) flux += Math.max(0, values[i] - state.prev[i]);
+        flux /= values.length;
+        state.prev.set(values);
+      } else state.prev = Float32Array.from(values); // callers may reuse their arrays
+
+      // adaptive threshold from the recent flux history (not including the current frame)
+      const history = state.history.filter(entry => timestamp - entry.time <= this.window);
+      const mean = history.reduce((sum, entry) => sum + entry.flux, 0) / (history.length || 1);
+      const variance = history.reduce((sum, entry) => sum + (entry.flux - mean) ** 2, 0) / (history.length || 1);
+      const threshold = Math.max(MIN_FLUX, mean + this.sensitivity * Math.sqrt(variance));
+
+      history.push({ time: timestamp, flux });
+      state.history = history;
+
+      if (flux <= threshold || timestamp - state.lastOnset < this.minInterval) continue;
+
+      state.lastOnset = timestamp;
+      const onset = { band, strength: flux / threshold, timestamp };
+      onsets.push(onset);
+
+      if (band === this.beatBand && timestamp - this._lastBeat >= this.minBeatInterval) {
+        const interval = timestamp - this._lastBeat;
+        if (interval <= MAX_BEAT_INTERVAL) this._intervals = [...this._intervals, interval].slice(-TEMPO_HISTORY);
+        this._lastBeat = timestamp;
+        beat = { ...onset, bpm: this.bpm };
+      }
+    }
+
+    return { onsets, beat };
+  }
+}
@@ -0,0 +1,58 @@
+import { BeatDetector } from './beatDetector';
+
+const FRAME = 1000 / 60;
+
+// run `duration` ms of frames, with a burst of energy in the given bands every `period` ms
+function run(detector, { period, duration, bands = ['bass'], quiet = 0.1 }) {
+  const beats = [];
+  const onsets = [];
+
+  for (let time = 0; time < duration; time += FRAME) {
+    const pulse = time % period < FRAME;
+    const spectra = {};
+    for (const band of ['bass', 'mid', 'treble'])
+      spectra[band] = new Float32Array(16).fill(pulse && bands.includes(band) ? 0.9 : quiet);
+
+    const result = detector.process(time, spectra);
+    onsets.push(...result.onsets);
+    if (result.beat) beats.push(result.beat);
+  }
+
+  return { beats, onsets };
+}
+
+test('detects beats and estimates the tempo', () => {
+  const detector = new BeatDetector();
+  const { beats } = run(detector, { period: 500, duration: 8000 });
+
+  expect(beats.length).toBeGreaterThanOrEqual(15);
+  expect(beats[beats.length - 1].strength).toBeGreaterThan(1);
+  expect(detector.bpm).toBeCloseTo(120, 0);
+  expect(beats[beats.length - 1].bpm).toBe(detector.bpm);
+});
+
+test('reports onsets per band', () => {
+  const { beats, onsets } = run(new BeatDetector(), { period: 400, duration: 2000, bands: ['treble'] });
+
+  expect(beats).toHaveLength(0);
+  expect(onsets.length).toBeGreaterThanOrEqual(4);
+  expect(onsets.every(onset => onset.band === 'treble')).toBe(true);
+});
+
+test('ignores steady signals and noise near silence', () => {
+  const detector = new BeatDetector();
+  const { onsets } = run(detector, { period: Infinity, duration: 2000, quiet: 0.5 });
+
+  expect(onsets).toHaveLength(0);
+  expect(detector.bpm).toBe(0);
+});
+
+test('folds the tempo estimate into a common range', () => {
+  const detector = new BeatDetector({ minBeatInterval: 100 });
+  run(detector, { period: 250, duration: 6000 }); // 240 BPM
+
+  expect(detector.bpm).toBeCloseTo(120, 0);
+
+  detector.reset();
+  expect(detector.bpm).toBe(0);
+});
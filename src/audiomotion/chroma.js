@@ -0,0 +1,97 @@
+/**
+ * Pitch analysis helpers - note names, chromagram and key estimation
+ *
+ * Notes follow the equal-tempered scale tuned to A4 = 440 Hz, the same one the analyzer's octave bands are built from.
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles, starting at the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Find the nearest note to a frequency
+ *
+ * @param {number} freq frequency in Hz
+ * @returns {object} { name, pitchClass, octave, cents, noteFreq } - `name` includes the octave (e.g. 'A4'),
+ *                   `cents` is the deviation from the note (-50 to 50) and `noteFreq` the note's exact frequency
+ */
+export function freqToNote(freq) {
+  const midi = 69 + 12 * Math.log2(freq / 440);
+  const nearest = Math.round(midi);
+  const pitchClass = ((nearest % 12) + 12) % 12;
+  const octave = Math.floor(nearest / 12) - 1;
+
+  return {
+    name: `${NOTE_NAMES[pitchClass]}${octave}`,
+    pitchClass,
+    octave,
+    cents: Math.round((midi - nearest) * 100),
+    noteFreq: 440 * 2 ** ((nearest - 69) / 12),
+  };
+}
+
+/**
+ * Sum the spectrum into the 12 pitch classes
+ *
+ * @param {ArrayLike<number>} values normalized value (0 to 1) of each FFT bin
+ * @param {function} binToFreq returns the frequency of a bin
+ * @param {object} [options]
+ * @param {number} [options.minFreq] ignore lower frequencies - where FFT bins are wider than a semitone
+ * @param {number} [options.maxFreq] ignore higher frequencies - mostly harmonics
+ * @returns {Float32Array} energy of each pitch class (C to B), scaled so the strongest is 1 (all zeros if silent)
+ */
+export function computeChroma(values, binToFreq, { minFreq = 100, maxFreq = 5000 } = {}) {
+  const chroma = new Float32Array(12);
+
+  for (let i = 1; i < values.length; i++) {
+    const freq = binToFreq(i);
+    if (freq < minFreq) continue;
+    if (freq > maxFreq) break;
+    if (values[i] > 0) chroma[freqToNote(freq).pitchClass] += values[i];
+  }
+
+  const max = Math.max(...chroma);
+  if (max > 0) {
+    for (let i = 0; i < 12; i++) chroma[i] /= max;
+  }
+
+  return chroma;
+}
+
+function correlation(a, b) {
+  const mean = arr => arr.reduce((sum, v) => sum + v, 0) / arr.length;
+  const ma = mean(a);
+  const mb = mean(b);
+  let num = 0;
+  let da = 0;
+  let db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
+
+/**
+ * Estimate the musical key of a chromagram (Krumhansl-Schmuckler algorithm)
+ *
+ * @param {ArrayLike<number>} chroma energy of each pitch class, C to B
+ * @returns {object|null} { tonic, mode, name, score } e.g. { tonic: 'A', mode: 'minor', name: 'A minor', score: 0.83 },
+ *                        or null if the chromagram is flat (e.g. silence)
+ */
+export function estimateKey(chroma) {
+  let best = null;
+
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = Array.from({ length: 12 }, (_, i) => chroma[(tonic + i) % 12]);
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const score = correlation(rotated, profile);
+      if (!best || score > best.score) best = { tonic: NOTE_NAMES[tonic], mode, name: `${NOTE_NAMES[tonic]} ${mode}`, score };
+    }
+  }
+
+  return best && best.score > 0 ? best : null;
+}
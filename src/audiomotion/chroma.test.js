@@ -0,0 +1,38 @@
+import { computeChroma, estimateKey, freqToNote } from './chroma';
+
+test('names the nearest note and its deviation', () => {
+  expect(freqToNote(440)).toEqual({ name: 'A4', pitchClass: 9, octave: 4, cents: 0, noteFreq: 440 });
+  expect(freqToNote(261.63)).toEqual(expect.objectContaining({ name: 'C4', cents: 0 }));
+  expect(freqToNote(445)).toEqual(expect.objectContaining({ name: 'A4', cents: 20 }));
+  expect(freqToNote(16.35).name).toBe('C0');
+  expect(freqToNote(30.87).name).toBe('B0');
+});
+
+// spectrum with peaks at the given notes (in Hz), on 1 Hz bins
+function spectrum(freqs) {
+  const values = new Float32Array(5000);
+  for (const freq of freqs) values[Math.round(freq)] = 1;
+  return values;
+}
+
+test('sums the spectrum into pitch classes', () => {
+  // C major triad over two octaves
+  const chroma = computeChroma(spectrum([261.63, 329.63, 392, 523.25, 659.26]), bin => bin);
+
+  expect(chroma[0]).toBe(1); // C
+  expect(chroma[4]).toBe(1); // E
+  expect(chroma[7]).toBe(0.5); // G
+  expect(chroma[1]).toBe(0);
+
+  // out of range frequencies are ignored
+  expect(Array.from(computeChroma(spectrum([50]), bin => bin))).toEqual(new Array(12).fill(0));
+});
+
+test('estimates the key from a chromagram', () => {
+  const scale = notes => Array.from({ length: 12 }, (_, i) => (notes.includes(i) ? 1 : 0.1));
+
+  expect(estimateKey(scale([0, 2, 4, 5, 7, 9, 11]))).toEqual(expect.objectContaining({ name: 'C major' }));
+  // A harmonic minor
+  expect(estimateKey(scale([9, 11, 0, 2, 4, 5, 8]))).toEqual(expect.objectContaining({ tonic: 'A', mode: 'minor' }));
+  expect(estimateKey(new Float32Array(12))).toBeNull();
+});
@@ -0,0 +1,135 @@
+/**
+ * Spectrum data providers
+ *
+ * The analyzer reads its frequency data through a provider, once per channel on every frame:
+ *
+ *   provider.getByteFrequencyData( channel, array, params )
+ *
+ * `array` is a Uint8Array with one element per FFT bin (fftSize / 2) and must be filled with values
+ * from 0 to 255, scaled between `params.minDecibels` and `params.maxDecibels` like
+ * AnalyserNode.getByteFrequencyData() does. `params` also carries `sampleRate` and `fftSize`.
+ * In mono mode only channel 0 is requested.
+ *
+ * When the analyzer's `useFloatData` option is on, it reads decibel values instead, through
+ *
+ *   provider.getFloatFrequencyData( channel, array, params )
+ *
+ * with `array` as a Float32Array. This method is optional - see readFloatFrequencyData() for the fallback.
+ *
+ * The oscilloscope and goniometer modes read waveform samples (-1 to 1) through the optional
+ *
+ *   provider.getFloatTimeDomainData( channel, array, params )
+ *
+ * with `array` as a Float32Array of `params.fftSize` elements. Providers without it display silence.
+ */
+
+// byte buffers for the conversion in readFloatFrequencyData(), kept per provider as it runs on every frame
+const scratchBuffers = new WeakMap();
+
+/**
+ * Read decibel values from a provider; if it only supplies byte data, convert it to dB
+ * within the `params.minDecibels` / `params.maxDecibels` range (zero becomes -Infinity)
+ */
+export function readFloatFrequencyData(provider, channel, array, params) {
+  if (provider.getFloatFrequencyData) {
+    provider.getFloatFrequencyData(channel, array, params);
+    return;
+  }
+
+  let bytes = scratchBuffers.get(provider);
+  if (!bytes || bytes.length !== array.length) {
+    bytes = new Uint8Array(array.length);
+    scratchBuffers.set(provider, bytes);
+  }
+  const { minDecibels, maxDecibels } = params;
+  provider.getByteFrequencyData(channel, bytes, params);
+
+  for (let i = 0; i < bytes.length; i++)
+    array[i] = bytes[i] ? minDecibels + (bytes[i] * (maxDecibels - minDecibels)) / 255 : -Infinity;
+}
+
+/**
+ * Read waveform samples from a provider, or silence if it only supplies frequency data
+ */
+export function readTimeDomainData(provider, channel, array, params) {
+  if (provider.getFloatTimeDomainData) provider.getFloatTimeDomainData(channel, array, params);
+  else array.fill(0);
+}
+
+/**
+ * Default provider - reads data from the analyzer's AnalyserNodes
+ */
+export class AnalyserNodeProvider {
+  /**
+   * @param {AnalyserNode[]} nodes one analyser node per channel
+   */
+  constructor(nodes) {
+    this.nodes = nodes;
+  }
+
+  getByteFrequencyData(channel, array) {
+    this.nodes[channel].getByteFrequencyData(array);
+  }
+
+  getFloatFrequencyData(channel, array) {
+    this.nodes[channel].getFloatFrequencyData(array);
+  }
+
+  getFloatTimeDomainData(channel, array) {
+    this.nodes[channel].getFloatTimeDomainData(array);
+  }
+}
+
+/**
+ * Precomputed spectra, e.g. for tests or static renders
+ * Arrays shorter than the FFT data are padded with zeros; a single array is used for both channels.
+ */
+export class ArrayDataProvider {
+  /**
+   * @param {ArrayLike<number>|ArrayLike<number>[]} data byte data, or an array with byte data for each channel
+   */
+  constructor(data = []) {
+    this.data = data;
+  }
+
+  getByteFrequencyData(channel, array) {
+    const data = this.data;
+    const source = Array.isArray(data) && typeof data[0] === 'object' ? data[channel] || data[0] : data;
+
+    array.fill(0);
+    for (let i = 0; i < array.length && i < source.length; i++)
+      array[i] = source[i];
+  }
+}
+
+/**
+ * Replays a sequence of recorded frames, following a clock
+ */
+export class FrameSequenceProvider {
+  /**
+   * @param {object} recording { fps, frames } - each frame is an array of byte data per channel
+   * @param {function} getPosition returns the playback position in seconds
+   * @param {object} [options]
+   * @param {boolean} [options.loop] restart from the beginning when the recording ends
+   */
+  constructor({ fps, frames }, getPosition, { loop = false } = {}) {
+    this.fps = fps;
+    this.frames = frames;
+    this.loop = loop;
+    this._getPosition = getPosition;
+  }
+
+  getByteFrequencyData(channel, array) {
+    const count = this.frames.length;
+    let index = Math.floor(this._getPosition() * this.fps);
+
+    if (this.loop && count)
+      index = ((index % count) + count) % count;
+
+    const frame = this.frames[index];
+
+    array.fill(0);
+    if (frame)
+      array.set((frame[channel] || frame[0]).slice(0, array.length));
+  }
+}
@@ -0,0 +1,139 @@
+import {
+  AnalyserNodeProvider,
+  ArrayDataProvider,
+  FrameSequenceProvider,
+  readFloatFrequencyData,
+  readTimeDomainData,
+} from './dataProviders';
+import { AudioMotionAnalyzer } from '../components/AudiomotionAnalyzer';
+import { installFakeAudioContext } from '../testUtils/fakeAudioContext';
+
+installFakeAudioContext();
+
+// render a single frame with the given provider
+function drawWith(provider, options) {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, ...options });
+  analyzer.dataProvider = provider;
+  analyzer._draw(performance.now());
+  analyzer.toggleAnalyzer(false);
+  return analyzer;
+}
+
+test('reads from the analyser nodes by default', () => {
+  const node = { getByteFrequencyData: jest.fn(array => array.fill(7)) };
+  const array = new Uint8Array(4);
+
+  new AnalyserNodeProvider([node, node]).getByteFrequencyData(1, array);
+  expect(Array.from(array)).toEqual([7, 7, 7, 7]);
+
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  expect(analyzer.dataProvider).toBeInstanceOf(AnalyserNodeProvider);
+  analyzer.dataProvider = new ArrayDataProvider();
+  analyzer.dataProvider = null;
+  expect(analyzer.dataProvider).toBeInstanceOf(AnalyserNodeProvider);
+});
+
+test('pads precomputed arrays and picks per channel data', () => {
+  const array = new Uint8Array(4);
+  const provider = new ArrayDataProvider([[1, 2], [3]]);
+
+  provider.getByteFrequencyData(1, array);
+  expect(Array.from(array)).toEqual([3, 0, 0, 0]);
+
+  provider.data = [9, 8, 7, 6, 5];
+  provider.getByteFrequencyData(1, array);
+  expect(Array.from(array)).toEqual([9, 8, 7, 6]);
+});
+
+test('replays recorded frames following the clock', () => {
+  let position = 0;
+  const recording = { fps: 10, frames: [[[1]], [[2]], [[3]]] };
+  const provider = new FrameSequenceProvider(recording, () => position, { loop: true });
+  const array = new Uint8Array(1);
+
+  position = 0.15;
+  provider.getByteFrequencyData(0, array);
+  expect(array[0]).toBe(2);
+
+  position = 0.35; // wraps to the first frame
+  provider.getByteFrequencyData(1, array);
+  expect(array[0]).toBe(1);
+});
+
+test('computes energy from a full-scale spectrum', () => {
+  const analyzer = drawWith(new ArrayDataProvider(new Uint8Array(4096).fill(255)));
+
+  expect(analyzer.getEnergy()).toBe(1);
+  expect(analyzer.getEnergy('bass')).toBe(1);
+  expect(analyzer.getEnergy('treble')).toBe(1);
+});
+
+test('computes band energy from a known spectrum', () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  const data = new Uint8Array(4096);
+  data.fill(255, 0, analyzer._freqToBin(250) + 1);
+
+  analyzer.dataProvider = new ArrayDataProvider(data);
+  analyzer._draw(performance.now());
+  analyzer.toggleAnalyzer(false);
+
+  expect(analyzer.getEnergy('bass')).toBe(1);
+  expect(analyzer.getEnergy('mid')).toBe(0);
+  expect(analyzer.getEnergy(100)).toBe(1);
+  expect(analyzer.getEnergy()).toBeGreaterThan(0);
+  expect(analyzer.getEnergy()).toBeLessThan(0.5);
+});
+
+test('uses the highest bin in each octave band', () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, mode: 3 });
+  const bar = analyzer._bars.find(b => b.endIdx > b.dataIdx + 2);
+  const data = new Uint8Array(4096);
+  data[bar.dataIdx + 1] = 51;
+
+  expect(analyzer._barValue(bar, data)).toBe(0.2);
+});
+
+test('interpolates bars sharing the same bin', () => {
+  const data = new Uint8Array(8);
+  data[3] = 100;
+  data[4] = 200;
+
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  expect(analyzer._barValue({ dataIdx: 4, endIdx: 0, factor: 0.5 }, data)).toBeCloseTo(150 / 255);
+});
+
+test('converts byte data for float readers', () => {
+  const array = new Float32Array(3);
+  const params = { minDecibels: -100, maxDecibels: -30 };
+
+  readFloatFrequencyData(new ArrayDataProvider([0, 255, 51]), 0, array, params);
+  expect(Array.from(array)).toEqual([-Infinity, -30, -86]);
+
+  const node = { getFloatFrequencyData: jest.fn(a => a.fill(-42)) };
+  readFloatFrequencyData(new AnalyserNodeProvider([node]), 0, array, params);
+  expect(Array.from(array)).toEqual([-42, -42, -42]);
+});
+
+test('reuses the conversion buffer between frames', () => {
+  const provider = { getByteFrequencyData: jest.fn() };
+  const params = { minDecibels: -100, maxDecibels: -30 };
+
+  readFloatFrequencyData(provider, 0, new Float32Array(4), params);
+  readFloatFrequencyData(provider, 1, new Float32Array(4), params);
+  readFloatFrequencyData(provider, 0, new Float32Array(8), params);
+
+  const [first, second, resized] = provider.getByteFrequencyData.mock.calls.map(([, bytes]) => bytes);
+  expect(second).toBe(first);
+  expect(resized).toHaveLength(8);
+});
+
+test('reads waveform data, or silence from frequency-only providers', () => {
+  const array = new Float32Array(3).fill(1);
+
+  readTimeDomainData(new ArrayDataProvider([255, 255]), 0, array, {});
+  expect(Array.from(array)).toEqual([0, 0, 0]);
+
+  const node = { getFloatTimeDomainData: jest.fn(a => a.fill(0.25)) };
+  readTimeDomainData(new AnalyserNodeProvider([node, node]), 1, array, {});
+  expect(Array.from(array)).toEqual([0.25, 0.25, 0.25]);
+});
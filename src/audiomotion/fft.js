@@ -0,0 +1,173 @@
+/**
+ * Radix-2 FFT and an AnalyserNode-compatible spectrum analyzer, for use outside of the Web Audio API
+ */
+
+/**
+ * In-place complex FFT for a fixed power of 2 size
+ */
+export class FFT {
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0)
+      throw new RangeError(`FFT size must be a power of 2: ${size}`);
+
+    this.size = size;
+
+    // bit reversal permutation table
+    const bits = Math.log2(size);
+    this._reverse = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+      let rev = 0;
+      for (let b = 0; b < bits; b++)
+        rev |= ((i >> b) & 1) << (bits - 1 - b);
+      this._reverse[i] = rev;
+    }
+
+    // twiddle factors
+    this._cos = new Float64Array(size / 2);
+    this._sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this._cos[i] = Math.cos((2 * Math.PI * i) / size);
+      this._sin[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+  }
+
+  /**
+   * Forward transform
+   *
+   * @param {Float64Array} re real parts, replaced by the result
+   * @param {Float64Array} im imaginary parts, replaced by the result
+   */
+  forward(re, im) {
+    const size = this.size;
+    const reverse = this._reverse;
+
+    for (let i = 0; i < size; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let len = 2; len <= size; len <<= 1) {
+      const half = len >> 1;
+      const step = size / len;
+      for (let start = 0; start < size; start += len) {
+        for (let k = 0; k < half; k++) {
+          const wr = this._cos[k * step];
+          const wi = this._sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Spectrum analyzer following the AnalyserNode specification (Blackman window, smoothing over time,
+ * dB conversion and byte scaling), fed from a sample buffer instead of an audio graph
+ */
+export class SoftwareAnalyser {
+  constructor(context = null) {
+    this.context = context;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.smoothingTimeConstant = 0.8;
+    this.fftSize = 2048;
+    this._samples = new Float32Array(0);
+    this._position = 0;
+  }
+
+  get fftSize() {
+    return this._fftSize;
+  }
+  set fftSize(value) {
+    if (value < 32 || value > 32768 || (value & (value - 1)) !== 0)
+      throw new RangeError(`fftSize must be a power of 2 between 32 and 32768: ${value}`);
+
+    this._fftSize = value;
+    this._fft = new FFT(value);
+    this._re = new Float64Array(value);
+    this._im = new Float64Array(value);
+    this._smoothed = new Float64Array(value / 2);
+
+    // Blackman window
+    this._window = new Float64Array(value);
+    for (let i = 0; i < value; i++) {
+      const x = i / value;
+      this._window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+    }
+  }
+
+  get frequencyBinCount() {
+    return this._fftSize / 2;
+  }
+
+  /**
+   * Set the sample buffer and the current position; the analysis uses the fftSize samples before `position`
+   *
+   * @param {Float32Array} samples
+   * @param {number} position sample index
+   */
+  setInput(samples, position) {
+    this._samples = samples;
+    this._position = position;
+  }
+
+  // AudioNode interface, so the analyzer can route this node like a real one
+  connect() {}
+  disconnect() {}
+
+  getFloatTimeDomainData(array) {
+    const start = this._position - array.length;
+    for (let i = 0; i < array.length; i++) {
+      const idx = start + i;
+      array[i] = idx >= 0 && idx < this._samples.length ? this._samples[idx] : 0;
+    }
+  }
+
+  getFloatFrequencyData(array) {
+    this._analyze();
+    for (let i = 0; i < array.length && i < this._smoothed.length; i++)
+      array[i] = 20 * Math.log10(this._smoothed[i]);
+  }
+
+  getByteFrequencyData(array) {
+    this._analyze();
+    const { minDecibels, maxDecibels } = this;
+    const scale = 255 / (maxDecibels - minDecibels);
+    for (let i = 0; i < array.length && i < this._smoothed.length; i++) {
+      const db = 20 * Math.log10(this._smoothed[i]);
+      array[i] = Math.max(0, Math.min(255, Math.floor(scale * (db - minDecibels))));
+    }
+  }
+
+  // compute the smoothed magnitude spectrum of the current input block
+  _analyze() {
+    const size = this._fftSize;
+    const re = this._re;
+    const im = this._im;
+    const start = this._position - size;
+    const tau = this.smoothingTimeConstant;
+
+    for (let i = 0; i < size; i++) {
+      const idx = start + i;
+      re[i] = (idx >= 0 && idx < this._samples.length ? this._samples[idx] : 0) * this._window[i];
+      im[i] = 0;
+    }
+
+    this._fft.forward(re, im);
+
+    for (let k = 0; k < size / 2; k++) {
+      const magnitude = Math.hypot(re[k], im[k]) / size;
+      this._smoothed[k] = tau * this._smoothed[k] + (1 - tau) * magnitude;
+    }
+  }
+}
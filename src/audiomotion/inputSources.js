@@ -0,0 +1,223 @@
+/**
+ * Audio input sources - microphone, tab/system audio capture, media elements and the local media player
+ *
+ * InputSourceManager keeps a single source connected to an analyzer at a time, switching them through
+ * connectInput() and disconnectInput(), so the analyzer and its settings are left untouched.
+ *
+ * Live captures are kept off the speakers while active: a microphone would feed back, and a captured tab
+ * is already playing its own audio.
+ */
+
+export const SOURCE_TYPES = ['microphone', 'display', 'file', 'player'];
+
+/* Error thrown when a source can't be used */
+
+export class SourceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SourceError';
+    this.code = code;
+  }
+}
+
+// analysis wants the raw signal, without the processing meant for voice calls
+const MICROPHONE_CONSTRAINTS = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+
+/**
+ * Whether a dropped or picked file looks playable as audio
+ *
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isAudioFile(file) {
+  return /^audio\//.test(file.type) || /\.(mp3|m4a|aac|ogg|oga|opus|flac|wav|weba|webm)$/i.test(file.name);
+}
+
+export class InputSourceManager {
+  /**
+   * @param {object} analyzer AudioMotionAnalyzer instance
+   * @param {object} [options]
+   * @param {object} [options.mediaDevices] defaults to navigator.mediaDevices
+   * @param {function} [options.onChange] called with the current source (or null) whenever it changes,
+   *                   including when the user stops a capture from the browser UI
+   */
+  constructor(analyzer, { mediaDevices = typeof navigator !== 'undefined' ? navigator.mediaDevices : undefined, onChange } = {}) {
+    this.analyzer = analyzer;
+    this.mediaDevices = mediaDevices;
+    this.onChange = onChange;
+    this._current = null;
+    this._mutedSpeakers = false;
+  }
+
+  /**
+   * Source in use: { type, label } - type is one of SOURCE_TYPES; null if none
+   */
+  get current() {
+    return this._current && { type: this._current.type, label: this._current.label };
+  }
+
+  /**
+   * Audio input devices - labels are only available once the user has granted microphone access
+   *
+   * @returns {Promise<object[]>} { deviceId, label }
+   */
+  async listMicrophones() {
+    if (!this.mediaDevices || !this.mediaDevices.enumerateDevices) return [];
+
+    const devices = await this.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audioinput')
+      .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${index + 1}` }));
+  }
+
+  /**
+   * Analyze a microphone or other input device
+   *
+   * @param {string} [deviceId] one of listMicrophones(); the default device if undefined
+   * @returns {Promise<object>} the current source
+   * @throws {SourceError|DOMException} ERR_MEDIA_DEVICES_NOT_SUPPORTED, or the browser's error if access is denied
+   */
+  async useMicrophone(deviceId) {
+    if (!this.mediaDevices || !this.mediaDevices.getUserMedia)
+      throw new SourceError('ERR_MEDIA_DEVICES_NOT_SUPPORTED', 'Microphone input is not supported in this browser');
+
+    const audio = deviceId ? { ...MICROPHONE_CONSTRAINTS, deviceId: { exact: deviceId } } : MICROPHONE_CONSTRAINTS;
+    const stream = await this.mediaDevices.getUserMedia({ audio });
+    const [track] = stream.getAudioTracks();
+
+    return this._useStream('microphone', stream, (track && track.label) || 'Microphone');
+  }
+
+  /**
+   * Analyze the audio of a browser tab, window or the whole system, picked by the user
+   *
+   * @returns {Promise<object>} the current source
+   * @throws {SourceError|DOMException} ERR_DISPLAY_CAPTURE_NOT_SUPPORTED, ERR_NO_AUDIO_TRACK if the user didn't
+   *         share audio, or the browser's error if the capture was cancelled
+   */
+  async useDisplayCapture() {
+    if (!this.mediaDevices || !this.mediaDevices.getDisplayMedia)
+      throw new SourceError('ERR_DISPLAY_CAPTURE_NOT_SUPPORTED', 'Tab and system audio capture is not supported in this browser');
+
+    // browsers only offer audio along with video
+    const stream = await this.mediaDevices.getDisplayMedia({ video: true, audio: true });
+    const [track] = stream.getAudioTracks();
+
+    if (!track) {
+      stopStream(stream);
+      throw new SourceError('ERR_NO_AUDIO_TRACK', 'No audio was shared - make sure to enable audio sharing');
+    }
+
+    return this._useStream('display', stream, track.label || 'Tab audio');
+  }
+
+  /**
+   * Analyze (and play through the speakers) an audio or video element, e.g. one playing local files
+   *
+   * @param {HTMLMediaElement} element
+   * @param {string} [label]
+   * @returns {object} the current source
+   */
+  useMediaElement(element, label = 'Media player') {
+    if (this._current && this._current.element === element) {
+      this._current.label = label;
+      this._notify();
+      return this.current;
+    }
+
+    this._release();
+    const node = this.analyzer.connectInput(element);
+    this._restoreSpeakers();
+    return this._set({ type: 'file', label, nodes: [node], element });
+  }
+
+  /**
+   * Analyze (and play through the speakers) a MediaPlayer
+   *
+   * @param {MediaPlayer} player
+   * @param {string} [label] e.g. the current track - calling again with the same player just updates it
+   * @returns {object} the current source
+   */
+  usePlayer(player, label = 'Media player') {
+    if (this._current && this._current.player === player) {
+      this._current.label = label;
+      this._notify();
+      return this.current;
+    }
+
+    this._release();
+    const nodes = player.outputs.map(node => this.analyzer.connectInput(node));
+    this._restoreSpeakers();
+    return this._set({ type: 'player', label, nodes, player });
+  }
+
+  /**
+   * Disconnect the current source, stopping captures and pausing media elements and players
+   */
+  stop() {
+    this._release();
+    this._restoreSpeakers();
+    this._set(null);
+  }
+
+  async _useStream(type, stream, label) {
+    const { audioCtx } = this.analyzer;
+
+    this._release();
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+
+    const node = audioCtx.createMediaStreamSource(stream);
+    this.analyzer.connectInput(node);
+    this._muteSpeakers();
+
+    // the user may stop sharing (or unplug the device) from outside the app
+    const source = { type, label, nodes: [node], stream };
+    const [track] = stream.getAudioTracks();
+    if (track)
+      track.onended = () => {
+        if (this._current === source) this.stop();
+      };
+
+    return this._set(source);
+  }
+
+  _release() {
+    const source = this._current;
+    if (!source) return;
+
+    // cleared first, so a player pausing doesn't report back as the current source
+    this._current = null;
+    this.analyzer.disconnectInput(source.nodes);
+    if (source.stream) stopStream(source.stream);
+    if (source.element) source.element.pause();
+    if (source.player) source.player.pause();
+  }
+
+  // only the speakers - other outputs, like a recording in progress, keep getting the captured audio
+  _muteSpeakers() {
+    const speakers = this.analyzer.audioCtx.destination;
+    if (this._mutedSpeakers || !this.analyzer.connectedTo.includes(speakers)) return;
+    this.analyzer.disconnectOutput(speakers);
+    this._mutedSpeakers = true;
+  }
+
+  _restoreSpeakers() {
+    if (!this._mutedSpeakers) return;
+    this.analyzer.connectOutput(this.analyzer.audioCtx.destination);
+    this._mutedSpeakers = false;
+  }
+
+  _set(source) {
+    this._current = source;
+    this._notify();
+    return this.current;
+  }
+
+  _notify() {
+    if (this.onChange) this.onChange(this.current);
+  }
+}
+
+function stopStream(stream) {
+  for (const track of stream.getTracks()) track.stop();
+}
@@ -0,0 +1,151 @@
+import { InputSourceManager, isAudioFile } from './inputSources';
+import { MediaPlayer } from './mediaPlayer';
+import { AudioMotionAnalyzer } from '../components/AudiomotionAnalyzer';
+import { installFakeAudioContext } from '../testUtils/fakeAudioContext';
+import { FakeMediaDevices } from '../testUtils/fakeMediaDevices';
+import { FakeMediaElement } from '../testUtils/fakeMediaElement';
+
+installFakeAudioContext();
+
+function create(mediaDevices = new FakeMediaDevices()) {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  const onChange = jest.fn();
+  const manager = new InputSourceManager(analyzer, { mediaDevices, onChange });
+  return { analyzer, manager, mediaDevices, onChange };
+}
+
+test('recognizes audio files', () => {
+  expect(isAudioFile(new File([''], 'song.bin', { type: 'audio/mpeg' }))).toBe(true);
+  expect(isAudioFile(new File([''], 'Track 01.FLAC'))).toBe(true);
+  expect(isAudioFile(new File([''], 'cover.jpg', { type: 'image/jpeg' }))).toBe(false);
+});
+
+test('lists the microphones', async () => {
+  const { manager } = create(
+    new FakeMediaDevices({
+      devices: [
+        { kind: 'audioinput', deviceId: 'a', label: '' },
+        { kind: 'videoinput', deviceId: 'b', label: 'Camera' },
+        { kind: 'audioinput', deviceId: 'c', label: 'USB mic' },
+      ],
+    })
+  );
+
+  expect(await manager.listMicrophones()).toEqual([
+    { deviceId: 'a', label: 'Microphone 1' },
+    { deviceId: 'c', label: 'USB mic' },
+  ]);
+});
+
+test('analyzes a microphone off the speakers', async () => {
+  const { analyzer, manager, mediaDevices, onChange } = create();
+  const speakers = analyzer.audioCtx.destination;
+
+  const source = await manager.useMicrophone('c');
+
+  expect(mediaDevices.getUserMedia).toHaveBeenCalledWith({
+    audio: expect.objectContaining({ deviceId: { exact: 'c' }, echoCancellation: false }),
+  });
+  expect(source).toEqual({ type: 'microphone', label: 'Built-in microphone' });
+  expect(onChange).toHaveBeenLastCalledWith(source);
+  expect(analyzer.connectedSources).toHaveLength(1);
+  expect(analyzer.connectedSources[0].mediaStream).toBe(mediaDevices.streams[0]);
+  expect(analyzer.connectedTo).toEqual([]);
+
+  manager.stop();
+  expect(analyzer.connectedSources).toEqual([]);
+  expect(analyzer.connectedTo).toEqual([speakers]);
+  expect(mediaDevices.streams[0].getTracks()[0].stop).toHaveBeenCalled();
+  expect(onChange).toHaveBeenLastCalledWith(null);
+});
+
+test('keeps other outputs connected while muting the speakers', async () => {
+  const { analyzer, manager } = create();
+  const speakers = analyzer.audioCtx.destination;
+  const recording = analyzer.audioCtx.createGain();
+  analyzer.connectOutput(recording);
+
+  await manager.useMicrophone();
+  expect(analyzer.connectedTo).toEqual([recording]);
+
+  analyzer.disconnectOutput(recording); // the recording ends meanwhile
+  manager.stop();
+  expect(analyzer.connectedTo).toEqual([speakers]);
+});
+
+test('switches sources without rebuilding the analyzer', async () => {
+  const { analyzer, manager, mediaDevices } = create();
+  const setOptions = jest.spyOn(analyzer, 'setOptions');
+  const audio = document.createElement('audio');
+  audio.pause = jest.fn();
+
+  await manager.useDisplayCapture();
+  expect(manager.current).toEqual({ type: 'display', label: 'Tab audio' });
+
+  manager.useMediaElement(audio, 'song.mp3');
+  expect(mediaDevices.streams[0].getTracks().every(track => track.stop.mock.calls.length)).toBe(true);
+  expect(analyzer.connectedSources).toEqual([expect.objectContaining({ mediaElement: audio })]);
+  expect(analyzer.connectedTo).toEqual([analyzer.audioCtx.destination]);
+
+  await manager.useMicrophone();
+  expect(audio.pause).toHaveBeenCalled();
+  expect(analyzer.connectedSources).toEqual([expect.objectContaining({ mediaStream: mediaDevices.streams[1] })]);
+  expect(setOptions).not.toHaveBeenCalled();
+});
+
+test('analyzes both decks of a media player', async () => {
+  const { analyzer, manager, onChange } = create();
+  const player = new MediaPlayer(analyzer.audioCtx, { createElement: () => new FakeMediaElement() });
+  const pause = jest.spyOn(player, 'pause');
+
+  await manager.useMicrophone();
+  manager.usePlayer(player, 'a.mp3');
+  expect(manager.current).toEqual({ type: 'player', label: 'a.mp3' });
+  expect(analyzer.connectedSources).toEqual(player.outputs);
+  expect(analyzer.connectedTo).toEqual([analyzer.audioCtx.destination]);
+
+  manager.usePlayer(player, 'b.mp3'); // same player, next track
+  expect(onChange).toHaveBeenLastCalledWith({ type: 'player', label: 'b.mp3' });
+  expect(analyzer.connectedSources).toHaveLength(2);
+
+  manager.stop();
+  expect(pause).toHaveBeenCalled();
+  expect(analyzer.connectedSources).toEqual([]);
+  pause.mockRestore();
+});
+
+test('keeps the current source when a capture fails', async () => {
+  const { analyzer, manager, mediaDevices } = create(new FakeMediaDevices({ shareAudio: false }));
+  await manager.useMicrophone();
+
+  await expect(manager.useDisplayCapture()).rejects.toEqual(expect.objectContaining({ code: 'ERR_NO_AUDIO_TRACK' }));
+  expect(mediaDevices.streams[1].getTracks()[0].stop).toHaveBeenCalled();
+  expect(manager.current.type).toBe('microphone');
+
+  mediaDevices.getUserMedia.mockRejectedValueOnce(new Error('Permission denied'));
+  await expect(manager.useMicrophone()).rejects.toThrow('Permission denied');
+  expect(analyzer.connectedSources).toHaveLength(1);
+});
+
+test('drops a capture stopped from the browser', async () => {
+  const { analyzer, manager, mediaDevices, onChange } = create();
+  await manager.useDisplayCapture();
+
+  mediaDevices.streams[0].getAudioTracks()[0].onended();
+
+  expect(manager.current).toBeNull();
+  expect(analyzer.connectedSources).toEqual([]);
+  expect(onChange).toHaveBeenLastCalledWith(null);
+});
+
+test('reports missing browser support', async () => {
+  const { manager } = create({});
+
+  await expect(manager.useMicrophone()).rejects.toEqual(
+    expect.objectContaining({ code: 'ERR_MEDIA_DEVICES_NOT_SUPPORTED' })
+  );
+  await expect(manager.useDisplayCapture()).rejects.toEqual(
+    expect.objectContaining({ code: 'ERR_DISPLAY_CAPTURE_NOT_SUPPORTED' })
+  );
+  expect(await manager.listMicrophones()).toEqual([]);
+});
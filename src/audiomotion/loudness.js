@@ -0,0 +1,200 @@
+/**
+ * Loudness metering following ITU-R BS.1770-4 and EBU R128 (momentary, short-term and integrated loudness,
+ * loudness range per EBU Tech 3342, and true-peak)
+ *
+ * The signal is K-weighted and its mean square is taken over 100ms blocks, from which everything else is derived:
+ * momentary loudness over the last 4 blocks (400ms), short-term over the last 30 (3s), and integrated loudness
+ * from gated 400ms blocks with 75% overlap. The per-sample filters are in loudnessDsp.js.
+ */
+
+import { kWeightBlock, kWeightingCoefficients, truePeakBlock, truePeakTaps } from './loudnessDsp';
+
+export { kWeightBlock, kWeightingCoefficients, truePeakBlock, truePeakTaps };
+
+// length of the measurement blocks, in seconds
+export const BLOCK_DURATION = 0.1;
+
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU, for integrated loudness
+const RANGE_RELATIVE_GATE = -20; // LU, for loudness range
+
+/**
+ * Loudness of a (weighted) mean square value
+ *
+ * @param {number} power
+ * @returns {number} LUFS (-Infinity for silence)
+ */
+export function powerToLufs(power) {
+  return -0.691 + 10 * Math.log10(power);
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// gated measurements are kept in loudness histograms, as in libebur128, so memory and the time to derive the
+// values stay constant however long the meter runs - bins of 0.01 LU from the absolute gate up to +20 LUFS
+const HISTOGRAM_RESOLUTION = 0.01;
+const HISTOGRAM_BINS = Math.ceil((20 - ABSOLUTE_GATE) / HISTOGRAM_RESOLUTION);
+
+const binLoudness = bin => ABSOLUTE_GATE + (bin + 0.5) * HISTOGRAM_RESOLUTION;
+
+class LoudnessHistogram {
+  constructor() {
+    this.counts = new Uint32Array(HISTOGRAM_BINS);
+    this.powers = new Float64Array(HISTOGRAM_BINS);
+    this.count = 0;
+    this.power = 0;
+  }
+
+  // add a block, unless it's below the absolute gate
+  add(power) {
+    const loudness = powerToLufs(power);
+    if (!(loudness > ABSOLUTE_GATE)) return;
+
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((loudness - ABSOLUTE_GATE) / HISTOGRAM_RESOLUTION));
+    this.counts[bin]++;
+    this.powers[bin] += power;
+    this.count++;
+    this.power += power;
+  }
+
+  // first bin within `relativeGate` LU of the average of all blocks
+  gateBin(relativeGate) {
+    const threshold = powerToLufs(this.power / this.count) + relativeGate;
+    let bin = Math.max(0, Math.floor((threshold - ABSOLUTE_GATE) / HISTOGRAM_RESOLUTION));
+    while (bin < HISTOGRAM_BINS && binLoudness(bin) <= threshold) bin++;
+    return bin;
+  }
+
+  // mean loudness of the blocks that pass the relative gate
+  gatedLoudness(relativeGate) {
+    if (!this.count) return -Infinity;
+
+    let power = 0;
+    let count = 0;
+    for (let bin = this.gateBin(relativeGate); bin < HISTOGRAM_BINS; bin++) {
+      power += this.powers[bin];
+      count += this.counts[bin];
+    }
+    return count ? powerToLufs(power / count) : -Infinity;
+  }
+
+  // spread between two percentiles of the blocks that pass the relative gate, in LU
+  gatedRange(relativeGate, low, high) {
+    if (!this.count) return 0;
+
+    const first = this.gateBin(relativeGate);
+    let count = 0;
+    for (let bin = first; bin < HISTOGRAM_BINS; bin++) count += this.counts[bin];
+    if (!count) return 0;
+
+    const percentile = p => {
+      const index = Math.round(p * (count - 1));
+      let seen = 0;
+      for (let bin = first; bin < HISTOGRAM_BINS; bin++) {
+        seen += this.counts[bin];
+        if (seen > index) return binLoudness(bin);
+      }
+      return binLoudness(HISTOGRAM_BINS - 1);
+    };
+
+    return percentile(high) - percentile(low);
+  }
+}
+
+/**
+ * Collects the 100ms block measurements and derives the loudness values from them
+ */
+export class LoudnessAccumulator {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget all measurements
+   */
+  reset() {
+    this._blocks = [];
+    this._momentary = null;
+    this._shortTerm = null;
+    this._integrated = new LoudnessHistogram();
+    this._range = new LoudnessHistogram();
+    this._peak = 0;
+    this._values = null;
+  }
+
+  /**
+   * Add the measurement of a 100ms block
+   *
+   * @param {object} block
+   * @param {number[]} block.power mean square of the K-weighted samples, per channel
+   * @param {number} block.peak true-peak amplitude in the block
+   */
+  addBlock({ power, peak }) {
+    // channel weights are 1 for left, right and center - surround channels aren't supported
+    const blocks = this._blocks;
+    blocks.push(power.reduce((sum, p) => sum + p, 0));
+    if (blocks.length > SHORT_TERM_BLOCKS) blocks.shift();
+
+    if (blocks.length >= MOMENTARY_BLOCKS) {
+      this._momentary = mean(blocks.slice(-MOMENTARY_BLOCKS));
+      this._integrated.add(this._momentary);
+    }
+    if (blocks.length >= SHORT_TERM_BLOCKS) {
+      this._shortTerm = mean(blocks);
+      this._range.add(this._shortTerm);
+    }
+
+    this._peak = Math.max(this._peak, peak);
+    this._values = null;
+  }
+
+  /**
+   * Current measurements - loudness values are -Infinity until there's enough audio to compute them
+   * They're derived once per block and shared until the next one, so reading them on every animation frame is cheap.
+   *
+   * @returns {object} { momentary, shortTerm, integrated } in LUFS, { range } in LU and { truePeak } in dBTP
+   */
+  get values() {
+    if (!this._values) {
+      this._values = Object.freeze({
+        momentary: this._momentary === null ? -Infinity : powerToLufs(this._momentary),
+        shortTerm: this._shortTerm === null ? -Infinity : powerToLufs(this._shortTerm),
+        integrated: this._integrated.gatedLoudness(RELATIVE_GATE),
+        // loudness range - spread between the 10th and 95th percentiles of the gated short-term loudness
+        range: this._range.gatedRange(RANGE_RELATIVE_GATE, 0.1, 0.95),
+        truePeak: 20 * Math.log10(this._peak),
+      });
+    }
+    return this._values;
+  }
+}
+
+/**
+ * Measure the loudness of a whole recording, with the same processing as the real-time meter
+ *
+ * @param {Float32Array[]} channels samples of each channel (mono or stereo)
+ * @param {number} sampleRate
+ * @returns {object} see LoudnessAccumulator.values
+ */
+export function measureLoudness(channels, sampleRate) {
+  const coeffs = kWeightingCoefficients(sampleRate);
+  const taps = truePeakTaps();
+  const filterState = channels.map(() => new Float64Array(6));
+  const history = channels.map(() => new Float64Array(taps[0].length));
+  const blockSize = Math.round(sampleRate * BLOCK_DURATION);
+  const accumulator = new LoudnessAccumulator();
+
+  for (let start = 0; start + blockSize <= channels[0].length; start += blockSize) {
+    const blocks = channels.map(samples => samples.subarray(start, start + blockSize));
+    accumulator.addBlock({
+      power: blocks.map((block, channel) => kWeightBlock(coeffs, filterState[channel], block) / blockSize),
+      peak: Math.max(...blocks.map((block, channel) => truePeakBlock(taps, history[channel], block))),
+    });
+  }
+
+  return accumulator.values;
+}
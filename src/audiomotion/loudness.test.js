@@ -0,0 +1,109 @@
+import {
+  LoudnessAccumulator,
+  kWeightingCoefficients,
+  measureLoudness,
+  powerToLufs,
+  truePeakBlock,
+  truePeakTaps,
+} from './loudness';
+
+// stereo sine segments, each { dBFS, seconds }, as in the EBU Tech 3341 / 3342 test signals
+function sineSegments(segments, sampleRate, freq = 1000) {
+  const length = segments.reduce((sum, s) => sum + Math.round(s.seconds * sampleRate), 0);
+  const samples = new Float32Array(length);
+  let offset = 0;
+
+  for (const { dBFS, seconds } of segments) {
+    const amplitude = 10 ** (dBFS / 20);
+    const end = offset + Math.round(seconds * sampleRate);
+    for (let i = offset; i < end; i++) samples[i] = amplitude * Math.sin((2 * Math.PI * freq * i) / sampleRate);
+    offset = end;
+  }
+
+  return [samples, samples];
+}
+
+test('matches the BS.1770 K-weighting coefficients at 48kHz', () => {
+  const expected = [
+    1.53512485958697, -2.69169618940638, 1.19839281085285, -1.69065929318241, 0.73248077421585,
+    1, -2, 1, -1.99004745483398, 0.99007225036621,
+  ];
+  kWeightingCoefficients(48000).forEach((c, i) => expect(c).toBeCloseTo(expected[i], 6));
+});
+
+test('reads a -23 dBFS stereo sine as -23 LUFS', () => {
+  const values = measureLoudness(sineSegments([{ dBFS: -23, seconds: 5 }], 48000), 48000);
+
+  expect(values.momentary).toBeCloseTo(-23, 1);
+  expect(values.shortTerm).toBeCloseTo(-23, 1);
+  expect(values.integrated).toBeCloseTo(-23, 1);
+  expect(values.truePeak).toBeCloseTo(-23, 1);
+});
+
+test('gates quiet passages out of the integrated loudness', () => {
+  const segments = [
+    { dBFS: -36, seconds: 10 },
+    { dBFS: -23, seconds: 60 },
+    { dBFS: -36, seconds: 10 },
+  ];
+  const values = measureLoudness(sineSegments(segments, 16000), 16000);
+
+  expect(Math.abs(values.integrated + 23)).toBeLessThanOrEqual(0.1);
+});
+
+test('measures the loudness range', () => {
+  const segments = [
+    { dBFS: -20, seconds: 20 },
+    { dBFS: -30, seconds: 20 },
+  ];
+  const values = measureLoudness(sineSegments(segments, 16000), 16000);
+
+  expect(Math.abs(values.range - 10)).toBeLessThanOrEqual(1);
+});
+
+test('finds peaks between samples', () => {
+  // a quarter of the sample rate at 45 degrees - every sample is at 0.707 of the actual peak
+  const samples = Float32Array.from({ length: 4800 }, (_, i) => Math.sin((Math.PI * i) / 2 + Math.PI / 4));
+  const taps = truePeakTaps();
+  const peak = truePeakBlock(taps, new Float64Array(taps[0].length), samples);
+
+  expect(Math.max(...samples.map(Math.abs))).toBeCloseTo(Math.SQRT1_2, 3);
+  expect(Math.abs(20 * Math.log10(peak))).toBeLessThan(0.5);
+});
+
+test('reports no loudness until enough audio was measured', () => {
+  const accumulator = new LoudnessAccumulator();
+  const block = { power: [0.01, 0.01], peak: 0.1 };
+
+  for (let i = 0; i < 3; i++) accumulator.addBlock(block);
+  expect(accumulator.values).toEqual({
+    momentary: -Infinity,
+    shortTerm: -Infinity,
+    integrated: -Infinity,
+    range: 0,
+    truePeak: -20,
+  });
+
+  accumulator.addBlock(block);
+  expect(accumulator.values.momentary).toBeCloseTo(powerToLufs(0.02));
+  expect(accumulator.values.shortTerm).toBe(-Infinity);
+
+  accumulator.reset();
+  expect(accumulator.values.momentary).toBe(-Infinity);
+  expect(accumulator.values.truePeak).toBe(-Infinity);
+});
+
+test('keeps a fixed amount of state and derives the values once per block', () => {
+  const accumulator = new LoudnessAccumulator();
+
+  // an hour of audio
+  for (let i = 0; i < 36000; i++) accumulator.addBlock({ power: [0.01 * (1 + (i % 7)), 0.01], peak: 0.5 });
+  expect(accumulator._blocks.length).toBe(30);
+
+  const values = accumulator.values;
+  expect(accumulator.values).toBe(values);
+  expect(values.integrated).toBeGreaterThan(-20);
+
+  accumulator.addBlock({ power: [0.01, 0.01], peak: 0.5 });
+  expect(accumulator.values).not.toBe(values);
+});
@@ -0,0 +1,139 @@
+/**
+ * Per-sample loudness filters - K-weighting (ITU-R BS.1770) and true-peak interpolation
+ *
+ * These functions also run inside the audio worklet (see loudnessWorklet.js), which receives their source code -
+ * so they must not reference anything outside their own body, nor use syntax that the build may turn into calls
+ * to helper functions (destructuring, spread, for...of). For the same reason this file is left out of coverage
+ * instrumentation, which would insert references to its counters; loudnessWorklet.test.js runs the worklet source.
+ */
+
+/* istanbul ignore file */
+
+/**
+ * K-weighting filter coefficients for a given sample rate - a high shelf (head effects) followed by a high-pass
+ * (RLB curve), derived from their analog prototypes so they match the 48kHz coefficients in BS.1770
+ *
+ * @param {number} sampleRate
+ * @returns {Float64Array} [ b0, b1, b2, a1, a2 ] for each of the two stages (a0 is 1)
+ */
+export function kWeightingCoefficients(sampleRate) {
+  const coeffs = new Float64Array(10);
+
+  // stage 1 - high shelf
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+
+  coeffs[0] = (Vh + (Vb * K) / Q + K * K) / a0;
+  coeffs[1] = (2 * (K * K - Vh)) / a0;
+  coeffs[2] = (Vh - (Vb * K) / Q + K * K) / a0;
+  coeffs[3] = (2 * (K * K - 1)) / a0;
+  coeffs[4] = (1 - K / Q + K * K) / a0;
+
+  // stage 2 - high-pass
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+
+  coeffs[5] = 1;
+  coeffs[6] = -2;
+  coeffs[7] = 1;
+  coeffs[8] = (2 * (K * K - 1)) / a0;
+  coeffs[9] = (1 - K / Q + K * K) / a0;
+
+  return coeffs;
+}
+
+/**
+ * K-weight a block of samples and return the sum of their squares
+ *
+ * @param {Float64Array} coeffs see kWeightingCoefficients()
+ * @param {Float64Array} state filter memory for one channel, 6 elements, initially zeros - updated in place
+ * @param {ArrayLike<number>} input samples
+ * @returns {number} sum of the squared K-weighted samples
+ */
+export function kWeightBlock(coeffs, state, input) {
+  let sum = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    // stage 1 - its output history (state[2], state[3]) is also the input history of stage 2
+    const y = coeffs[0] * x + coeffs[1] * state[0] + coeffs[2] * state[1] - coeffs[3] * state[2] - coeffs[4] * state[3];
+    const z = coeffs[5] * y + coeffs[6] * state[2] + coeffs[7] * state[3] - coeffs[8] * state[4] - coeffs[9] * state[5];
+
+    state[1] = state[0];
+    state[0] = x;
+    state[3] = state[2];
+    state[2] = y;
+    state[5] = state[4];
+    state[4] = z;
+
+    sum += z * z;
+  }
+
+  return sum;
+}
+
+/**
+ * Interpolation filter for true-peak measurement - a windowed sinc, split in one set of taps per intermediate phase
+ *
+ * @param {number} [factor] oversampling factor (4 is the minimum BS.1770 recommends for 48kHz)
+ * @param {number} [length] taps per phase
+ * @returns {Float64Array[]} taps for each of the `factor - 1` points between two samples
+ */
+export function truePeakTaps(factor = 4, length = 12) {
+  const phases = [];
+  const center = length / 2 - 1; // the new points fall between samples `center` and `center + 1`
+
+  for (let p = 1; p < factor; p++) {
+    const taps = new Float64Array(length);
+    let sum = 0;
+
+    for (let j = 0; j < length; j++) {
+      const t = j - center - p / factor;
+      const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+      const hann = 0.5 + 0.5 * Math.cos((Math.PI * t) / (length / 2));
+      taps[j] = sinc * hann;
+      sum += taps[j];
+    }
+
+    // unity gain at DC
+    for (let j = 0; j < length; j++) taps[j] /= sum;
+
+    phases.push(taps);
+  }
+
+  return phases;
+}
+
+/**
+ * Highest absolute value of a block of samples, including the points interpolated between them
+ *
+ * @param {Float64Array[]} taps see truePeakTaps()
+ * @param {Float64Array} history the last samples of one channel, as many as taps per phase, initially zeros - updated in place
+ * @param {ArrayLike<number>} input samples
+ * @returns {number} peak amplitude
+ */
+export function truePeakBlock(taps, history, input) {
+  const length = history.length;
+  let peak = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    history.copyWithin(0, 1);
+    history[length - 1] = input[i];
+
+    const sample = Math.abs(input[i]);
+    if (sample > peak) peak = sample;
+
+    for (let p = 0; p < taps.length; p++) {
+      const phase = taps[p];
+      let value = 0;
+      for (let j = 0; j < length; j++) value += phase[j] * history[j];
+      if (Math.abs(value) > peak) peak = Math.abs(value);
+    }
+  }
+
+  return peak;
+}
@@ -0,0 +1,170 @@
+import { BLOCK_DURATION, LoudnessAccumulator } from './loudness';
+import { kWeightBlock, kWeightingCoefficients, truePeakBlock, truePeakTaps } from './loudnessDsp';
+
+/**
+ * Real-time loudness meter - an AudioWorklet measures each 100ms block of audio and posts it to the main thread,
+ * where a LoudnessAccumulator derives the loudness values
+ */
+
+export const PROCESSOR_NAME = 'loudness-meter';
+
+// the processor is loaded from a Blob URL, with the DSP functions inlined from loudnessDsp.js
+export const PROCESSOR_SOURCE = `
+const kWeightingCoefficients = ${kWeightingCoefficients};
+const kWeightBlock = ${kWeightBlock};
+const truePeakTaps = ${truePeakTaps};
+const truePeakBlock = ${truePeakBlock};
+
+class LoudnessProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.coeffs = kWeightingCoefficients(sampleRate);
+    this.taps = truePeakTaps();
+    this.blockSize = Math.round(sampleRate * ${BLOCK_DURATION});
+    this.reset();
+    this.port.onmessage = event => {
+      if (event.data === 'reset') this.reset();
+    };
+  }
+
+  reset() {
+    this.filterState = [new Float64Array(6), new Float64Array(6)];
+    this.history = [new Float64Array(this.taps[0].length), new Float64Array(this.taps[0].length)];
+    this.sums = [0, 0];
+    this.peak = 0;
+    this.count = 0;
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    if (!channels.length) return true; // no input connected
+
+    // blocks rarely end on a render quantum boundary - split the quantum there and carry the rest to the next block
+    const length = channels[0].length;
+    let offset = 0;
+    while (offset < length) {
+      const end = Math.min(length, offset + this.blockSize - this.count);
+
+      for (let c = 0; c < 2; c++) {
+        const samples = channels[Math.min(c, channels.length - 1)].subarray(offset, end);
+        this.sums[c] += kWeightBlock(this.coeffs, this.filterState[c], samples);
+        this.peak = Math.max(this.peak, truePeakBlock(this.taps, this.history[c], samples));
+      }
+
+      this.count += end - offset;
+      offset = end;
+      if (this.count === this.blockSize) {
+        this.port.postMessage({ power: [this.sums[0] / this.count, this.sums[1] / this.count], peak: this.peak });
+        this.sums = [0, 0];
+        this.peak = 0;
+        this.count = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', LoudnessProcessor);
+`;
+
+/* Error reported when the processor can't be loaded */
+
+export class LoudnessError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LoudnessError';
+    this.code = code;
+  }
+}
+
+// module loading promise for each audio context
+const loaded = new WeakMap();
+
+function loadProcessor(audioCtx) {
+  if (!loaded.has(audioCtx)) {
+    const url = URL.createObjectURL(new Blob([PROCESSOR_SOURCE], { type: 'application/javascript' }));
+    const loading = audioCtx.audioWorklet
+      .addModule(url)
+      .finally(() => URL.revokeObjectURL(url))
+      .catch(err => {
+        // don't keep the failure, so a later meter on the same context tries again
+        loaded.delete(audioCtx);
+        throw new LoudnessError('ERR_LOUDNESS_WORKLET_FAILED', `Could not load the loudness processor: ${err.message}`);
+      });
+    loaded.set(audioCtx, loading);
+  }
+  return loaded.get(audioCtx);
+}
+
+/**
+ * Whether loudness metering can run on an audio context
+ */
+export function isLoudnessSupported(audioCtx) {
+  return !!audioCtx.audioWorklet && typeof AudioWorkletNode !== 'undefined';
+}
+
+export class LoudnessMeter {
+  /**
+   * @param {BaseAudioContext} audioCtx
+   * @param {AudioNode} source node whose output is measured (up to two channels)
+   */
+  constructor(audioCtx, source) {
+    this.accumulator = new LoudnessAccumulator();
+    this.node = null;
+    this._source = source;
+    this._closed = false;
+    this.error = null;
+
+    // resolves once the processor is running, or with `error` set if it couldn't be loaded
+    this.ready = loadProcessor(audioCtx)
+      .then(() => {
+        if (this._closed) return;
+        this.node = new AudioWorkletNode(audioCtx, PROCESSOR_NAME, {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount: 2,
+          channelCountMode: 'explicit',
+        });
+        this.node.port.onmessage = event => this.accumulator.addBlock(event.data);
+        this.connect();
+      })
+      .catch(err => {
+        this.error = err;
+      });
+  }
+
+  /**
+   * Current measurements, see LoudnessAccumulator.values
+   */
+  get values() {
+    return this.accumulator.values;
+  }
+
+  /**
+   * (Re)connect the source - needed after the source node has been disconnected from all its outputs
+   */
+  connect() {
+    if (this.node) this._source.connect(this.node);
+  }
+
+  /**
+   * Restart the measurements (integrated loudness, loudness range and true-peak accumulate until reset)
+   */
+  reset() {
+    this.accumulator.reset();
+    if (this.node) this.node.port.postMessage('reset');
+  }
+
+  /**
+   * Stop measuring and release the worklet node
+   */
+  close() {
+    this._closed = true;
+    if (!this.node) return;
+    this._source.disconnect(this.node);
+    this.node.port.onmessage = null;
+    this.node.port.close();
+    this.node = null;
+  }
+}
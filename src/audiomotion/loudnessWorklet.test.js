@@ -0,0 +1,62 @@
+import { kWeightBlock, kWeightingCoefficients, powerToLufs } from './loudness';
+import { PROCESSOR_NAME, PROCESSOR_SOURCE } from './loudnessWorklet';
+
+// evaluate the processor source the way the worklet scope would, and return the registered processor class
+function loadProcessor(sampleRate) {
+  class AudioWorkletProcessor {
+    constructor() {
+      this.port = { postMessage: jest.fn() };
+    }
+  }
+  const registerProcessor = jest.fn();
+
+  // eslint-disable-next-line no-new-func
+  new Function('AudioWorkletProcessor', 'registerProcessor', 'sampleRate', PROCESSOR_SOURCE)(
+    AudioWorkletProcessor,
+    registerProcessor,
+    sampleRate
+  );
+
+  expect(registerProcessor).toHaveBeenCalledWith(PROCESSOR_NAME, expect.any(Function));
+  return registerProcessor.mock.calls[0][1];
+}
+
+test('runs the processor source and posts a measurement per 100ms block', () => {
+  const Processor = loadProcessor(48000);
+  const processor = new Processor();
+
+  // a -20 dBFS 1kHz sine, in 128-frame render quanta - the first 4800-sample block ends in the middle of the 38th
+  const samples = Float32Array.from({ length: 128 * 75 }, (_, i) => 0.1 * Math.sin((2 * Math.PI * 1000 * i) / 48000));
+  const render = (from, to) => {
+    for (let offset = from * 128; offset < to * 128; offset += 128) {
+      const quantum = samples.subarray(offset, offset + 128);
+      expect(processor.process([[quantum, quantum]])).toBe(true);
+    }
+  };
+
+  render(0, 37);
+  expect(processor.port.postMessage).not.toHaveBeenCalled();
+  render(37, 38);
+  expect(processor.port.postMessage).toHaveBeenCalledTimes(1);
+  render(38, 75);
+  expect(processor.port.postMessage).toHaveBeenCalledTimes(2);
+
+  const { power, peak } = processor.port.postMessage.mock.calls[0][0];
+  expect(powerToLufs(power[0] + power[1])).toBeCloseTo(-20, 0);
+  expect(20 * Math.log10(peak)).toBeCloseTo(-20, 0);
+
+  // the second block covers exactly samples 4800 to 9600, as in the offline measurement
+  const coeffs = kWeightingCoefficients(48000);
+  const state = new Float64Array(6);
+  kWeightBlock(coeffs, state, samples.subarray(0, 4800));
+  const expected = kWeightBlock(coeffs, state, samples.subarray(4800, 9600)) / 4800;
+  expect(processor.port.postMessage.mock.calls[1][0].power[0]).toBeCloseTo(expected, 12);
+});
+
+test('keeps running without an input', () => {
+  const Processor = loadProcessor(44100);
+  const processor = new Processor();
+
+  expect(processor.process([[]])).toBe(true);
+  expect(processor.port.postMessage).not.toHaveBeenCalled();
+});
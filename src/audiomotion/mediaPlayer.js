@@ -0,0 +1,368 @@
+import { readMetadata } from './metadata';
+import { PlayQueue } from './playQueue';
+
+/**
+ * Local media player - plays a queue of audio files on two media elements ("decks"), so the next track is
+ * already loaded and starts right as the current one ends (gapless) or fades in over it (crossfade)
+ *
+ * Each deck goes through its own gain node; `outputs` are the nodes to connect to the analyzer's input.
+ * Volume is left to the analyzer's output.
+ */
+
+// seconds into a track after which previous() restarts it instead of going back
+const RESTART_THRESHOLD = 3;
+
+// gapless playback - timeupdate fires only every 250ms or so, so once a track is this close to its end the start
+// of the next one is scheduled with a timer, slightly early and with a short fade to cover the time a media
+// element takes to start playing
+const GAPLESS_LOOKAHEAD = 0.5;
+const GAPLESS_OVERLAP = 0.05;
+
+/**
+ * Display name of a queue item - "artist - title" from its metadata, or the file name
+ *
+ * @param {object} item
+ * @returns {string}
+ */
+export function itemTitle(item) {
+  const { title, artist } = item.metadata || {};
+  if (!title) return item.name;
+  return artist ? `${artist} - ${title}` : title;
+}
+
+export class MediaPlayer {
+  /**
+   * @param {AudioContext} audioCtx
+   * @param {object} [options]
+   * @param {number} [options.crossfade] seconds the end of a track overlaps the start of the next (0 for gapless)
+   * @param {function} [options.createElement] returns a new media element for each deck
+   * @param {function} [options.random] random number generator for shuffle (for tests)
+   */
+  constructor(audioCtx, { crossfade = 0, createElement = () => document.createElement('audio'), random } = {}) {
+    this.audioCtx = audioCtx;
+    this.queue = new PlayQueue({ random });
+    this.crossfade = crossfade;
+    this._listeners = new Set();
+    this._active = 0;
+    this._nextTimer = null;
+
+    this._decks = [0, 1].map(() => {
+      const element = createElement();
+      element.preload = 'auto';
+      const gain = audioCtx.createGain();
+      audioCtx.createMediaElementSource(element).connect(gain);
+
+      const deck = { element, gain, index: -1 };
+      element.addEventListener('timeupdate', () => this._onTimeUpdate(deck));
+      element.addEventListener('ended', () => this._onEnded(deck));
+      for (const type of ['play', 'pause', 'durationchange', 'seeked'])
+        element.addEventListener(type, () => deck === this._deck && this._notify());
+      return deck;
+    });
+  }
+
+  /**
+   * Gain nodes of both decks, to connect with analyzer.connectInput()
+   */
+  get outputs() {
+    return this._decks.map(deck => deck.gain);
+  }
+
+  /**
+   * Player state: { index, item, playing, currentTime, duration, shuffle, repeat } - `item` is the current queue
+   * item ({ file, url, name, metadata, cover }), or null
+   */
+  get state() {
+    const { element } = this._deck;
+    const item = this.queue.current;
+    return {
+      index: this.queue.index,
+      item,
+      playing: !!item && !element.paused,
+      currentTime: item ? element.currentTime : 0,
+      duration: (item && element.duration) || 0,
+      shuffle: this.queue.shuffle,
+      repeat: this.queue.repeat,
+    };
+  }
+
+  get items() {
+    return this.queue.items;
+  }
+
+  /**
+   * Register a function called with the player state whenever it changes (not on every time update)
+   *
+   * @param {function} listener
+   * @returns {function} unsubscribe
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Add files to the end of the queue; their metadata is read in the background
+   *
+   * @param {File[]} files
+   * @returns {number} queue index of the first file
+   */
+  add(files) {
+    const items = files.map(file => ({ file, url: URL.createObjectURL(file), name: file.name, metadata: null, cover: null }));
+    const first = this.queue.add(items);
+
+    for (const item of items) {
+      readMetadata(item.file).then(metadata => {
+        if (!this.queue.items.includes(item)) return; // removed meanwhile
+        item.metadata = metadata;
+        if (metadata.picture) item.cover = URL.createObjectURL(metadata.picture);
+        this._notify();
+      });
+    }
+
+    this._preload();
+    this._notify();
+    return first;
+  }
+
+  /**
+   * Remove a file from the queue - removing the current one stops playback
+   *
+   * @param {number} index
+   */
+  remove(index) {
+    const isCurrent = index === this.queue.index;
+    if (isCurrent) this._stop();
+
+    release(this.queue.remove(index));
+    for (const deck of this._decks) {
+      if (deck.index === index) deck.index = -1;
+      else if (deck.index > index) deck.index--;
+    }
+
+    this._preload();
+    this._notify();
+  }
+
+  clear() {
+    this._stop();
+    this.queue.items.forEach(release);
+    this.queue.clear();
+    for (const deck of this._decks) deck.index = -1;
+    this._notify();
+  }
+
+  /**
+   * Play a queue item from the start
+   *
+   * @param {number} index
+   * @returns {Promise} from the media element's play()
+   */
+  select(index) {
+    if (!this.queue.items[index]) return Promise.resolve();
+    this.queue.index = index;
+    return this._cut(index);
+  }
+
+  /**
+   * Resume the current item, or start the queue
+   *
+   * @returns {Promise} from the media element's play()
+   */
+  play() {
+    if (!this.queue.current) return this.select(this.queue.peek(1));
+    return this._deck.element.play();
+  }
+
+  pause() {
+    this._cancelNext();
+    for (const deck of this._decks) deck.element.pause();
+    // cut a crossfade short
+    this._resetGains();
+    this._preload();
+  }
+
+  toggle() {
+    if (!this.state.playing) return this.play();
+    this.pause();
+    return Promise.resolve();
+  }
+
+  seek(time) {
+    if (!this.queue.current) return;
+    this._cancelNext();
+    this._deck.element.currentTime = time;
+  }
+
+  next() {
+    const index = this.queue.peek(1);
+    return index < 0 ? Promise.resolve() : this.select(index);
+  }
+
+  previous() {
+    const index = this.queue.peek(-1);
+    if (index >= 0 && this._deck.element.currentTime <= RESTART_THRESHOLD) return this.select(index);
+
+    this.seek(0);
+    return Promise.resolve();
+  }
+
+  set shuffle(value) {
+    this.queue.shuffle = value;
+    this._preload();
+    this._notify();
+  }
+
+  set repeat(value) {
+    this.queue.repeat = value;
+    this._preload();
+    this._notify();
+  }
+
+  /**
+   * Stop playback, disconnect the audio nodes and release the files
+   */
+  destroy() {
+    this.clear();
+    for (const deck of this._decks) deck.gain.disconnect();
+    this._listeners.clear();
+  }
+
+  get _deck() {
+    return this._decks[this._active];
+  }
+
+  get _idle() {
+    return this._decks[1 - this._active];
+  }
+
+  // start an item right away, on whichever deck has it loaded
+  _cut(index) {
+    this._cancelNext();
+    for (const deck of this._decks) deck.element.pause();
+    if (this._idle.index === index && this._deck.index !== index) this._active = 1 - this._active;
+
+    const deck = this._deck;
+    this._load(deck, index);
+    deck.element.currentTime = 0;
+    this._resetGains();
+    this._preload();
+    this._notify();
+    return deck.element.play();
+  }
+
+  // move on to the next item when the current one ends (or starts fading out)
+  _advance(fade) {
+    this._cancelNext();
+    const index = this.queue.peek(1, true);
+    if (index < 0) return;
+
+    const from = this._deck;
+    const to = this._idle;
+    this._load(to, index);
+    to.element.currentTime = 0;
+    this._active = 1 - this._active;
+    this.queue.index = index;
+
+    if (fade) {
+      // the outgoing deck gets the following item once it's done fading out
+      const now = this.audioCtx.currentTime;
+      ramp(from.gain, 1, 0, now, now + fade);
+      ramp(to.gain, 0, 1, now, now + fade);
+    } else {
+      from.element.pause();
+      this._resetGains();
+      this._preload();
+    }
+
+    to.element.play().catch(() => {});
+    this._notify();
+  }
+
+  _onTimeUpdate(deck) {
+    if (deck !== this._deck) return;
+    if (!this.crossfade) {
+      this._scheduleNext(deck);
+      return;
+    }
+
+    const { currentTime, duration } = deck.element;
+    // only crossfade tracks long enough to be heard on their own
+    if (duration > this.crossfade * 2 && duration - currentTime <= this.crossfade)
+      this._advance(Math.max(duration - currentTime, 0.01));
+  }
+
+  // start the next item when the current one is about to end, see GAPLESS_LOOKAHEAD
+  _scheduleNext(deck) {
+    const { currentTime, duration, paused, playbackRate = 1 } = deck.element;
+    const remaining = (duration - currentTime) / playbackRate;
+    if (this._nextTimer || paused || !(remaining <= GAPLESS_LOOKAHEAD) || this.queue.peek(1, true) < 0) return;
+
+    this._nextTimer = setTimeout(() => {
+      this._nextTimer = null;
+      if (deck === this._deck && !deck.element.paused) this._advance(GAPLESS_OVERLAP);
+    }, Math.max(remaining - GAPLESS_OVERLAP, 0) * 1000);
+  }
+
+  _cancelNext() {
+    clearTimeout(this._nextTimer);
+    this._nextTimer = null;
+  }
+
+  _onEnded(deck) {
+    if (deck !== this._deck) {
+      this._preload(); // faded out
+      return;
+    }
+    if (this.queue.peek(1, true) < 0) this._notify();
+    else this._advance(0);
+  }
+
+  // load the item that will play next on the idle deck
+  _preload() {
+    const index = this.queue.peek(1, true);
+    if (index >= 0) this._load(this._idle, index);
+  }
+
+  _load(deck, index) {
+    if (deck.index === index && deck.element.src) return;
+    const item = this.queue.items[index];
+    deck.element.src = item.url;
+    deck.index = index;
+  }
+
+  _stop() {
+    this._cancelNext();
+    for (const deck of this._decks) {
+      if (!deck.element.paused) deck.element.pause();
+      deck.element.removeAttribute('src');
+      deck.index = -1;
+    }
+    this._resetGains();
+    this.queue.index = -1;
+  }
+
+  // active deck at full volume, idle one muted
+  _resetGains() {
+    for (const deck of this._decks) {
+      deck.gain.gain.cancelScheduledValues(0);
+      deck.gain.gain.value = deck === this._deck ? 1 : 0;
+    }
+  }
+
+  _notify() {
+    const state = this.state;
+    for (const listener of this._listeners) listener(state, this);
+  }
+}
+
+function ramp(gain, from, to, start, end) {
+  gain.gain.cancelScheduledValues(start);
+  gain.gain.setValueAtTime(from, start);
+  gain.gain.linearRampToValueAtTime(to, end);
+}
+
+function release(item) {
+  URL.revokeObjectURL(item.url);
+  if (item.cover) URL.revokeObjectURL(item.cover);
+}
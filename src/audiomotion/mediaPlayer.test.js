@@ -0,0 +1,180 @@
+import { MediaPlayer, itemTitle } from './mediaPlayer';
+import { FakeAudioContext } from '../testUtils/fakeAudioContext';
+import { FakeMediaElement } from '../testUtils/fakeMediaElement';
+
+beforeEach(() => {
+  let count = 0;
+  URL.createObjectURL = jest.fn(() => `blob:${++count}`);
+  URL.revokeObjectURL = jest.fn();
+});
+
+function create(options) {
+  const elements = [];
+  const player = new MediaPlayer(new FakeAudioContext(), {
+    createElement: () => elements[elements.push(new FakeMediaElement()) - 1],
+    ...options,
+  });
+  const files = ['a.mp3', 'b.mp3', 'c.mp3'].map(name => new File([''], name, { type: 'audio/mpeg' }));
+  player.add(files);
+  return { player, elements };
+}
+
+const playing = elements => elements.find(element => !element.paused);
+
+test('plays the queue with transport controls', async () => {
+  const { player, elements } = create();
+  const listener = jest.fn();
+  player.subscribe(listener);
+
+  await player.play();
+  expect(player.state).toEqual(expect.objectContaining({ index: 0, playing: true, duration: 100 }));
+  expect(playing(elements).src).toBe('blob:1');
+  expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ playing: true }), player);
+
+  await player.next();
+  expect(playing(elements).src).toBe('blob:2');
+
+  player.seek(30);
+  expect(player.state.currentTime).toBe(30);
+  await player.previous(); // restarts the current track
+  expect(player.state).toEqual(expect.objectContaining({ index: 1, currentTime: 0 }));
+  await player.previous();
+  expect(player.state.index).toBe(0);
+
+  await player.toggle();
+  expect(player.state.playing).toBe(false);
+  expect(elements.every(element => element.paused)).toBe(true);
+});
+
+test('preloads the next track and switches decks when one ends', async () => {
+  const { player, elements } = create();
+  await player.select(1);
+
+  const [active, idle] = elements[0].src === 'blob:2' ? elements : elements.slice().reverse();
+  expect(idle.src).toBe('blob:3');
+
+  active.advance(100);
+  expect(player.state.index).toBe(2);
+  expect(playing(elements)).toBe(idle);
+  expect(player.outputs.map(gain => gain.gain.value)).toEqual(elements.map(element => (element === idle ? 1 : 0)));
+
+  idle.advance(100); // end of the queue
+  expect(player.state).toEqual(expect.objectContaining({ index: 2, playing: false }));
+});
+
+test('starts the next track right as the current one ends', async () => {
+  jest.useFakeTimers();
+  const { player, elements } = create();
+  await player.play();
+  const first = playing(elements);
+  const second = elements.find(element => element !== first);
+
+  first.advance(99);
+  expect(second.paused).toBe(true);
+  first.advance(0.7);
+  jest.advanceTimersByTime(240); // starts 50ms before the end
+  expect(second.paused).toBe(true);
+
+  jest.advanceTimersByTime(20);
+  expect(player.state.index).toBe(1);
+  expect(second.paused).toBe(false);
+  expect(first.paused).toBe(false); // overlaps it briefly
+  const [fadeOut, fadeIn] = first === elements[0] ? player.outputs : player.outputs.slice().reverse();
+  expect(fadeOut.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(0, 0.05);
+  expect(fadeIn.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(1, 0.05);
+
+  first.advance(0.3);
+  expect(first.src).toBe('blob:3');
+  jest.useRealTimers();
+});
+
+test('drops the scheduled start when playback moves away from the end', async () => {
+  jest.useFakeTimers();
+  const { player, elements } = create();
+  await player.play();
+  const first = playing(elements);
+
+  first.advance(99.8);
+  player.seek(10);
+  jest.runOnlyPendingTimers();
+  expect(player.state.index).toBe(0);
+  expect(playing(elements)).toBe(first);
+
+  first.advance(89.8);
+  player.pause();
+  jest.runOnlyPendingTimers();
+  expect(player.state).toEqual(expect.objectContaining({ index: 0, playing: false }));
+  jest.useRealTimers();
+});
+
+test('crossfades into the next track', async () => {
+  const { player, elements } = create({ crossfade: 5 });
+  await player.play();
+  const first = playing(elements);
+  const second = elements.find(element => element !== first);
+
+  first.advance(90);
+  expect(second.paused).toBe(true);
+
+  first.advance(6);
+  expect(player.state.index).toBe(1);
+  expect(second.paused).toBe(false);
+  expect(first.paused).toBe(false); // still fading out
+  const [fadeOut, fadeIn] = first === elements[0] ? player.outputs : player.outputs.slice().reverse();
+  expect(fadeOut.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(0, 4);
+  expect(fadeIn.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(1, 4);
+
+  first.advance(4);
+  expect(first.src).toBe('blob:3'); // loaded once it's done fading out
+});
+
+test('repeats and shuffles', async () => {
+  const { player, elements } = create({ random: () => 0 });
+  player.repeat = 'one';
+  await player.play();
+
+  const first = playing(elements);
+  first.advance(100);
+  expect(player.state.index).toBe(0);
+  expect(playing(elements)).not.toBe(first); // the same file, preloaded on the other deck
+
+  player.repeat = 'off';
+  player.shuffle = true;
+  expect(player.state).toEqual(expect.objectContaining({ shuffle: true, repeat: 'off' }));
+  await player.next();
+  expect([1, 2]).toContain(player.state.index);
+});
+
+test('removes items and releases their files', async () => {
+  const { player, elements } = create();
+  await player.select(1);
+
+  player.remove(0);
+  expect(player.state.index).toBe(0);
+  expect(player.items.map(item => item.name)).toEqual(['b.mp3', 'c.mp3']);
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:1');
+
+  player.remove(0);
+  expect(player.state).toEqual(expect.objectContaining({ index: -1, playing: false, item: null }));
+  expect(elements.every(element => element.paused)).toBe(true);
+
+  player.destroy();
+  expect(player.items).toEqual([]);
+  expect(URL.revokeObjectURL).toHaveBeenCalledTimes(3);
+});
+
+test('reads the metadata of added files', async () => {
+  const { player } = create();
+  const listener = jest.fn();
+  player.subscribe(listener);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  expect(player.items[0].metadata).toEqual(expect.objectContaining({ title: 'a' }));
+  expect(listener).toHaveBeenCalled();
+});
+
+test('names items from their metadata', () => {
+  expect(itemTitle({ name: 'a.mp3', metadata: null })).toBe('a.mp3');
+  expect(itemTitle({ name: 'a.mp3', metadata: { title: 'Song' } })).toBe('Song');
+  expect(itemTitle({ name: 'a.mp3', metadata: { title: 'Song', artist: 'Band' } })).toBe('Band - Song');
+});
@@ -0,0 +1,196 @@
+/**
+ * Audio file metadata - title, artist, album and cover art, read from ID3 tags (v2.2, v2.3, v2.4 and v1)
+ *
+ * Files without tags (or in other formats) get their title from the file name.
+ */
+
+// ID3v2.2 frames use three-character ids
+const V22_FRAMES = { TT2: 'TIT2', TP1: 'TPE1', TAL: 'TALB', PIC: 'APIC' };
+const TEXT_FRAMES = { TIT2: 'title', TPE1: 'artist', TALB: 'album' };
+const FRONT_COVER = 3;
+
+function readBytes(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+const synchsafe = (bytes, i) => (bytes[i] << 21) | (bytes[i + 1] << 14) | (bytes[i + 2] << 7) | bytes[i + 3];
+const uint32 = (bytes, i) => ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0;
+
+// undo unsynchronisation - 0xFF 0x00 was written for every 0xFF
+function resync(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0) i++;
+  }
+  return Uint8Array.from(out);
+}
+
+function decodeUtf8(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; ) {
+    const b = bytes[i++];
+    let code;
+    if (b < 0x80) code = b;
+    else if (b < 0xe0) code = ((b & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    else if (b < 0xf0) code = ((b & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    else code = ((b & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    text += String.fromCodePoint(code);
+  }
+  return text;
+}
+
+function decodeUtf16(bytes, bigEndian) {
+  let start = 0;
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) [start, bigEndian] = [2, false];
+  else if (bytes[0] === 0xfe && bytes[1] === 0xff) [start, bigEndian] = [2, true];
+
+  const units = [];
+  for (let i = start; i + 1 < bytes.length; i += 2)
+    units.push(bigEndian ? (bytes[i] << 8) | bytes[i + 1] : bytes[i] | (bytes[i + 1] << 8));
+  return String.fromCharCode(...units);
+}
+
+/**
+ * Decode ID3 text
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} encoding 0 ISO-8859-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ * @returns {string} the first value, for frames with several
+ */
+function decodeText(bytes, encoding) {
+  const text =
+    encoding === 3 ? decodeUtf8(bytes)
+    : encoding === 1 || encoding === 2 ? decodeUtf16(bytes, encoding === 2)
+    : String.fromCharCode(...bytes);
+  return text.split('\0')[0].trim();
+}
+
+// end of a null-terminated string - two null bytes (at an even offset) for UTF-16
+function findTerminator(bytes, start, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+  }
+  return bytes.length;
+}
+
+function parsePicture(data, isV22) {
+  const encoding = data[0];
+  let mimeType, pos;
+
+  if (isV22) {
+    const format = ascii(data, 1, 3).toLowerCase();
+    mimeType = `image/${format === 'jpg' ? 'jpeg' : format}`;
+    pos = 4;
+  } else {
+    const end = findTerminator(data, 1, 0);
+    mimeType = ascii(data, 1, end - 1) || 'image/jpeg';
+    pos = end + 1;
+  }
+
+  const type = data[pos];
+  const descriptionEnd = findTerminator(data, pos + 1, encoding);
+  const dataStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+  return { type, mimeType, data: data.slice(dataStart) };
+}
+
+/**
+ * Parse an ID3v2 tag
+ *
+ * @param {Uint8Array} bytes the tag, from the start of the file
+ * @returns {object|null} { title, artist, album, picture: { mimeType, data } } (missing fields are undefined),
+ *                        or null if there's no tag
+ */
+export function parseId3v2(bytes) {
+  if (bytes.length < 10 || ascii(bytes, 0, 3) !== 'ID3') return null;
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  const isV22 = version === 2;
+  let tag = bytes.subarray(10, 10 + synchsafe(bytes, 6));
+
+  // v2.4 unsynchronises each frame separately (frame flag), older versions the whole tag
+  if (flags & 0x80 && version < 4) tag = resync(tag);
+
+  let pos = 0;
+  if (flags & 0x40 && !isV22) pos = version === 4 ? synchsafe(tag, 0) : uint32(tag, 0) + 4; // skip the extended header
+
+  const idLength = isV22 ? 3 : 4;
+  const headerLength = isV22 ? 6 : 10;
+  const result = {};
+  let picture = null;
+
+  while (pos + headerLength <= tag.length) {
+    let id = ascii(tag, pos, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    const size = isV22
+      ? (tag[pos + 3] << 16) | (tag[pos + 4] << 8) | tag[pos + 5]
+      : version === 4 ? synchsafe(tag, pos + 4) : uint32(tag, pos + 4);
+    let data = tag.subarray(pos + headerLength, pos + headerLength + size);
+    if (version === 4 && tag[pos + 9] & 0x02) data = resync(data);
+    pos += headerLength + size;
+
+    if (isV22) id = V22_FRAMES[id] || id;
+
+    if (TEXT_FRAMES[id] && data.length > 1) result[TEXT_FRAMES[id]] = decodeText(data.subarray(1), data[0]) || undefined;
+    else if (id === 'APIC' && data.length > 4) {
+      const found = parsePicture(data, isV22);
+      if (!picture || (found.type === FRONT_COVER && picture.type !== FRONT_COVER)) picture = found;
+    }
+  }
+
+  if (picture) result.picture = { mimeType: picture.mimeType, data: picture.data };
+  return result;
+}
+
+/**
+ * Parse an ID3v1 tag
+ *
+ * @param {Uint8Array} bytes the last 128 bytes of the file
+ * @returns {object|null} { title, artist, album }, or null if there's no tag
+ */
+export function parseId3v1(bytes) {
+  if (bytes.length !== 128 || ascii(bytes, 0, 3) !== 'TAG') return null;
+
+  const field = (start, length) => decodeText(bytes.subarray(start, start + length), 0) || undefined;
+  return { title: field(3, 30), artist: field(33, 30), album: field(63, 30) };
+}
+
+/**
+ * Read the metadata of an audio file
+ *
+ * @param {File} file
+ * @returns {Promise<object>} { title, artist, album, picture } - title falls back to the file name (without
+ *                            extension); picture is a Blob with the cover art, or null
+ */
+export async function readMetadata(file) {
+  const fallback = { title: file.name.replace(/\.[^.]+$/, ''), artist: undefined, album: undefined, picture: null };
+
+  try {
+    let tags = null;
+    const header = await readBytes(file.slice(0, 10));
+
+    if (ascii(header, 0, 3) === 'ID3') tags = parseId3v2(await readBytes(file.slice(0, 10 + synchsafe(header, 6))));
+    else if (file.size >= 128) tags = parseId3v1(await readBytes(file.slice(file.size - 128)));
+
+    if (!tags) return fallback;
+
+    const { picture, ...text } = tags;
+    return {
+      ...fallback,
+      ...Object.fromEntries(Object.entries(text).filter(([, value]) => value)),
+      picture: picture ? new Blob([picture.data], { type: picture.mimeType }) : null,
+    };
+  } catch (err) {
+    return fallback; // unreadable or malformed - still playable
+  }
+}
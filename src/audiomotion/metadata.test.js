@@ -0,0 +1,78 @@
+import { parseId3v1, parseId3v2, readMetadata } from './metadata';
+
+const bytes = text => Array.from(text, c => c.charCodeAt(0));
+const utf16le = text => [0xff, 0xfe, ...Array.from(text).flatMap(c => [c.charCodeAt(0) & 0xff, c.charCodeAt(0) >> 8])];
+const synchsafe = n => [(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f];
+const uint32 = n => [n >>> 24, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+
+function frame(id, data, version) {
+  return [...bytes(id), ...(version === 4 ? synchsafe(data.length) : uint32(data.length)), 0, 0, ...data];
+}
+
+function id3v2(frames, version = 3) {
+  const body = frames.flatMap(([id, data]) => frame(id, data, version)).concat(new Array(16).fill(0)); // padding
+  return Uint8Array.from([...bytes('ID3'), version, 0, 0, ...synchsafe(body.length), ...body]);
+}
+
+const cover = [0xff, 0xd8, 0xff, 0xe0];
+
+test('reads text frames and the front cover from ID3v2.3', () => {
+  const tag = id3v2([
+    ['TIT2', [0, ...bytes('Song title')]],
+    ['TPE1', [1, ...utf16le('Artíst'), 0, 0]],
+    ['APIC', [0, ...bytes('image/png'), 0, 0, ...bytes('back'), 0, 1, 2]], // "other" picture
+    ['APIC', [0, ...bytes('image/jpeg'), 0, 3, 0, ...cover]],
+  ]);
+
+  const tags = parseId3v2(tag);
+  expect(tags).toEqual(expect.objectContaining({ title: 'Song title', artist: 'Artíst' }));
+  expect(tags.album).toBeUndefined();
+  expect(tags.picture.mimeType).toBe('image/jpeg');
+  expect(Array.from(tags.picture.data)).toEqual(cover);
+});
+
+test('reads UTF-8 text from ID3v2.4, with synchsafe frame sizes', () => {
+  const album = [0xc3, 0xa9, ...bytes('t')]; // 'ét'
+  const tag = id3v2(
+    [
+      ['TALB', [3, ...album, 0, ...bytes('other')]], // a second value, ignored
+      ['TIT2', [3, ...bytes('A'.repeat(200))]], // size over 127 bytes
+    ],
+    4
+  );
+
+  const tags = parseId3v2(tag);
+  expect(tags.album).toBe('ét');
+  expect(tags.title).toHaveLength(200);
+});
+
+test('reads ID3v2.2 and ID3v1 tags', () => {
+  const v22 = [...bytes('TT2'), 0, 0, 4, 0, ...bytes('Old'), ...bytes('PIC'), 0, 0, 10, 0, ...bytes('JPG'), 3, 0, ...cover];
+  const tag = Uint8Array.from([...bytes('ID3'), 2, 0, 0, ...synchsafe(v22.length), ...v22]);
+  expect(parseId3v2(tag)).toEqual({ title: 'Old', picture: { mimeType: 'image/jpeg', data: Uint8Array.from(cover) } });
+
+  const v1 = new Uint8Array(128);
+  v1.set(bytes('TAG'));
+  v1.set(bytes('Title'), 3);
+  v1.set(bytes('Artist   '), 33);
+  expect(parseId3v1(v1)).toEqual({ title: 'Title', artist: 'Artist', album: undefined });
+
+  expect(parseId3v2(new Uint8Array(20))).toBeNull();
+  expect(parseId3v1(new Uint8Array(128))).toBeNull();
+});
+
+test('reads a file, falling back to its name', async () => {
+  const tag = id3v2([['TIT2', [0, ...bytes('Tagged')]], ['APIC', [0, ...bytes('image/jpeg'), 0, 3, 0, ...cover]]]);
+  const tagged = await readMetadata(new File([tag, new Uint8Array(1000)], 'file.mp3'));
+
+  expect(tagged.title).toBe('Tagged');
+  expect(tagged.picture).toBeInstanceOf(Blob);
+  expect(tagged.picture.type).toBe('image/jpeg');
+
+  expect(await readMetadata(new File([new Uint8Array(500)], 'My song.flac'))).toEqual({
+    title: 'My song',
+    artist: undefined,
+    album: undefined,
+    picture: null,
+  });
+});
@@ -0,0 +1,172 @@
+import { AudioMotionAnalyzer } from '../components/AudiomotionAnalyzer';
+import { SoftwareAnalyser } from './fft';
+
+/**
+ * Offline rendering - generate analyzer frames from decoded audio at a fixed frame rate,
+ * without real-time playback (e.g. for videos and thumbnails)
+ */
+
+// stand-in for the audio nodes the analyzer routes between (gain, splitter, merger, destination)
+class InertNode {
+  constructor(context) {
+    this.context = context;
+    this.gain = { value: 1 };
+  }
+
+  connect() {}
+  disconnect() {}
+}
+
+/**
+ * Minimal audio context for the analyzer, whose analyser nodes are fed directly from sample buffers
+ */
+export class OfflineAnalysisContext {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.state = 'running';
+    this.destination = new InertNode(this);
+    this.analysers = [];
+  }
+
+  createAnalyser() {
+    const analyser = new SoftwareAnalyser(this);
+    this.analysers.push(analyser);
+    return analyser;
+  }
+
+  createGain() {
+    return new InertNode(this);
+  }
+
+  createChannelSplitter() {
+    return new InertNode(this);
+  }
+
+  createChannelMerger() {
+    return new InertNode(this);
+  }
+
+  resume() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Decode an audio file (browser only)
+ *
+ * @param {ArrayBuffer} data encoded audio
+ * @param {number} [sampleRate]
+ * @returns {Promise<AudioBuffer>}
+ */
+export function decodeAudioFile(data, sampleRate = 44100) {
+  const Context = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  return new Context(2, 1, sampleRate).decodeAudioData(data);
+}
+
+function createDefaultCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined')
+    return new OffscreenCanvas(width, height);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Render analyzer frames for a decoded audio buffer
+ *
+ * The same canvas is redrawn for every frame, so consume each frame (e.g. `canvas.convertToBlob()` or
+ * node-canvas' `toBuffer()`) before requesting the next one.
+ *
+ * @param {AudioBuffer|object} audioBuffer decoded audio, or any object with `sampleRate`, `numberOfChannels`,
+ *                             `length` and `getChannelData()`
+ * @param {object} [options] analyzer options (mode, gradient, stereo...), plus:
+ * @param {number} [options.fps] frame rate (default 30)
+ * @param {number} [options.start] start time in seconds
+ * @param {number} [options.end] end time in seconds (default: end of the audio)
+ * @param {number} [options.width] canvas width (default 1280)
+ * @param {number} [options.height] canvas height (default 720)
+ * @param {object} [options.canvas] canvas to draw on - OffscreenCanvas, node-canvas or HTMLCanvasElement
+ * @param {function} [options.createCanvas] factory for the analyzer's auxiliary canvases
+ * @returns {Generator} yields { index, time, canvas, analyzer } for each frame
+ */
+export function* renderFrames(audioBuffer, {
+  fps = 30,
+  start = 0,
+  end,
+  width = 1280,
+  height = 720,
+  canvas,
+  createCanvas,
+  ...options
+} = {}) {
+  const { sampleRate, numberOfChannels, length } = audioBuffer;
+  const audioCtx = new OfflineAnalysisContext(sampleRate);
+
+  const analyzer = new AudioMotionAnalyzer(null, {
+    ...options,
+    audioCtx,
+    canvas: canvas || createDefaultCanvas(width, height),
+    createCanvas,
+    width,
+    height,
+    connectSpeakers: false,
+    start: false,
+  });
+
+  // channel data for stereo modes, and a mono downmix (like AnalyserNode does for multichannel input), which is
+  // also the mid signal in mid/side mode - the side signal is only computed if needed
+  const left = audioBuffer.getChannelData(0);
+  const right = numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+  const mono = numberOfChannels > 1 ? left.map((sample, i) => (sample + right[i]) / 2) : left;
+  let side;
+
+  const [analyserL, analyserR] = audioCtx.analysers;
+  const lastFrame = Math.ceil(((end === undefined ? length / sampleRate : end) - start) * fps);
+
+  try {
+    for (let index = 0; index < lastFrame; index++) {
+      const time = start + index / fps;
+      const position = Math.round(time * sampleRate);
+
+      // same routing as the analyzer's audio graph, which depends on the mode and the stereo and midSide options
+      if (analyzer._routing === 'midside') {
+        side = side || left.map((sample, i) => (sample - right[i]) / 2);
+        analyserL.setInput(mono, position);
+        analyserR.setInput(side, position);
+      } else if (analyzer._routing === 'stereo') {
+        analyserL.setInput(left, position);
+        analyserR.setInput(right, position);
+      } else {
+        analyserL.setInput(mono, position);
+      }
+
+      analyzer.drawFrame(time * 1000);
+
+      yield { index, time, canvas: analyzer.canvas, analyzer };
+    }
+  } finally {
+    analyzer.destroy();
+  }
+}
+
+/**
+ * Render a single frame, e.g. for a thumbnail
+ * The analysis window is pre-rolled for the given smoothing, so the result matches real-time playback.
+ *
+ * @param {AudioBuffer|object} audioBuffer
+ * @param {number} time position in seconds
+ * @param {object} [options] same as renderFrames()
+ * @returns {object} canvas
+ */
+export function renderFrame(audioBuffer, time, options = {}) {
+  const fps = options.fps || 30;
+  const preroll = Math.floor(Math.min(time, 0.5) * fps) / fps; // 0.5s is enough for the smoothing to settle
+  let canvas;
+
+  for (const frame of renderFrames(audioBuffer, { ...options, fps, start: time - preroll, end: time + 1 / fps / 2 }))
+    canvas = frame.canvas;
+
+  return canvas;
+}
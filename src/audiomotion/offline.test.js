@@ -0,0 +1,114 @@
+import { FFT, SoftwareAnalyser } from './fft';
+import { renderFrame, renderFrames } from './offline';
+
+const SAMPLE_RATE = 44100;
+
+// AudioBuffer-like object with a sine wave on each channel
+function sineBuffer(freqs, duration = 1, amplitude = 1) {
+  const length = SAMPLE_RATE * duration;
+  const channels = freqs.map(freq =>
+    Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / SAMPLE_RATE))
+  );
+  return { sampleRate: SAMPLE_RATE, numberOfChannels: channels.length, length, getChannelData: ch => channels[ch] };
+}
+
+test('computes the DFT of a known signal', () => {
+  const fft = new FFT(8);
+  const re = Float64Array.from([1, 0, -1, 0, 1, 0, -1, 0]); // cosine at bin 2
+  const im = new Float64Array(8);
+
+  fft.forward(re, im);
+  expect(Array.from(re, v => Math.round(v))).toEqual([0, 0, 4, 0, 0, 0, 4, 0]);
+  expect(Array.from(im, v => Math.round(v) + 0)).toEqual([0, 0, 0, 0, 0, 0, 0, 0]);
+  expect(() => new FFT(12)).toThrow(RangeError);
+});
+
+test('analyzes samples like an AnalyserNode', () => {
+  const analyser = new SoftwareAnalyser();
+  analyser.fftSize = 1024;
+  analyser.smoothingTimeConstant = 0;
+  analyser.minDecibels = -100;
+  analyser.maxDecibels = 0;
+
+  const bin = 40;
+  const { getChannelData } = sineBuffer([(bin * SAMPLE_RATE) / 1024]);
+  analyser.setInput(getChannelData(0), 4096);
+
+  const db = new Float32Array(512);
+  analyser.getFloatFrequencyData(db);
+  const peak = db.indexOf(Math.max(...db));
+
+  expect(peak).toBe(bin);
+  expect(db[peak]).toBeCloseTo(20 * Math.log10(0.42 / 2), 1); // Blackman window coherent gain, one-sided
+  expect(db[bin + 10]).toBeLessThan(-100);
+
+  const bytes = new Uint8Array(512);
+  analyser.getByteFrequencyData(bytes);
+  expect(bytes[peak]).toBe(Math.floor((255 / 100) * (db[peak] + 100)));
+});
+
+test('renders frames at a fixed rate without the animation loop', () => {
+  const raf = jest.spyOn(window, 'requestAnimationFrame');
+  const audio = sineBuffer([1000, 1000], 0.5);
+  const frames = [];
+  let energy;
+
+  for (const { time, analyzer } of renderFrames(audio, { fps: 10, width: 320, height: 180, mode: 3 })) {
+    frames.push(time);
+    energy = { bass: analyzer.getEnergy('bass'), mid: analyzer.getEnergy('mid'), width: analyzer.canvas.width };
+  }
+
+  expect(frames).toEqual([0, 0.1, 0.2, 0.3, 0.4]);
+  expect(energy.width).toBe(320);
+  expect(energy.mid).toBeGreaterThan(energy.bass);
+  expect(raf).not.toHaveBeenCalled();
+  raf.mockRestore();
+});
+
+test('feeds each channel separately in stereo mode', () => {
+  const audio = sineBuffer([100, 8000], 0.2, 0.05);
+  let analyzer;
+
+  for (const frame of renderFrames(audio, { fps: 10, stereo: true, start: 0.1 }))
+    analyzer = frame.analyzer;
+
+  const [left, right] = analyzer._fftData;
+  const peakBin = data => data.indexOf(Math.max(...data));
+  expect(Math.abs(peakBin(left) - analyzer._freqToBin(100))).toBeLessThanOrEqual(1);
+  expect(Math.abs(peakBin(right) - analyzer._freqToBin(8000))).toBeLessThanOrEqual(1);
+  expect(analyzer.isDestroyed).toBe(true);
+});
+
+test('feeds both channels in goniometer mode', () => {
+  // the right channel in opposite phase
+  const audio = sineBuffer([440], 0.2, 0.5);
+  const left = audio.getChannelData(0);
+  const right = left.map(sample => -sample);
+  Object.assign(audio, { numberOfChannels: 2, getChannelData: ch => (ch ? right : left) });
+  let correlation;
+
+  for (const { analyzer } of renderFrames(audio, { fps: 10, mode: 13, start: 0.1 })) correlation = analyzer.getCorrelation();
+
+  expect(correlation).toBeCloseTo(-1, 2);
+});
+
+test('feeds the mid and side signals in mid/side mode', () => {
+  const audio = sineBuffer([1000, 1000], 0.2, 0.5);
+  let analyzer;
+
+  for (const frame of renderFrames(audio, { fps: 10, stereo: true, midSide: true, start: 0.1 }))
+    analyzer = frame.analyzer;
+
+  // identical channels - everything is in the mid signal
+  const [mid, side] = analyzer._fftData;
+  expect(Math.max(...mid)).toBeGreaterThan(0);
+  expect(Math.max(...side)).toBe(0);
+});
+
+test('renders a single thumbnail frame', () => {
+  const canvas = document.createElement('canvas');
+  const result = renderFrame(sineBuffer([440]), 0.8, { canvas, width: 200, height: 100 });
+
+  expect(result).toBe(canvas);
+  expect(canvas.height).toBe(100);
+});
@@ -0,0 +1,31 @@
+/**
+ * Peak hold and decay, based on elapsed time so peaks behave the same at any frame rate
+ */
+
+// decay models - 'none' holds each peak at its maximum until the peaks are reset
+export const PEAK_DECAY = ['gravity', 'exponential', 'none'];
+
+// level an exponentially decaying peak falls to (relative to where it started) after `decayTime`
+const EXPONENTIAL_FLOOR = 0.01;
+
+/**
+ * Height of a peak some time after it was set
+ *
+ * @param {number} top height the peak was set at
+ * @param {number} elapsed time since it was set, in ms
+ * @param {object} options
+ * @param {number} options.holdTime time the peak stays at the top before it starts falling, in ms
+ * @param {string} options.decay one of PEAK_DECAY
+ * @param {number} options.decayTime time to fall the whole `scale` with 'gravity' (accelerating), or to drop to 1% of
+ *                 the top with 'exponential', in ms
+ * @param {number} [options.scale] full height, in the same unit as `top`
+ * @returns {number} current height, never below 0
+ */
+export function peakHeight(top, elapsed, { holdTime, decay, decayTime, scale = 1 }) {
+  const t = elapsed - holdTime;
+  if (t <= 0 || decay === 'none') return top;
+
+  if (decay === 'exponential') return top * EXPONENTIAL_FLOOR ** (t / decayTime);
+
+  return Math.max(0, top - scale * (t / decayTime) ** 2);
+}
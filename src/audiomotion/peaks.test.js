@@ -0,0 +1,30 @@
+import { peakHeight } from './peaks';
+
+const options = { holdTime: 500, decayTime: 1000, scale: 100 };
+
+test('holds the peak for the hold time', () => {
+  expect(peakHeight(80, 0, { ...options, decay: 'gravity' })).toBe(80);
+  expect(peakHeight(80, 500, { ...options, decay: 'gravity' })).toBe(80);
+  expect(peakHeight(80, -100, { ...options, decay: 'exponential' })).toBe(80);
+});
+
+test('falls with gravity, accelerating over the full scale', () => {
+  const gravity = { ...options, decay: 'gravity' };
+
+  expect(peakHeight(100, 1000, gravity)).toBeCloseTo(75);
+  expect(peakHeight(100, 1500, gravity)).toBe(0);
+  expect(peakHeight(50, 5000, gravity)).toBe(0);
+  // the same elapsed time gives the same height, however many frames were drawn in between
+  expect(peakHeight(100, 1200, gravity)).toBeCloseTo(100 - 100 * 0.7 ** 2);
+});
+
+test('decays exponentially', () => {
+  const exponential = { ...options, decay: 'exponential' };
+
+  expect(peakHeight(80, 1500, exponential)).toBeCloseTo(0.8);
+  expect(peakHeight(80, 1000, exponential)).toBeCloseTo(8);
+});
+
+test('never decays with the "none" model', () => {
+  expect(peakHeight(80, 60000, { ...options, decay: 'none' })).toBe(80);
+});
@@ -0,0 +1,128 @@
+/**
+ * Play queue - the order tracks are played in, with shuffle and repeat
+ *
+ * Shuffling keeps the current track and plays the others in a random order, each once per pass.
+ */
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+export class PlayQueue {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.random] random number generator, 0 to 1 (for tests)
+   */
+  constructor({ random = Math.random } = {}) {
+    this.items = [];
+    this.index = -1; // current item, -1 if none
+    this._order = []; // item indices, in play order
+    this._shuffle = false;
+    this._repeat = 'off';
+    this._random = random;
+  }
+
+  get current() {
+    return this.items[this.index] || null;
+  }
+
+  get shuffle() {
+    return this._shuffle;
+  }
+  set shuffle(value) {
+    this._shuffle = !!value;
+    this._reorder();
+  }
+
+  get repeat() {
+    return this._repeat;
+  }
+  set repeat(value) {
+    if (!REPEAT_MODES.includes(value)) throw new Error(`Repeat must be one of ${REPEAT_MODES}`);
+    this._repeat = value;
+  }
+
+  /**
+   * Append items to the queue
+   *
+   * @param {object[]} items
+   * @returns {number} index of the first item added
+   */
+  add(items) {
+    const first = this.items.length;
+    this.items.push(...items);
+    const added = items.map((_, i) => first + i);
+    this._order.push(...(this._shuffle ? this._shuffled(added) : added));
+    return first;
+  }
+
+  /**
+   * Remove an item - removing the current item leaves the queue with no current item
+   *
+   * @param {number} index
+   * @returns {object} the removed item
+   */
+  remove(index) {
+    const [item] = this.items.splice(index, 1);
+    this._order = this._order.filter(i => i !== index).map(i => (i > index ? i - 1 : i));
+    if (this.index === index) this.index = -1;
+    else if (this.index > index) this.index--;
+    return item;
+  }
+
+  clear() {
+    this.items = [];
+    this._order = [];
+    this.index = -1;
+  }
+
+  /**
+   * Index of the item to play after (step 1) or before (step -1) the current one
+   *
+   * @param {number} step
+   * @param {boolean} [auto] true when the current item finished playing - only then 'one' repeats it
+   * @returns {number} item index, or -1 at either end of the queue (unless repeating)
+   */
+  peek(step, auto = false) {
+    const length = this._order.length;
+    if (!length) return -1;
+    if (this.index < 0) return step > 0 ? this._order[0] : -1;
+    if (auto && this._repeat === 'one') return this.index;
+
+    let pos = this._order.indexOf(this.index) + step;
+    if (pos < 0 || pos >= length) {
+      if (this._repeat === 'off') return -1;
+      pos = (pos + length) % length;
+    }
+    return this._order[pos];
+  }
+
+  /**
+   * Move to the next or previous item
+   *
+   * @param {number} step 1 or -1
+   * @param {boolean} [auto] see peek()
+   * @returns {object|null} the new current item; null (with the current item unchanged) at either end
+   */
+  move(step, auto = false) {
+    const index = this.peek(step, auto);
+    if (index < 0) return null;
+    this.index = index;
+    return this.current;
+  }
+
+  _reorder() {
+    const all = this.items.map((_, i) => i);
+    if (!this._shuffle) this._order = all;
+    else if (this.index < 0) this._order = this._shuffled(all);
+    else this._order = [this.index, ...this._shuffled(all.filter(i => i !== this.index))];
+  }
+
+  // Fisher-Yates shuffle
+  _shuffled(indices) {
+    const result = indices.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this._random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
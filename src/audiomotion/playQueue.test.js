@@ -0,0 +1,67 @@
+import { PlayQueue } from './playQueue';
+
+const tracks = names => names.split('').map(name => ({ name }));
+
+// plays the queue from the start, returning the names in play order
+function playAll(queue, steps) {
+  const played = [];
+  for (let i = 0; i < steps && queue.move(1, true); i++) played.push(queue.current.name);
+  return played.join('');
+}
+
+test('plays in order and stops at the end', () => {
+  const queue = new PlayQueue();
+  expect(queue.add(tracks('abc'))).toBe(0);
+
+  expect(playAll(queue, 10)).toBe('abc');
+  expect(queue.current.name).toBe('c');
+  expect(queue.move(-1).name).toBe('b');
+  expect(queue.move(-1).name).toBe('a');
+  expect(queue.move(-1)).toBeNull();
+});
+
+test('repeats the queue or the current item', () => {
+  const queue = new PlayQueue();
+  queue.add(tracks('ab'));
+  queue.repeat = 'all';
+  expect(playAll(queue, 5)).toBe('ababa');
+
+  queue.repeat = 'one';
+  expect(playAll(queue, 3)).toBe('aaa');
+  expect(queue.move(1).name).toBe('b'); // skipping still moves on
+
+  expect(() => (queue.repeat = 'twice')).toThrow('Repeat must be one of');
+});
+
+test('shuffles each item once per pass, starting from the current one', () => {
+  const queue = new PlayQueue({ random: () => 0 });
+  queue.add(tracks('abcd'));
+  queue.move(1);
+  queue.move(1);
+
+  queue.shuffle = true;
+  expect(queue.current.name).toBe('b');
+  const order = playAll(queue, 10);
+  expect(order.split('').sort().join('')).toBe('acd');
+
+  queue.shuffle = false;
+  queue.index = 0;
+  expect(playAll(queue, 10)).toBe('bcd');
+});
+
+test('keeps the current item when others are removed', () => {
+  const queue = new PlayQueue();
+  queue.add(tracks('abcd'));
+  queue.index = 2;
+
+  expect(queue.remove(0).name).toBe('a');
+  expect(queue.current.name).toBe('c');
+  expect(queue.peek(1)).toBe(2);
+
+  queue.remove(1);
+  expect(queue.current).toBeNull();
+  expect(queue.peek(1)).toBe(0);
+
+  queue.clear();
+  expect(queue.peek(1)).toBe(-1);
+});
@@ -0,0 +1,330 @@
+/**
+ * Analyzer presets
+ *
+ * A preset is a named analyzer configuration, stored as plain JSON:
+ *
+ *   {
+ *     format: 'audiomotion-preset',
+ *     version: '3.2.1',            // AudioMotionAnalyzer.version when the preset was saved
+ *     name: 'My preset',
+ *     options: { mode: 3, ... },   // any settings accepted by setOptions(), except `start` and `volume`
+ *     gradients: { name: {...} },  // custom gradients, as passed to registerGradient()
+ *     ledParams: { maxLeds, spaceV, spaceH }  // optional, see setLedParams()
+ *   }
+ *
+ * Presets saved by older versions are upgraded by migratePreset() before being validated.
+ */
+
+import { AudioMotionAnalyzer } from '../components/AudiomotionAnalyzer';
+
+export const PRESET_FORMAT = 'audiomotion-preset';
+
+// settings not stored in presets - they're about playback and measurement, not about how the analyzer looks
+const RUNTIME_SETTINGS = ['start', 'volume', 'loudnessMeter'];
+
+const STORAGE_KEY = 'audioMotionPresets';
+
+// ranges accepted by the analyzer's setters for numeric settings (any number must also be finite)
+const OPTION_RANGES = {
+  fftSize: value => value >= 32 && value <= 32768 && (value & (value - 1)) === 0,
+  minFreq: value => value >= 1,
+  maxFreq: value => value >= 1,
+  smoothing: value => value >= 0 && value <= 1,
+  spectrogramHistory: value => value >= 1 && value <= 4096,
+  attackTime: value => value >= 0,
+  releaseTime: value => value >= 0,
+  peakHoldTime: value => value >= 0,
+  peakDecayTime: value => value > 0,
+  reflexRatio: value => value >= 0 && value < 1,
+  reflexAlpha: value => value >= 0 && value <= 1,
+  reflexBright: value => value >= 0,
+  lineWidth: value => value >= 0,
+  fillAlpha: value => value >= 0 && value <= 1,
+  barSpace: value => value >= 0,
+  bgAlpha: value => value >= 0 && value <= 1,
+};
+
+/* Error thrown for malformed or unsupported presets */
+
+export class PresetError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PresetError';
+    this.code = code;
+  }
+}
+
+function preset(name, options) {
+  return { format: PRESET_FORMAT, version: AudioMotionAnalyzer.version, name, options, gradients: {} };
+}
+
+export const BUILTIN_PRESETS = [
+  preset('Classic LED bars', {
+    mode: 3,
+    barSpace: 0.4,
+    gradient: 'classic',
+    showLeds: true,
+    showPeaks: true,
+    showScaleX: true,
+  }),
+  preset('Radial spectrum', {
+    mode: 4,
+    radial: true,
+    spinSpeed: 1,
+    barSpace: 0.1,
+    gradient: 'prism',
+    showPeaks: true,
+    showScaleX: false,
+  }),
+  preset('Line graph', {
+    mode: 10,
+    lineWidth: 2,
+    fillAlpha: 0.3,
+    gradient: 'rainbow',
+    showPeaks: false,
+    reflexRatio: 0.4,
+  }),
+];
+
+/**
+ * Compare two version strings
+ *
+ * @returns {number} negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+// Upgrades applied, in order, to presets saved by a version older than `version`
+const MIGRATIONS = [
+  {
+    // a bare settings object with no metadata, as saved by the demo app - wrap it
+    version: '3.2.1',
+    migrate: data => {
+      if (data.format === PRESET_FORMAT) return data;
+      const options = Object.fromEntries(Object.entries(data).filter(([key]) => !RUNTIME_SETTINGS.includes(key)));
+      return { format: PRESET_FORMAT, name: 'Imported preset', options, gradients: {} };
+    },
+  },
+];
+
+/**
+ * Upgrade a preset saved by an older version of the analyzer
+ *
+ * @param {object} data parsed preset
+ * @returns {object} preset in the current format
+ */
+export function migratePreset(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data))
+    throw new PresetError('ERR_PRESET_NOT_AN_OBJECT', 'Preset must be an object');
+
+  const current = AudioMotionAnalyzer.version;
+  const version = typeof data.version === 'string' && data.format === PRESET_FORMAT ? data.version : '0.0.0';
+
+  if (compareVersions(version, current) > 0)
+    throw new PresetError('ERR_PRESET_TOO_NEW', `Preset was saved by a newer version (${version})`);
+
+  let migrated = data;
+  for (const { version: target, migrate } of MIGRATIONS) {
+    if (compareVersions(version, target) < 0) migrated = migrate(migrated);
+  }
+
+  return { ...migrated, version: current };
+}
+
+/**
+ * Check a preset against the schema
+ *
+ * @param {object} data
+ * @throws {PresetError} describing the first problem found
+ */
+export function validatePreset(data) {
+  const fail = (code, message) => {
+    throw new PresetError(code, message);
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const defaults = AudioMotionAnalyzer.defaults;
+  const choices = AudioMotionAnalyzer.optionChoices;
+
+  if (!isObject(data)) fail('ERR_PRESET_NOT_AN_OBJECT', 'Preset must be an object');
+  if (data.format !== PRESET_FORMAT) fail('ERR_PRESET_FORMAT', 'Not an analyzer preset');
+  if (typeof data.name !== 'string' || !data.name.trim()) fail('ERR_PRESET_NAME', 'Preset name must be a non-empty string');
+  if (!isObject(data.options)) fail('ERR_PRESET_OPTIONS', 'Preset options must be an object');
+
+  // the preset's own gradients can be selected too
+  const gradients = isObject(data.gradients) ? Object.keys(data.gradients) : [];
+  choices.gradient.push(...gradients);
+  choices.gradientRight.push(...gradients);
+
+  for (const [key, value] of Object.entries(data.options)) {
+    if (!(key in defaults) || RUNTIME_SETTINGS.includes(key))
+      fail('ERR_PRESET_UNKNOWN_OPTION', `Unknown option: '${key}'`);
+    if (key === 'frequencyScale' && Array.isArray(value)) {
+      if (!value.every(freq => typeof freq === 'number'))
+        fail('ERR_PRESET_OPTION_TYPE', 'Frequency scale table must contain only numbers');
+      if (value.length < 2 || value.some((freq, i) => !(freq >= 1) || (i > 0 && freq <= value[i - 1])))
+        fail('ERR_PRESET_OPTION_VALUE', 'Frequency scale table must be ascending frequencies >= 1');
+      continue;
+    }
+    if (typeof value !== typeof defaults[key])
+      fail('ERR_PRESET_OPTION_TYPE', `Option '${key}' must be a ${typeof defaults[key]}`);
+
+    // the weighting filter setter ignores case
+    const choice = key === 'weightingFilter' ? value.toUpperCase() : value;
+    if (key in choices && !choices[key].includes(choice))
+      fail('ERR_PRESET_OPTION_VALUE', `Invalid value for option '${key}': ${JSON.stringify(value)}`);
+    if (typeof value === 'number' && !(Number.isFinite(value) && (!OPTION_RANGES[key] || OPTION_RANGES[key](value))))
+      fail('ERR_PRESET_OPTION_VALUE', `Option '${key}' is out of range: ${value}`);
+  }
+
+  if (data.gradients !== undefined) {
+    if (!isObject(data.gradients)) fail('ERR_PRESET_GRADIENTS', 'Preset gradients must be an object');
+    for (const [name, gradient] of Object.entries(data.gradients)) {
+      if (!isObject(gradient) || !Array.isArray(gradient.colorStops) || gradient.colorStops.length < 2)
+        fail('ERR_PRESET_GRADIENTS', `Gradient '${name}' must define at least two colors`);
+    }
+  }
+
+  if (data.ledParams !== undefined) {
+    const { maxLeds, spaceV, spaceH } = isObject(data.ledParams) ? data.ledParams : {};
+    if (!(maxLeds > 0 && spaceV > 0 && spaceH >= 0))
+      fail('ERR_PRESET_LED_PARAMS', 'LED parameters must include maxLeds, spaceV and spaceH');
+  }
+}
+
+/**
+ * Capture the current analyzer settings as a preset
+ *
+ * @param {AudioMotionAnalyzer} analyzer
+ * @param {string} name
+ * @returns {object} preset
+ */
+export function presetFromAnalyzer(analyzer, name) {
+  const data = {
+    format: PRESET_FORMAT,
+    version: AudioMotionAnalyzer.version,
+    name,
+    options: analyzer.getOptions(RUNTIME_SETTINGS),
+    gradients: analyzer.customGradients,
+  };
+  if (analyzer.ledParams) data.ledParams = analyzer.ledParams;
+  return data;
+}
+
+/**
+ * Apply a preset to an analyzer
+ * Settings missing from the preset are reset to their defaults, so the result doesn't depend on the previous state.
+ * If a setting is rejected, the analyzer is put back the way it was before the error is rethrown.
+ *
+ * @param {AudioMotionAnalyzer} analyzer
+ * @param {object} preset
+ */
+export function applyPreset(analyzer, preset) {
+  const previous = presetFromAnalyzer(analyzer, '');
+  const options = { ...AudioMotionAnalyzer.defaults, ...preset.options };
+  for (const key of RUNTIME_SETTINGS) delete options[key];
+
+  try {
+    for (const [name, gradient] of Object.entries(preset.gradients || {}))
+      analyzer.registerGradient(name, gradient);
+    analyzer.setOptions(options);
+    analyzer.setLedParams(preset.ledParams);
+  } catch (err) {
+    for (const [name, gradient] of Object.entries(previous.gradients)) analyzer.registerGradient(name, gradient);
+    analyzer.setOptions(previous.options);
+    analyzer.setLedParams(previous.ledParams);
+    throw err;
+  }
+}
+
+/**
+ * Serialize a preset to JSON
+ * The `builtin` flag added by the store is left out - an exported built-in preset is imported as a user preset.
+ */
+export function exportPreset(preset) {
+  const { builtin, ...data } = preset;
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Parse, upgrade and validate a preset exported with exportPreset()
+ *
+ * @param {string} json
+ * @returns {object} preset
+ * @throws {PresetError}
+ */
+export function importPreset(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new PresetError('ERR_PRESET_INVALID_JSON', 'Preset file is not valid JSON');
+  }
+
+  // files exported before the flag was left out
+  const { builtin, ...migrated } = migratePreset(data);
+  validatePreset(migrated);
+  return migrated;
+}
+
+/**
+ * User presets kept in Web Storage, listed after the built-in ones
+ *
+ * @param {object} [options]
+ * @param {object} [options.storage] Storage where the presets are saved
+ * @returns {object} store
+ */
+export function createPresetStore({ storage = window.localStorage } = {}) {
+  function readUserPresets() {
+    try {
+      const saved = JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+      return saved.flatMap(data => {
+        try {
+          const migrated = migratePreset(data);
+          validatePreset(migrated);
+          return [migrated];
+        } catch (e) {
+          return []; // drop presets that can't be read anymore
+        }
+      });
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeUserPresets(presets) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  const isBuiltin = name => BUILTIN_PRESETS.some(p => p.name === name);
+
+  return {
+    list() {
+      return [...BUILTIN_PRESETS.map(p => ({ ...p, builtin: true })), ...readUserPresets()];
+    },
+
+    get(name) {
+      return this.list().find(p => p.name === name);
+    },
+
+    // adds a preset, or replaces the user preset with the same name
+    save(preset) {
+      validatePreset(preset);
+      if (isBuiltin(preset.name))
+        throw new PresetError('ERR_PRESET_BUILTIN', `'${preset.name}' is a built-in preset`);
+
+      const { builtin, ...data } = preset;
+      writeUserPresets([...readUserPresets().filter(p => p.name !== data.name), data]);
+    },
+
+    remove(name) {
+      writeUserPresets(readUserPresets().filter(p => p.name !== name));
+    },
+  };
+}
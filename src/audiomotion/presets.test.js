@@ -0,0 +1,204 @@
+import { AudioMotionAnalyzer } from '../components/AudiomotionAnalyzer';
+import {
+  BUILTIN_PRESETS,
+  PRESET_FORMAT,
+  applyPreset,
+  compareVersions,
+  createPresetStore,
+  exportPreset,
+  importPreset,
+  migratePreset,
+  presetFromAnalyzer,
+  validatePreset,
+} from './presets';
+import { installFakeAudioContext } from '../testUtils/fakeAudioContext';
+
+installFakeAudioContext();
+
+const VERSION = AudioMotionAnalyzer.version;
+
+function createAnalyzer(options) {
+  return new AudioMotionAnalyzer(document.createElement('div'), { start: false, ...options });
+}
+
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => (items[key] = String(value)),
+  };
+}
+
+const sunset = { bgColor: '#200', colorStops: ['#f80', '#f08', '#80f'] };
+
+test('compares version strings', () => {
+  expect(compareVersions('3.2.1', '3.2.1')).toBe(0);
+  expect(compareVersions('3.2.0', '3.10.0')).toBeLessThan(0);
+  expect(compareVersions('4.0', '3.9.9')).toBeGreaterThan(0);
+});
+
+test('captures the current settings, custom gradients and LED parameters', () => {
+  const analyzer = createAnalyzer({ mode: 6, showLeds: true });
+  analyzer.registerGradient('sunset', sunset);
+  analyzer.gradient = 'sunset';
+  analyzer.setLedParams({ maxLeds: 24, spaceV: 1, spaceH: 0.5 });
+
+  const preset = presetFromAnalyzer(analyzer, 'Sunset LEDs');
+
+  expect(preset).toEqual(
+    expect.objectContaining({ format: PRESET_FORMAT, version: VERSION, name: 'Sunset LEDs' })
+  );
+  expect(preset.options).toEqual(expect.objectContaining({ mode: 6, showLeds: true, gradient: 'sunset' }));
+  expect(preset.options).not.toHaveProperty('start');
+  expect(preset.options).not.toHaveProperty('volume');
+  expect(preset.gradients).toEqual({ sunset });
+  expect(preset.ledParams).toEqual({ maxLeds: 24, spaceV: 1, spaceH: 0.5 });
+  expect(() => validatePreset(preset)).not.toThrow();
+});
+
+test('round-trips a preset through JSON onto another analyzer', () => {
+  const source = createAnalyzer({ mode: 2, reflexRatio: 0.3 });
+  source.registerGradient('sunset', sunset);
+  source.gradient = 'sunset';
+  source.setLedParams({ maxLeds: 16, spaceV: 2, spaceH: 1 });
+
+  const target = createAnalyzer({ mode: 8, radial: true, volume: 0.5 });
+  applyPreset(target, importPreset(exportPreset(presetFromAnalyzer(source, 'Copy'))));
+
+  expect(target.mode).toBe(2);
+  expect(target.reflexRatio).toBe(0.3);
+  expect(target.radial).toBe(false); // reset to the default
+  expect(target.volume).toBe(0.5); // not part of presets
+  expect(target.gradient).toBe('sunset');
+  expect(target.ledParams).toEqual({ maxLeds: 16, spaceV: 2, spaceH: 1 });
+
+  applyPreset(target, BUILTIN_PRESETS[0]);
+  expect(target.ledParams).toBeUndefined();
+  expect(target.showLeds).toBe(true);
+});
+
+test('restores the previous settings when the analyzer rejects a preset', () => {
+  const target = createAnalyzer({ mode: 8, radial: true });
+  target.setLedParams({ maxLeds: 16, spaceV: 2, spaceH: 1 });
+  const preset = { ...BUILTIN_PRESETS[0], options: { mode: 2, reflexRatio: 1 } };
+
+  expect(() => applyPreset(target, preset)).toThrow(expect.objectContaining({ code: 'ERR_REFLEX_OUT_OF_RANGE' }));
+  expect(target.mode).toBe(8);
+  expect(target.radial).toBe(true);
+  expect(target.ledParams).toEqual({ maxLeds: 16, spaceV: 2, spaceH: 1 });
+});
+
+test('keeps a custom frequency scale table', () => {
+  const analyzer = createAnalyzer({ mode: 3, frequencyScale: [63, 125, 250, 500, 1000] });
+  const preset = importPreset(exportPreset(presetFromAnalyzer(analyzer, 'Table')));
+
+  expect(preset.options.frequencyScale).toEqual([63, 125, 250, 500, 1000]);
+  expect(() => validatePreset({ ...preset, options: { frequencyScale: ['63'] } })).toThrow(
+    expect.objectContaining({ code: 'ERR_PRESET_OPTION_TYPE' })
+  );
+});
+
+test.each([
+  { mode: 99 },
+  { mode: 9 },
+  { gradient: 'sunset' },
+  { gradientRight: 'nope' },
+  { frequencyScale: 'cubic' },
+  { frequencyScale: [1000, 500] },
+  { weightingFilter: 'Z' },
+  { peakDecay: 'linear' },
+  { spectrogramScroll: 'diagonal' },
+  { fftSize: 1000 },
+  { minFreq: -20 },
+  { reflexRatio: 1 },
+  { peakDecayTime: 0 },
+  { attackTime: -1 },
+  { barSpace: NaN },
+  { spinSpeed: Infinity },
+])('rejects out of range option values: %p', options => {
+  expect(() => validatePreset({ ...BUILTIN_PRESETS[0], options })).toThrow(
+    expect.objectContaining({ code: 'ERR_PRESET_OPTION_VALUE' })
+  );
+});
+
+test('accepts the gradients defined in the preset and any case of weighting filter', () => {
+  const preset = { ...BUILTIN_PRESETS[0], options: { gradient: 'sunset', weightingFilter: 'a' }, gradients: { sunset } };
+  expect(() => validatePreset(preset)).not.toThrow();
+});
+
+test('built-in presets are valid', () => {
+  for (const preset of BUILTIN_PRESETS) expect(() => validatePreset(preset)).not.toThrow();
+});
+
+test.each([
+  ['not json', 'ERR_PRESET_INVALID_JSON'],
+  ['[]', 'ERR_PRESET_NOT_AN_OBJECT'],
+  [JSON.stringify({ format: PRESET_FORMAT, version: VERSION, name: '', options: {} }), 'ERR_PRESET_NAME'],
+  [JSON.stringify({ format: PRESET_FORMAT, version: VERSION, name: 'x', options: { foo: 1 } }), 'ERR_PRESET_UNKNOWN_OPTION'],
+  [JSON.stringify({ format: PRESET_FORMAT, version: VERSION, name: 'x', options: { mode: '3' } }), 'ERR_PRESET_OPTION_TYPE'],
+  [
+    JSON.stringify({ format: PRESET_FORMAT, version: VERSION, name: 'x', options: {}, gradients: { g: { colorStops: ['red'] } } }),
+    'ERR_PRESET_GRADIENTS',
+  ],
+  [JSON.stringify({ format: PRESET_FORMAT, version: VERSION, name: 'x', options: {}, ledParams: { maxLeds: 0 } }), 'ERR_PRESET_LED_PARAMS'],
+  [JSON.stringify({ format: PRESET_FORMAT, version: '99.0.0', name: 'x', options: {} }), 'ERR_PRESET_TOO_NEW'],
+])('rejects invalid presets: %s', (json, code) => {
+  expect(() => importPreset(json)).toThrow(expect.objectContaining({ name: 'PresetError', code }));
+});
+
+test('upgrades a bare settings object from older versions', () => {
+  const preset = migratePreset({ mode: 5, showPeaks: false, start: true, volume: 0.8 });
+
+  expect(preset).toEqual({
+    format: PRESET_FORMAT,
+    version: VERSION,
+    name: 'Imported preset',
+    options: { mode: 5, showPeaks: false },
+    gradients: {},
+  });
+  expect(() => validatePreset(preset)).not.toThrow();
+});
+
+test('stores user presets after the built-in ones', () => {
+  const storage = memoryStorage();
+  const store = createPresetStore({ storage });
+  const mine = presetFromAnalyzer(createAnalyzer({ mode: 1 }), 'Mine');
+
+  store.save(mine);
+  store.save({ ...mine, options: { ...mine.options, mode: 7 } });
+
+  const names = store.list().map(p => p.name);
+  expect(names).toEqual([...BUILTIN_PRESETS.map(p => p.name), 'Mine']);
+  expect(store.get('Classic LED bars').builtin).toBe(true);
+
+  // presets persist across store instances
+  expect(createPresetStore({ storage }).get('Mine').options.mode).toBe(7);
+
+  expect(() => store.save({ ...mine, name: 'Line graph' })).toThrow(expect.objectContaining({ code: 'ERR_PRESET_BUILTIN' }));
+
+  store.remove('Mine');
+  expect(store.get('Mine')).toBeUndefined();
+});
+
+test('exports built-in presets as user presets', () => {
+  const store = createPresetStore({ storage: memoryStorage() });
+  const json = exportPreset(store.get('Classic LED bars'));
+  expect(JSON.parse(json).builtin).toBeUndefined();
+
+  // files exported with the flag
+  const preset = importPreset(JSON.stringify({ ...JSON.parse(json), name: 'My LED bars', builtin: true }));
+  expect(preset.builtin).toBeUndefined();
+  store.save(preset);
+  store.remove('My LED bars');
+  expect(store.get('My LED bars')).toBeUndefined();
+});
+
+test('ignores unreadable saved presets', () => {
+  const storage = memoryStorage();
+  storage.setItem('audioMotionPresets', JSON.stringify([{ format: PRESET_FORMAT, version: VERSION, name: 'x', options: 3 }]));
+
+  expect(createPresetStore({ storage }).list()).toHaveLength(BUILTIN_PRESETS.length);
+
+  storage.setItem('audioMotionPresets', '{broken');
+  expect(createPresetStore({ storage }).list()).toHaveLength(BUILTIN_PRESETS.length);
+});
@@ -0,0 +1,60 @@
+/**
+ * Waveform helpers - oscilloscope trigger and stereo analysis
+ */
+
+/**
+ * Find a trigger point for a stable oscilloscope display - the first rising zero crossing
+ *
+ * The signal must first fall below `-hysteresis`, so low-level noise around zero doesn't move the trigger.
+ *
+ * @param {ArrayLike<number>} samples waveform, -1 to 1
+ * @param {number} maxOffset search the samples up to this index
+ * @param {number} [hysteresis]
+ * @returns {number} index of the trigger sample, or 0 if there's no crossing (e.g. silence)
+ */
+export function findTrigger(samples, maxOffset, hysteresis = 0.01) {
+  let armed = false;
+
+  for (let i = 0; i <= maxOffset && i < samples.length; i++) {
+    if (samples[i] < -hysteresis) armed = true;
+    else if (armed && samples[i] >= 0) return i;
+  }
+
+  return 0;
+}
+
+/**
+ * Phase correlation between two channels
+ *
+ * @param {ArrayLike<number>} left
+ * @param {ArrayLike<number>} right
+ * @returns {number} 1 for identical (mono) signals, 0 for unrelated ones, -1 for opposite phase; 0 if either is silent
+ */
+export function correlation(left, right) {
+  let sumLR = 0;
+  let sumLL = 0;
+  let sumRR = 0;
+
+  for (let i = 0; i < left.length; i++) {
+    sumLR += left[i] * right[i];
+    sumLL += left[i] * left[i];
+    sumRR += right[i] * right[i];
+  }
+
+  return sumLL && sumRR ? sumLR / Math.sqrt(sumLL * sumRR) : 0;
+}
+
+/**
+ * Balance between two channels, from their RMS levels
+ *
+ * @param {ArrayLike<number>} left
+ * @param {ArrayLike<number>} right
+ * @returns {number} -1 (left only) to 1 (right only); 0 if centered or silent
+ */
+export function balance(left, right) {
+  const rms = samples => Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / (samples.length || 1));
+  const l = rms(left);
+  const r = rms(right);
+
+  return l + r ? (r - l) / (l + r) : 0;
+}
@@ -0,0 +1,45 @@
+import { balance, correlation, findTrigger } from './timeDomain';
+
+const sine = (length, period, phase = 0) =>
+  Float32Array.from({ length }, (_, i) => Math.sin((2 * Math.PI * i) / period + phase));
+
+test('triggers on the first rising zero crossing', () => {
+  // starts at the peak, so the first rising crossing is three quarters of a period in
+  const samples = sine(400, 100, Math.PI / 2);
+  const trigger = findTrigger(samples, 200);
+
+  expect(trigger).toBeGreaterThanOrEqual(75);
+  expect(trigger).toBeLessThanOrEqual(76);
+  expect(samples[trigger - 1]).toBeLessThan(0);
+  expect(samples[trigger]).toBeGreaterThanOrEqual(0);
+});
+
+test('ignores noise around zero and falls back to the start', () => {
+  const noise = Float32Array.from({ length: 100 }, (_, i) => (i % 2 ? 0.005 : -0.005));
+
+  expect(findTrigger(noise, 100)).toBe(0);
+  expect(findTrigger(new Float32Array(100), 100)).toBe(0);
+  expect(findTrigger(sine(400, 100, Math.PI / 2), 50)).toBe(0); // crossing beyond the search range
+});
+
+test('measures phase correlation', () => {
+  const left = sine(1000, 50);
+  const inverted = left.map(v => -v);
+
+  expect(correlation(left, left)).toBeCloseTo(1);
+  expect(correlation(left, inverted)).toBeCloseTo(-1);
+  expect(correlation(left, sine(1000, 50, Math.PI / 2))).toBeCloseTo(0, 1);
+  expect(correlation(left, new Float32Array(1000))).toBe(0);
+});
+
+test('measures the balance between channels', () => {
+  const signal = sine(1000, 50);
+  const half = signal.map(v => v / 2);
+  const silence = new Float32Array(1000);
+
+  expect(balance(signal, signal)).toBeCloseTo(0);
+  expect(balance(signal, silence)).toBe(-1);
+  expect(balance(silence, signal)).toBe(1);
+  expect(balance(signal, half)).toBeCloseTo(-1 / 3);
+  expect(balance(silence, silence)).toBe(0);
+});
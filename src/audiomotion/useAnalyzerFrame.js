@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react';
+
+const identity = frame => frame;
+
+/**
+ * Follow the analyzer's frame data from a React component
+ *
+ * The component re-renders whenever the selected value changes (compared with Object.is), so select
+ * only what the UI needs - e.g. `frame => Math.round(frame.energy * 10)` - to avoid rendering on every frame.
+ *
+ * @param {object} analyzer AudioMotionAnalyzer instance (may be undefined while it's being created)
+ * @param {function} [selector] picks the value to return from the frame data, see AudioMotionAnalyzer.getFrame()
+ * @returns {*} the selected value, or undefined until the first frame is rendered
+ */
+export function useAnalyzerFrame(analyzer, selector = identity) {
+  const [value, setValue] = useState();
+  const selectorRef = useRef(selector);
+  const valueRef = useRef();
+  selectorRef.current = selector;
+
+  useEffect(() => {
+    valueRef.current = undefined;
+    setValue(undefined);
+    if (!analyzer) return;
+
+    return analyzer.subscribe(frame => {
+      const selected = selectorRef.current(frame);
+      if (Object.is(valueRef.current, selected)) return;
+      valueRef.current = selected;
+      // wrapped, in case the selected value is a function
+      setValue(() => selected);
+    });
+  }, [analyzer]);
+
+  return value;
+}
@@ -0,0 +1,44 @@
+import { act, render, screen } from '@testing-library/react';
+import { useAnalyzerFrame } from './useAnalyzerFrame';
+import { ArrayDataProvider } from './dataProviders';
+import { AudioMotionAnalyzer } from '../components/AudiomotionAnalyzer';
+import { installFakeAudioContext } from '../testUtils/fakeAudioContext';
+
+installFakeAudioContext();
+
+function EnergyMeter({ analyzer, onRender }) {
+  const level = useAnalyzerFrame(analyzer, frame => Math.round(frame.energy * 10));
+  onRender();
+  return <span>level {level === undefined ? '-' : level}</span>;
+}
+
+test('re-renders when the selected value changes', () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  const provider = new ArrayDataProvider(new Uint8Array(4096));
+  const onRender = jest.fn();
+  analyzer.dataProvider = provider;
+
+  const { rerender } = render(<EnergyMeter analyzer={undefined} onRender={onRender} />);
+  expect(screen.getByText('level -')).toBeInTheDocument();
+
+  rerender(<EnergyMeter analyzer={analyzer} onRender={onRender} />);
+  act(() => analyzer.drawFrame(0));
+  expect(screen.getByText('level 0')).toBeInTheDocument();
+
+  const renders = onRender.mock.calls.length;
+  act(() => analyzer.drawFrame(16));
+  expect(onRender).toHaveBeenCalledTimes(renders); // same value, no render
+
+  provider.data = new Uint8Array(4096).fill(255);
+  act(() => analyzer.drawFrame(32));
+  expect(screen.getByText('level 10')).toBeInTheDocument();
+});
+
+test('unsubscribes on unmount', () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  const { unmount } = render(<EnergyMeter analyzer={analyzer} onRender={() => {}} />);
+
+  expect(analyzer._frameListeners.size).toBe(1);
+  unmount();
+  expect(analyzer._frameListeners.size).toBe(0);
+});
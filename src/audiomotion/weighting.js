@@ -0,0 +1,56 @@
+/**
+ * Frequency weighting curves
+ *
+ * Each function returns the gain, in dB, applied to a given frequency (Hz). A and C follow IEC 61672-1,
+ * B and D the withdrawn IEC 60651 / IEC 537 curves, and '468' follows ITU-R BS.468-4.
+ * All curves are normalized to 0 dB at 1 kHz.
+ */
+
+const f2 = f => f * f;
+
+function aWeighting(f) {
+  const r = (12194 ** 2 * f ** 4) / ((f2(f) + 20.6 ** 2) * Math.sqrt((f2(f) + 107.7 ** 2) * (f2(f) + 737.9 ** 2)) * (f2(f) + 12194 ** 2));
+  return 20 * Math.log10(r) + 2.0;
+}
+
+function bWeighting(f) {
+  const r = (12194 ** 2 * f ** 3) / ((f2(f) + 20.6 ** 2) * Math.sqrt(f2(f) + 158.5 ** 2) * (f2(f) + 12194 ** 2));
+  return 20 * Math.log10(r) + 0.17;
+}
+
+function cWeighting(f) {
+  const r = (12194 ** 2 * f2(f)) / ((f2(f) + 20.6 ** 2) * (f2(f) + 12194 ** 2));
+  return 20 * Math.log10(r) + 0.06;
+}
+
+function dWeighting(f) {
+  const h = ((1037918.48 - f2(f)) ** 2 + 1080768.16 * f2(f)) / ((9837328 - f2(f)) ** 2 + 11723776 * f2(f));
+  const r = (f / 6.8966888496476e-5) * Math.sqrt(h / ((f2(f) + 79919.29) * (f2(f) + 1345600)));
+  return 20 * Math.log10(r);
+}
+
+function itu468Weighting(f) {
+  const h1 = -4.737338981378384e-24 * f ** 6 + 2.043828333606125e-15 * f ** 4 - 1.363894795463638e-7 * f2(f) + 1;
+  const h2 = 1.306612257412824e-19 * f ** 5 - 2.118150887518656e-11 * f ** 3 + 5.559488023498642e-4 * f;
+  const r = (1.246332637532143e-4 * f) / Math.sqrt(h1 * h1 + h2 * h2);
+  return 18.2 + 20 * Math.log10(r);
+}
+
+export const WEIGHTING_FILTERS = {
+  A: aWeighting,
+  B: bWeighting,
+  C: cWeighting,
+  D: dWeighting,
+  468: itu468Weighting,
+};
+
+/**
+ * Gain of a weighting filter at a given frequency
+ *
+ * @param {string} filter one of the WEIGHTING_FILTERS keys; any other value (e.g. '') means no weighting
+ * @param {number} freq frequency in Hz
+ * @returns {number} gain in dB (-Infinity at 0 Hz)
+ */
+export function weightingGain(filter, freq) {
+  return WEIGHTING_FILTERS.hasOwnProperty(filter) ? WEIGHTING_FILTERS[filter](freq) : 0;
+}
@@ -0,0 +1,24 @@
+import { WEIGHTING_FILTERS, weightingGain } from './weighting';
+
+// reference values from the standards' tables (dB)
+test.each([
+  ['A', 31.5, -39.4],
+  ['A', 100, -19.1],
+  ['A', 10000, -2.5],
+  ['B', 100, -5.6],
+  ['C', 31.5, -3.0],
+  ['C', 10000, -4.4],
+  ['468', 6300, 12.2],
+  ['468', 100, -19.8],
+])('%s-weighting at %f Hz', (filter, freq, gain) => {
+  expect(Math.abs(weightingGain(filter, freq) - gain)).toBeLessThan(0.2);
+});
+
+test('all curves are 0 dB at 1 kHz', () => {
+  for (const filter of Object.keys(WEIGHTING_FILTERS)) expect(weightingGain(filter, 1000)).toBeCloseTo(0, 1);
+});
+
+test('no weighting for unknown filters', () => {
+  expect(weightingGain('', 100)).toBe(0);
+  expect(weightingGain('toString', 100)).toBe(0);
+});
@@ -0,0 +1,86 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import * as authApi from './authApi';
+import { decodeToken, isTokenExpired, TOKEN_KEY } from './authApi';
+
+const AuthContext = createContext(null);
+
+// longest delay setTimeout() supports
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function storedToken() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token && !isTokenExpired(decodeToken(token)) ? token : null;
+}
+
+/**
+ * Holds the backend session: the JWT, the user decoded from it and an authenticated axios instance
+ *
+ * @param {string} [props.baseURL] backend URL, defaults to REACT_APP_SERVER_URL
+ * @param {function} [props.adapter] axios adapter, to test without a server
+ */
+export function AuthProvider({ baseURL, adapter, children }) {
+  const [token, setToken] = useState(storedToken);
+  const tokenRef = useRef(token);
+
+  const saveToken = useCallback(newToken => {
+    if (newToken)
+      localStorage.setItem(TOKEN_KEY, newToken);
+    else
+      localStorage.removeItem(TOKEN_KEY);
+    tokenRef.current = newToken;
+    setToken(newToken);
+  }, []);
+
+  const logout = useCallback(() => saveToken(null), [saveToken]);
+
+  const api = useMemo(
+    () => authApi.createApiClient({ baseURL, adapter, getToken: () => tokenRef.current, onExpired: logout }),
+    [baseURL, adapter, logout]
+  );
+
+  const user = useMemo(() => token && decodeToken(token), [token]);
+
+  // end the session when the token expires
+  useEffect(() => {
+    if (!user || !user.exp)
+      return;
+
+    // browsers fire longer timeouts right away, so long-lived tokens are checked again in steps
+    let timer;
+    const check = () => {
+      const remaining = user.exp * 1000 - Date.now();
+      if (remaining <= 0)
+        logout();
+      else
+        timer = setTimeout(check, Math.min(remaining, MAX_TIMEOUT));
+    };
+    check();
+
+    return () => clearTimeout(timer);
+  }, [user, logout]);
+
+  const login = useCallback(
+    credentials => authApi.login(api, credentials).then(saveToken),
+    [api, saveToken]
+  );
+
+  const signup = useCallback(
+    async details => {
+      const newToken = await authApi.signup(api, details);
+      // log in right away if the backend didn't return a token for the new account
+      saveToken(newToken || (await authApi.login(api, details)));
+    },
+    [api, saveToken]
+  );
+
+  const value = useMemo(
+    () => ({ token, user, isAuthenticated: !!token, api, login, signup, logout }),
+    [token, user, api, login, signup, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
@@ -0,0 +1,33 @@
+import { act, render, screen } from '@testing-library/react';
+import { AuthProvider, useAuth } from './AuthContext';
+import { TOKEN_KEY } from './authApi';
+import { fakeJwt } from '../testUtils/jwt';
+
+const DAY = 24 * 3600 * 1000;
+
+function Session() {
+  const { isAuthenticated } = useAuth();
+  return <span>{isAuthenticated ? 'logged in' : 'logged out'}</span>;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  localStorage.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('keeps long-lived sessions until the token expires', () => {
+  const exp = Math.floor((Date.now() + 60 * DAY) / 1000);
+  localStorage.setItem(TOKEN_KEY, fakeJwt({ id: 'u1', exp }));
+  render(<AuthProvider><Session /></AuthProvider>);
+
+  act(() => jest.advanceTimersByTime(30 * DAY));
+  expect(screen.getByText('logged in')).toBeInTheDocument();
+
+  act(() => jest.advanceTimersByTime(30 * DAY));
+  expect(screen.getByText('logged out')).toBeInTheDocument();
+  expect(localStorage.getItem(TOKEN_KEY)).toBeNull();
+});
@@ -0,0 +1,114 @@
+import axios from 'axios';
+import jwtDecode from 'jwt-decode';
+
+// localStorage key holding the session token
+export const TOKEN_KEY = 'jwtToken';
+
+/* Error thrown when a request is attempted with an expired session */
+
+export class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Base URL of the MERN auth backend
+ */
+export function serverUrl(env = process.env) {
+  return env.REACT_APP_SERVER_URL || 'http://localhost:8000';
+}
+
+/**
+ * Decode the payload of a JWT
+ *
+ * @returns {object|null} payload, or null if the token is malformed
+ */
+export function decodeToken(token) {
+  try {
+    return jwtDecode(token);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function isTokenExpired(payload, now = Date.now()) {
+  return !payload || (payload.exp !== undefined && payload.exp * 1000 <= now);
+}
+
+/**
+ * Extract a user-friendly message from a failed backend request
+ */
+export function errorMessage(error) {
+  const data = error.response && error.response.data;
+  return (data && (data.msg || data.message || data.error)) || error.message;
+}
+
+/**
+ * Create an axios instance for the backend which sends the session token with every request
+ *
+ * @param {object} options
+ * @param {function} options.getToken returns the current token, if any
+ * @param {function} options.onExpired called when the token expires or the backend rejects it
+ * @param {string} [options.baseURL]
+ * @param {function} [options.adapter] axios adapter, to test without a server
+ * @param {function} [options.now] clock
+ * @returns {object} axios instance
+ */
+export function createApiClient({ getToken, onExpired, baseURL = serverUrl(), adapter, now = Date.now }) {
+  const client = axios.create({ baseURL, adapter });
+
+  client.interceptors.request.use(config => {
+    const token = getToken();
+
+    if (token) {
+      if (isTokenExpired(decodeToken(token), now())) {
+        onExpired();
+        return Promise.reject(new AuthError('ERR_SESSION_EXPIRED', 'Your session has expired, please log in again'));
+      }
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response && error.response.status === 401 && getToken())
+        onExpired();
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+}
+
+// a token the app can't read would leave it logged in without a user
+function checkToken(token) {
+  if (token !== undefined && !decodeToken(token))
+    throw new AuthError('ERR_INVALID_TOKEN', 'The server sent an invalid session token');
+  return token;
+}
+
+/**
+ * Create a user account
+ *
+ * @returns {Promise<string|undefined>} session token, if the backend logs the new user in
+ * @throws {AuthError} if the backend sends a token that can't be decoded
+ */
+export function signup(client, { name, email, password }) {
+  return client
+    .post('/api/users/signup', { name, email, password })
+    .then(res => checkToken((res.data && res.data.token) || undefined));
+}
+
+/**
+ * @returns {Promise<string>} session token
+ * @throws {AuthError} if the backend sends no token, or one that can't be decoded
+ */
+export function login(client, { email, password }) {
+  return client.post('/api/users/login', { email, password }).then(res => checkToken(res.data.token || null));
+}
@@ -0,0 +1,71 @@
+import { createApiClient, decodeToken, errorMessage, login, signup } from './authApi';
+import { fakeJwt, validJwt } from '../testUtils/jwt';
+
+// axios adapter standing in for the backend
+function fakeBackend(respond) {
+  const adapter = jest.fn(config => {
+    const { status = 200, data } = respond(config) || {};
+    const response = { status, statusText: '', headers: {}, config, data };
+    if (status >= 400)
+      return Promise.reject(Object.assign(new Error(`Request failed with status code ${status}`), { config, response }));
+    return Promise.resolve(response);
+  });
+  return adapter;
+}
+
+test('attaches the token to requests', async () => {
+  const token = validJwt();
+  const adapter = fakeBackend(() => ({ data: {} }));
+  const client = createApiClient({ baseURL: 'http://localhost:8000', adapter, getToken: () => token, onExpired: jest.fn() });
+
+  await client.get('/api/users/profile');
+  expect(adapter.mock.calls[0][0].headers.Authorization).toBe(`Bearer ${token}`);
+});
+
+test('rejects requests with an expired token without reaching the backend', async () => {
+  const token = fakeJwt({ id: 'u1', exp: 1000 });
+  const onExpired = jest.fn();
+  const adapter = fakeBackend(() => ({ data: {} }));
+  const client = createApiClient({ adapter, getToken: () => token, onExpired });
+
+  await expect(client.get('/api/users/profile')).rejects.toMatchObject({ code: 'ERR_SESSION_EXPIRED' });
+  expect(onExpired).toHaveBeenCalled();
+  expect(adapter).not.toHaveBeenCalled();
+});
+
+test('ends the session when the backend answers 401', async () => {
+  const onExpired = jest.fn();
+  const adapter = fakeBackend(() => ({ status: 401, data: { msg: 'Unauthorized' } }));
+  const client = createApiClient({ adapter, getToken: validJwt, onExpired });
+
+  const error = await client.get('/api/users/profile').catch(e => e);
+  expect(errorMessage(error)).toBe('Unauthorized');
+  expect(onExpired).toHaveBeenCalled();
+});
+
+test('logs in and signs up against the backend routes', async () => {
+  const token = validJwt();
+  const adapter = fakeBackend(({ url }) => ({ data: url.endsWith('/login') ? { token } : { name: 'Ada' } }));
+  const client = createApiClient({ baseURL: 'http://localhost:8000', adapter, getToken: () => null, onExpired: jest.fn() });
+
+  await expect(login(client, { email: 'ada@example.com', password: 'secret' })).resolves.toBe(token);
+  await expect(signup(client, { name: 'Ada', email: 'ada@example.com', password: 'secret' })).resolves.toBeUndefined();
+
+  expect(adapter.mock.calls.map(([config]) => config.baseURL + config.url)).toEqual([
+    'http://localhost:8000/api/users/login',
+    'http://localhost:8000/api/users/signup',
+  ]);
+  expect(decodeToken(token)).toMatchObject({ name: 'Ada' });
+});
+
+test('rejects a session token that cannot be decoded', async () => {
+  const adapter = fakeBackend(() => ({ data: { token: 'not-a-jwt' } }));
+  const client = createApiClient({ baseURL: 'http://localhost:8000', adapter, getToken: () => null, onExpired: jest.fn() });
+
+  await expect(login(client, { email: 'ada@example.com', password: 'secret' })).rejects.toMatchObject({
+    code: 'ERR_INVALID_TOKEN',
+  });
+  await expect(signup(client, { name: 'Ada', email: 'ada@example.com', password: 'secret' })).rejects.toMatchObject({
+    code: 'ERR_INVALID_TOKEN',
+  });
+});
@@ -1,5 +1,12 @@
 import React, { Component } from 'react';
-
+import { BALLISTICS, applyBallistics } from '../audiomotion/ballistics';
+import { AnalyserNodeProvider, readFloatFrequencyData, readTimeDomainData } from '../audiomotion/dataProviders';
+import { BeatDetector } from '../audiomotion/beatDetector';
+import { computeChroma, estimateKey, freqToNote } from '../audiomotion/chroma';
+import { balance, correlation, findTrigger } from '../audiomotion/timeDomain';
+import { LoudnessMeter, isLoudnessSupported } from '../audiomotion/loudnessWorklet';
+import { PEAK_DECAY, peakHeight } from '../audiomotion/peaks';
+import { WEIGHTING_FILTERS, weightingGain } from '../audiomotion/weighting';
 
 /**!
  * audioMotion-analyzer
@@ -17,9 +24,151 @@ const TAU     = 2 * Math.PI,
 	  HALF_PI = Math.PI / 2,
 	  RPM     = TAU / 3600,           // angle increment per frame for one revolution per minute @60fps
 	  ROOT24  = 2 ** ( 1 / 24 ),      // 24th root of 2
-	  C0      = 440 * ROOT24 ** -114; // ~16.35 Hz
-
-export default class AudioMotionAnalyzer extends React.Component {
+	  C0      = 440 * ROOT24 ** -114, // ~16.35 Hz
+	  SQRT2   = Math.SQRT2;
+
+// visualization modes beyond the spectrum modes (0-10)
+const SPECTROGRAM  = 11, // scrolling spectrogram (waterfall)
+	  OSCILLOSCOPE = 12, // waveform
+	  GONIOMETER   = 13; // XY plot of left vs right channel (vectorscope), with phase correlation meter
+
+// frequency scales - each maps a frequency (Hz) to a position in the scale's own unit, and back
+const FREQUENCY_SCALES = {
+	log   : [ f => Math.log10( f ), v => 10 ** v ],
+	linear: [ f => f, v => v ],
+	bark  : [ f => 26.81 * f / ( 1960 + f ) - .53, v => 1960 * ( v + .53 ) / ( 26.28 - v ) ], // Traunmüller (1990)
+	mel   : [ f => 2595 * Math.log10( 1 + f / 700 ), v => 700 * ( 10 ** ( v / 2595 ) - 1 ) ]
+};
+
+// scale for a custom table of band frequencies - the unit is the table index, with logarithmic interpolation in between
+const tableScale = table => {
+	const last    = table.length - 2,
+		  segment = f => {
+			let i = 0;
+			while ( i < last && f >= table[ i + 1 ] )
+				i++;
+			return i;
+		  };
+
+	return [
+		f => {
+			const i = segment( f );
+			return i + Math.log( f / table[ i ] ) / Math.log( table[ i + 1 ] / table[ i ] );
+		},
+		v => {
+			const i = Math.max( 0, Math.min( last, Math.floor( v ) ) );
+			return table[ i ] * ( table[ i + 1 ] / table[ i ] ) ** ( v - i );
+		}
+	];
+};
+
+// frequency ranges for the presets accepted by getEnergy() and getDecibels()
+const ENERGY_PRESETS = {
+	bass:    [ 20, 250 ],
+	lowMid:  [ 250, 500 ],
+	mid:     [ 500, 2e3 ],
+	highMid: [ 2e3, 4e3 ],
+	treble:  [ 4e3, 16e3 ]
+};
+
+// built-in gradients
+const GRADIENTS = {
+	classic: {
+		bgColor: '#111',
+		colorStops: [
+			'hsl( 0, 100%, 50% )',
+			{ pos: .6, color: 'hsl( 60, 100%, 50% )' },
+			'hsl( 120, 100%, 50% )'
+		]
+	},
+	prism:   {
+		bgColor: '#111',
+		colorStops: [
+			'hsl( 0, 100%, 50% )',
+			'hsl( 60, 100%, 50% )',
+			'hsl( 120, 100%, 50% )',
+			'hsl( 180, 100%, 50% )',
+			'hsl( 240, 100%, 50% )'
+		]
+	},
+	rainbow: {
+		bgColor: '#111',
+		dir: 'h',
+		colorStops: [
+			'hsl( 0, 100%, 50% )',
+			'hsl( 60, 100%, 50% )',
+			'hsl( 120, 100%, 50% )',
+			'hsl( 180, 100%, 47% )',
+			'hsl( 240, 100%, 58% )',
+			'hsl( 300, 100%, 50% )',
+			'hsl( 360, 100%, 50% )'
+		]
+	}
+};
+
+// scroll directions for the spectrogram mode
+const SPECTROGRAM_SCROLL = [ 'vertical', 'horizontal' ];
+
+// container formats tried, in order, when no mimeType is given to startRecording()
+const RECORDING_TYPES = [ 'video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm' ];
+
+// settings defaults
+const DEFAULT_SETTINGS = {
+	mode              : 0,
+	fftSize           : 8192,
+	minFreq           : 20,
+	maxFreq           : 22000,
+	frequencyScale    : 'log',
+	weightingFilter   : '',
+	useFloatData      : false,
+	linearAmplitude   : false,
+	noteLabels        : false,
+	spectrogramScroll : 'vertical',
+	spectrogramHistory: 256,
+	smoothing         : 0.5,
+	attackTime        : 0,
+	releaseTime       : 0,
+	gradient          : 'classic',
+	gradientRight     : 'rainbow',
+	minDecibels       : -85,
+	maxDecibels       : -25,
+	showBgColor       : true,
+	showLeds          : false,
+	showScaleX        : true,
+	showScaleY        : false,
+	showPeaks         : true,
+	peakHoldTime      : 500,
+	peakDecay         : 'gravity',
+	peakDecayTime     : 500,
+	showMaxHold       : false,
+	showFPS           : false,
+	loudnessMeter     : false,
+	showLoudness      : false,
+	lumiBars          : false,
+	loRes             : false,
+	reflexRatio       : 0,
+	reflexAlpha       : 0.15,
+	reflexBright      : 1,
+	reflexFit         : true,
+	lineWidth         : 0,
+	fillAlpha         : 1,
+	barSpace          : 0.1,
+	overlay           : false,
+	bgAlpha           : 0.7,
+	radial            : false,
+	spinSpeed         : 0,
+	stereo            : false,
+	stereoOverlay     : false,
+	midSide           : false,
+	splitGradient     : false,
+	start             : true,
+	volume            : 1
+};
+
+// callback functions properties
+const CALLBACKS = [ 'onCanvasDraw', 'onCanvasResize', 'onBeat', 'onOnset' ];
+
+export class AudioMotionAnalyzer {
 
 /**
  * CONSTRUCTOR
@@ -28,52 +177,27 @@ export default class AudioMotionAnalyzer extends React.Component {
  * @param {object} [options]
  * @returns {object} AudioMotionAnalyzer object
  */
-	super( container, options = {} ) {
+	constructor( container, options = {} ) {
 
 		this._ready = false;
 
-		// Gradient definitions
+		// Gradient definitions - a copy of the built-in ones, plus those added via registerGradient()
 
-		this._gradients = {
-			classic: {
-				bgColor: '#111',
-				colorStops: [
-					'hsl( 0, 100%, 50% )',
-					{ pos: .6, color: 'hsl( 60, 100%, 50% )' },
-					'hsl( 120, 100%, 50% )'
-				]
-			},
-			prism:   {
-				bgColor: '#111',
-				colorStops: [
-					'hsl( 0, 100%, 50% )',
-					'hsl( 60, 100%, 50% )',
-					'hsl( 120, 100%, 50% )',
-					'hsl( 180, 100%, 50% )',
-					'hsl( 240, 100%, 50% )'
-				]
-			},
-			rainbow: {
-				bgColor: '#111',
-				dir: 'h',
-				colorStops: [
-					'hsl( 0, 100%, 50% )',
-					'hsl( 60, 100%, 50% )',
-					'hsl( 120, 100%, 50% )',
-					'hsl( 180, 100%, 47% )',
-					'hsl( 240, 100%, 58% )',
-					'hsl( 300, 100%, 50% )',
-					'hsl( 360, 100%, 50% )'
-				]
-			},
-		};
+		this._gradients = JSON.parse( JSON.stringify( GRADIENTS ) );
+
+		// names of gradients added via registerGradient()
+		this._customGradients = new Set();
+
+		// Headless mode: draw on a canvas provided by the user (e.g. OffscreenCanvas or node-canvas), with no
+		// DOM container and no window events - the frames are rendered on demand with drawFrame()
+		this._headless = !! options.canvas;
 
 		// Set container
-		this._container = container || document.body;
+		this._container = container || ( this._headless ? null : document.body );
 
 		// Make sure we have minimal width and height dimensions in case of an inline container
-		this._defaultWidth  = this._container.clientWidth  || 640;
-		this._defaultHeight = this._container.clientHeight || 270;
+		this._defaultWidth  = ( this._headless ? options.canvas.width  : this._container.clientWidth  ) || 640;
+		this._defaultHeight = ( this._headless ? options.canvas.height : this._container.clientHeight ) || 270;
 
 		// Use audio context provided by user, or create a new one
 
@@ -88,6 +212,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 		else {
 			try {
 				audioCtx = new ( window.AudioContext || window.webkitAudioContext )();
+				this._ownContext = true; // so destroy() knows it can close it
 			}
 			catch( err ) {
 				throw new AudioMotionError( 'ERR_AUDIO_CONTEXT_FAIL', 'Could not create audio context. Web Audio API not supported?' );
@@ -112,24 +237,37 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 			(source) --->  input  ----------------------->  analyzer[0]  --------------------->  output  ---> (destination)
 
+			for MID/SIDE (stereo with the `midSide` option) - analyzer[0] gets (L + R) / 2 and analyzer[1] gets (L - R) / 2;
+			their outputs are left unconnected, and the audio goes straight from input to output:
+
+			                                   L  +--->  mid gains   --->  analyzer[0]
+			(source) --->  input  --->  splitter  |
+			                                   R  +--->  side gains  --->  analyzer[1]
+
+			The routing for the current settings is set up by _routeChannels().
+
 		*/
 
 		// create the analyzer nodes, channel splitter and merger, and gain nodes for input/output connections
 		const analyzer = this._analyzer = [ audioCtx.createAnalyser(), audioCtx.createAnalyser() ];
-		const splitter = this._splitter = audioCtx.createChannelSplitter(2);
+		this._splitter = audioCtx.createChannelSplitter(2);
  		const merger   = this._merger   = audioCtx.createChannelMerger(2);
  		this._input    = audioCtx.createGain();
  		this._output   = audioCtx.createGain();
 
+		// mid/side matrix: left and right to mid, left and right to side
+		this._midSideGains = [ .5, .5, .5, -.5 ].map( value => {
+			const gain = audioCtx.createGain();
+			gain.gain.value = value;
+			return gain;
+		});
+
  		// initialize sources array and connect audio source if provided in the options
 		this._sources = [];
+		this._elementNodes = new WeakMap();
 		if ( options.source )
 			this.connectInput( options.source );
 
- 		// connect splitter -> analyzers
- 		for ( const i of [0,1] )
-			splitter.connect( analyzer[ i ], i );
-
 		// connect merger -> output
 		merger.connect( this._output );
 
@@ -139,17 +277,38 @@ export default class AudioMotionAnalyzer extends React.Component {
 			this.connectOutput();
 
 		// initialize object to save energy
-		this._energy = { val: 0, peak: 0, hold: 0 };
+		this._energy = { val: 0, peak: 0, peakTop: 0, peakTime: 0 };
+
+		// functions called with the frame data after each frame is rendered - see subscribe()
+		this._frameListeners = new Set();
+
+		// per band onset detection and tempo tracking, fed on every frame
+		this._beatDetector = new BeatDetector();
+
+		// read frequency data from the analyzer nodes, unless another data provider is set
+		this._defaultProvider = this._dataProvider = new AnalyserNodeProvider( analyzer );
 
-		// create analyzer canvas
-		const canvas = document.createElement('canvas');
-		canvas.style = 'max-width: 100%;';
-		this._container.appendChild( canvas );
+		// create analyzer canvas, or use the one provided for headless mode
+		let canvas = options.canvas;
+		if ( ! canvas ) {
+			canvas = document.createElement('canvas');
+			canvas.style = 'max-width: 100%;';
+			this._container.appendChild( canvas );
+		}
 		this._canvasCtx = canvas.getContext('2d');
 
 		// create auxiliary canvases for the X-axis and radial scale labels
+		// in headless mode, use the `createCanvas` option or the same class as the provided canvas (OffscreenCanvas, node-canvas)
+		let createCanvas = options.createCanvas;
+		if ( ! createCanvas ) {
+			if ( this._headless && ! ( typeof HTMLCanvasElement !== 'undefined' && canvas instanceof HTMLCanvasElement ) )
+				createCanvas = () => new canvas.constructor( 1, 1 );
+			else
+				createCanvas = () => document.createElement('canvas');
+		}
 		for ( const ctx of [ '_scaleX', '_scaleR' ] )
-			this[ ctx ] = document.createElement('canvas').getContext('2d');
+			this[ ctx ] = createCanvas().getContext('2d');
+		this._createCanvas = createCanvas; // also used for the spectrogram history, created on demand
 
 		// Update canvas size on container / window resize and fullscreen events
 
@@ -174,16 +333,17 @@ export default class AudioMotionAnalyzer extends React.Component {
 		}
 
 		// if browser supports ResizeObserver, listen for resize on the container
-		if ( window.ResizeObserver ) {
-			const resizeObserver = new ResizeObserver( onResize );
-			resizeObserver.observe( this._container );
+		if ( ! this._headless && window.ResizeObserver ) {
+			this._resizeObserver = new ResizeObserver( onResize );
+			this._resizeObserver.observe( this._container );
 		}
 
 		// listen for resize events on the window - required for fullscreen on iPadOS
-		window.addEventListener( 'resize', onResize );
+		if ( ! this._headless )
+			window.addEventListener( 'resize', onResize );
 
 		// listen for fullscreenchange events on the canvas - not available on Safari
-		canvas.addEventListener( 'fullscreenchange', () => {
+		const onFullscreenChange = () => {
 			// set flag to indicate a fullscreen change in progress
 			this._fsChanging = true;
 
@@ -199,7 +359,9 @@ export default class AudioMotionAnalyzer extends React.Component {
 				this._fsChanging = false;
 				this._fsTimeout = 0;
 			}, 60 );
-		});
+		}
+		if ( ! this._headless )
+			canvas.addEventListener( 'fullscreenchange', onFullscreenChange );
 
 		// Resume audio context if in suspended state (browsers' autoplay policy)
 		const unlockContext = () => {
@@ -207,7 +369,11 @@ export default class AudioMotionAnalyzer extends React.Component {
 				audioCtx.resume();
 			window.removeEventListener( 'click', unlockContext );
 		}
-		window.addEventListener( 'click', unlockContext );
+		if ( ! this._headless )
+			window.addEventListener( 'click', unlockContext );
+
+		// keep references to the event handlers so they can be removed by destroy()
+		this._listeners = { onResize, onFullscreenChange, unlockContext };
 
 		// initialize internal variables
 		this._calcAux();
@@ -246,8 +412,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 	set fftSize( value ) {
 		for ( const i of [0,1] )
 			this._analyzer[ i ].fftSize = value;
-		const binCount = this._analyzer[0].frequencyBinCount;
-		this._fftData = [ new Uint8Array( binCount ), new Uint8Array( binCount ) ];
+		this._allocData();
 		this._calcBars();
 	}
 
@@ -264,6 +429,19 @@ export default class AudioMotionAnalyzer extends React.Component {
 		this._makeGrad();
 	}
 
+	// Gradient for the right channel (or side signal) when both channels share the same area - see stereoOverlay
+
+	get gradientRight() {
+		return this._gradientRight;
+	}
+	set gradientRight( value ) {
+		if ( ! this._gradients.hasOwnProperty( value ) )
+			throw new AudioMotionError( 'ERR_UNKNOWN_GRADIENT', `Unknown gradient: '${value}'` );
+
+		this._gradientRight = value;
+		this._makeGrad();
+	}
+
 	// Canvas size
 
 	get height() {
@@ -288,8 +466,9 @@ export default class AudioMotionAnalyzer extends React.Component {
 	}
 	set mode( value ) {
 		const mode = value | 0;
-		if ( mode >= 0 && mode <= 10 && mode !== 9 ) {
+		if ( mode >= 0 && mode <= GONIOMETER && mode !== 9 ) {
 			this._mode = mode;
+			this._routeChannels();
 			this._calcAux();
 			this._calcBars();
 			this._makeGrad();
@@ -386,6 +565,147 @@ export default class AudioMotionAnalyzer extends React.Component {
 		}
 	}
 
+	// Frequency scale - 'log', 'linear', 'bark', 'mel' or an array of band frequencies, in ascending order
+
+	get frequencyScale() {
+		const scale = this._frequencyScale;
+		return Array.isArray( scale ) ? [ ...scale ] : scale;
+	}
+	set frequencyScale( value ) {
+		const isTable = Array.isArray( value );
+
+		if ( isTable ? value.length < 2 || value.some( ( f, i ) => ! ( f >= 1 ) || ( i > 0 && f <= value[ i - 1 ] ) )
+					 : ! FREQUENCY_SCALES.hasOwnProperty( value ) )
+			throw new AudioMotionError( 'ERR_INVALID_FREQUENCY_SCALE', `Frequency scale must be one of ${ Object.keys( FREQUENCY_SCALES ) } or an ascending array of frequencies >= 1` );
+
+		this._frequencyScale = isTable ? [ ...value ] : value;
+		this._scaleFns = isTable ? tableScale( this._frequencyScale ) : FREQUENCY_SCALES[ value ];
+		this._calcBars();
+	}
+
+	// Weighting filter applied to the displayed spectrum and energy - '' (none), 'A', 'B', 'C', 'D' or '468'
+
+	get weightingFilter() {
+		return this._weightingFilter;
+	}
+	set weightingFilter( value ) {
+		value = value ? String( value ).toUpperCase() : '';
+		if ( value && ! WEIGHTING_FILTERS.hasOwnProperty( value ) )
+			throw new AudioMotionError( 'ERR_INVALID_WEIGHTING_FILTER', `Unknown weighting filter: '${value}'` );
+
+		this._weightingFilter = value;
+		this._calcBars();
+	}
+
+	// Floating-point data - read dB values with getFloatFrequencyData() and map them to bar heights in JS,
+	// so sensitivity changes don't discard dynamic range
+
+	get useFloatData() {
+		return this._useFloatData;
+	}
+	set useFloatData( value ) {
+		this._useFloatData = !! value;
+		this._allocData();
+	}
+
+	// Linear amplitude - bar heights proportional to the signal amplitude instead of its level in dB
+
+	get linearAmplitude() {
+		return this._linearAmplitude;
+	}
+	set linearAmplitude( value ) {
+		this._linearAmplitude = !! value;
+	}
+
+	// Note names (C2, C3...) instead of frequencies in the X-axis scale
+
+	get noteLabels() {
+		return this._noteLabels;
+	}
+	set noteLabels( value ) {
+		this._noteLabels = !! value;
+		if ( this._ready )
+			this._createScales();
+	}
+
+	// Spectrogram scroll direction - 'vertical' (newest line on top, frequencies on the X axis)
+	// or 'horizontal' (newest column on the right, frequencies on the Y axis)
+
+	get spectrogramScroll() {
+		return this._spectrogramScroll;
+	}
+	set spectrogramScroll( value ) {
+		if ( ! SPECTROGRAM_SCROLL.includes( value ) )
+			throw new AudioMotionError( 'ERR_INVALID_SPECTROGRAM_SCROLL', `Spectrogram scroll must be one of ${ SPECTROGRAM_SCROLL }` );
+		this._spectrogramScroll = value;
+	}
+
+	// Spectrogram history length, in frames
+
+	get spectrogramHistory() {
+		return this._spectrogramHistory;
+	}
+	set spectrogramHistory( value ) {
+		const frames = value | 0;
+		if ( frames < 1 || frames > 4096 )
+			throw new AudioMotionError( 'ERR_SPECTROGRAM_HISTORY_OUT_OF_RANGE', 'Spectrogram history must be between 1 and 4096 frames' );
+		this._spectrogramHistory = frames;
+		this._resetSpectrogram();
+	}
+
+	// Bar ballistics - time for the bars to rise (attack) and fall (release) to a new level, in milliseconds (0 = instant)
+	// see AudioMotionAnalyzer.ballistics for VU and PPM-like settings
+
+	get attackTime() {
+		return this._attackTime;
+	}
+	set attackTime( value ) {
+		if ( ! ( value >= 0 ) )
+			throw new AudioMotionError( 'ERR_BALLISTICS_OUT_OF_RANGE', 'Attack time must be >= 0' );
+		this._attackTime = +value;
+	}
+	get releaseTime() {
+		return this._releaseTime;
+	}
+	set releaseTime( value ) {
+		if ( ! ( value >= 0 ) )
+			throw new AudioMotionError( 'ERR_BALLISTICS_OUT_OF_RANGE', 'Release time must be >= 0' );
+		this._releaseTime = +value;
+	}
+
+	// Peak hold time, in milliseconds
+
+	get peakHoldTime() {
+		return this._peakHoldTime;
+	}
+	set peakHoldTime( value ) {
+		if ( ! ( value >= 0 ) )
+			throw new AudioMotionError( 'ERR_PEAK_TIME_OUT_OF_RANGE', 'Peak hold time must be >= 0' );
+		this._peakHoldTime = +value;
+	}
+
+	// Peak decay model - 'gravity' (accelerating fall), 'exponential' or 'none' (hold the maximum until resetPeaks())
+
+	get peakDecay() {
+		return this._peakDecay;
+	}
+	set peakDecay( value ) {
+		if ( ! PEAK_DECAY.includes( value ) )
+			throw new AudioMotionError( 'ERR_INVALID_PEAK_DECAY', `Peak decay must be one of ${ PEAK_DECAY }` );
+		this._peakDecay = value;
+	}
+
+	// Peak decay time, in milliseconds - time to fall the full analyzer height with gravity, or to drop to 1% when exponential
+
+	get peakDecayTime() {
+		return this._peakDecayTime;
+	}
+	set peakDecayTime( value ) {
+		if ( ! ( value > 0 ) )
+			throw new AudioMotionError( 'ERR_PEAK_TIME_OUT_OF_RANGE', 'Peak decay time must be > 0' );
+		this._peakDecayTime = +value;
+	}
+
 	// Analyzer's sensitivity
 
 	get minDecibels() {
@@ -413,7 +733,8 @@ export default class AudioMotionAnalyzer extends React.Component {
 		this._calcAux();
 	}
 
-	// Analyzer's smoothing time constant
+	// Analyzer's smoothing time constant - its effect depends on the FFT size and frame rate; for consistent
+	// animation, set it to 0 and use attackTime and releaseTime instead
 
 	get smoothing() {
 		return this._analyzer[0].smoothingTimeConstant;
@@ -442,11 +763,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 		this._stereo = !! value;
 
 		// update node connections
-		this._input.disconnect();
-		this._input.connect( this._stereo ? this._splitter : this._analyzer[0] );
-		this._analyzer[0].disconnect();
-		if ( this._outNodes.length ) // connect analyzer only if the output is connected to other nodes
-			this._analyzer[0].connect( this._stereo ? this._merger : this._output );
+		this._routeChannels();
 
 		// update properties affected by stereo
 		this._calcAux();
@@ -455,6 +772,64 @@ export default class AudioMotionAnalyzer extends React.Component {
 		this._makeGrad();
 	}
 
+	// Stereo overlay - draw both channels in a single area, the right channel with gradientRight
+
+	get stereoOverlay() {
+		return this._stereoOverlay;
+	}
+	set stereoOverlay( value ) {
+		this._stereoOverlay = !! value;
+		this._calcAux();
+		this._calcLeds();
+		this._makeGrad();
+	}
+
+	// Mid/side - in stereo, analyze the mid (L+R) and side (L-R) signals instead of the left and right channels
+
+	get midSide() {
+		return this._midSide;
+	}
+	set midSide( value ) {
+		this._midSide = !! value;
+		this._routeChannels();
+	}
+
+	// Data provider - supplies the frequency data for each channel (see audiomotion/dataProviders.js)
+	// set to null to restore the default provider, which reads from the analyzer nodes
+
+	get dataProvider() {
+		return this._dataProvider;
+	}
+	set dataProvider( value ) {
+		if ( value && typeof value.getByteFrequencyData !== 'function' )
+			throw new AudioMotionError( 'ERR_INVALID_DATA_PROVIDER', 'Data provider must implement getByteFrequencyData()' );
+
+		this._dataProvider = value || this._defaultProvider;
+	}
+
+	// Loudness meter - measures the input with an AudioWorklet, see getLoudness()
+
+	get loudnessMeter() {
+		return !! this._loudness;
+	}
+	set loudnessMeter( value ) {
+		if ( !! value === this.loudnessMeter )
+			return;
+
+		if ( value ) {
+			if ( ! isLoudnessSupported( this.audioCtx ) )
+				throw new AudioMotionError( 'ERR_LOUDNESS_NOT_SUPPORTED', 'Loudness metering requires AudioWorklet support' );
+			this._loudness = new LoudnessMeter( this.audioCtx, this._input );
+		}
+		else {
+			this._loudness.close();
+			this._loudness = null;
+		}
+	}
+	get loudnessError() { // set when the loudness processor could not be loaded - the meter then reads no audio
+		return this._loudness ? this._loudness.error : null;
+	}
+
 	// Volume
 
 	get volume() {
@@ -469,6 +844,12 @@ export default class AudioMotionAnalyzer extends React.Component {
 	get audioCtx() {
 		return this._input.context;
 	}
+	get beatDetector() {
+		return this._beatDetector;
+	}
+	get bpm() { // tempo estimate, tracked while onBeat or onOnset is set
+		return this._beatDetector.bpm;
+	}
 	get canvas() {
 		return this._canvasCtx.canvas;
 	}
@@ -481,6 +862,13 @@ export default class AudioMotionAnalyzer extends React.Component {
 	get connectedTo() {
 		return this._outNodes;
 	}
+	get customGradients() {
+		// gradients added via registerGradient(), as { name: options }
+		const gradients = {};
+		for ( const name of this._customGradients )
+			gradients[ name ] = { ...this._gradients[ name ] };
+		return gradients;
+	}
 	get energy() {
 		// DEPRECATED - to be removed in v4.0.0
 		return this.getEnergy();
@@ -495,8 +883,13 @@ export default class AudioMotionAnalyzer extends React.Component {
 		return this._fps;
 	}
 	get isFullscreen() {
+		if ( this._headless )
+			return false;
 		return ( document.fullscreenElement || document.webkitFullscreenElement ) === this.canvas;
 	}
+	get isDestroyed() {
+		return !! this._destroyed;
+	}
 	get isOctaveBands() {
 		return this._isOctaveBands;
 	}
@@ -509,6 +902,15 @@ export default class AudioMotionAnalyzer extends React.Component {
 	get isOn() {
 		return this._runId !== undefined;
 	}
+	get isRecording() {
+		return !! this._recording;
+	}
+	get ledParams() {
+		if ( ! this._ledParams )
+			return undefined;
+		const [ maxLeds, spaceV, spaceH ] = this._ledParams;
+		return { maxLeds, spaceV, spaceH };
+	}
 	get peakEnergy() {
 		// DEPRECATED - to be removed in v4.0.0
 		return this.getEnergy('peak');
@@ -516,6 +918,26 @@ export default class AudioMotionAnalyzer extends React.Component {
 	get pixelRatio() {
 		return this._pixelRatio;
 	}
+	get recordingTime() {
+		return this._recording ? ( performance.now() - this._recording.startTime ) / 1000 : 0;
+	}
+	static get ballistics() { // attack and release settings for setOptions(), by meter type
+		return JSON.parse( JSON.stringify( BALLISTICS ) );
+	}
+	static get defaults() {
+		return { ...DEFAULT_SETTINGS };
+	}
+	static get optionChoices() { // accepted values of the settings that take one of a fixed set, for validating presets
+		return {
+			mode             : [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 10, SPECTROGRAM, OSCILLOSCOPE, GONIOMETER ],
+			frequencyScale   : Object.keys( FREQUENCY_SCALES ),
+			weightingFilter  : [ '', ...Object.keys( WEIGHTING_FILTERS ) ],
+			peakDecay        : [ ...PEAK_DECAY ],
+			spectrogramScroll: [ ...SPECTROGRAM_SCROLL ],
+			gradient         : Object.keys( GRADIENTS ),
+			gradientRight    : Object.keys( GRADIENTS )
+		};
+	}
 	static get version() {
 		return VERSION;
 	}
@@ -540,8 +962,16 @@ export default class AudioMotionAnalyzer extends React.Component {
 		if ( ! ( isHTML || source.connect ) )
 			throw new AudioMotionError( 'ERR_INVALID_AUDIO_SOURCE', 'Audio source must be an instance of HTMLMediaElement or AudioNode' );
 
-		// if source is an HTML element, create an audio node for it; otherwise, use the provided audio node
-		const node = isHTML ? this.audioCtx.createMediaElementSource( source ) : source;
+		// if source is an HTML element, create an audio node for it (only once, since an element can't be
+		// attached to more than one MediaElementAudioSourceNode); otherwise, use the provided audio node
+		let node = source;
+		if ( isHTML ) {
+			node = this._elementNodes.get( source );
+			if ( ! node ) {
+				node = this.audioCtx.createMediaElementSource( source );
+				this._elementNodes.set( source, node );
+			}
+		}
 
 		if ( ! this._sources.includes( node ) ) {
 			node.connect( this._input );
@@ -584,10 +1014,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 		this._outNodes.push( node );
 
 		// when connecting the first node, also connect the analyzer nodes to the merger / output nodes
-		if ( this._outNodes.length === 1 ) {
-			for ( const i of [0,1] )
-				this._analyzer[ i ].connect( ( ! this._stereo && ! i ? this._output : this._merger ), 0, i );
-		}
+		this._routeChannels();
 	}
 
 	/**
@@ -604,10 +1031,62 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 		// if disconnected from all nodes, also disconnect the analyzer nodes so they keep working on Chromium
 		// see https://github.com/hvianna/audioMotion-analyzer/issues/13#issuecomment-808764848
-		if ( this._outNodes.length === 0 ) {
-			for ( const i of [0,1] )
-				this._analyzer[ i ].disconnect();
+		this._routeChannels();
+	}
+
+	/**
+	 * Releases all resources used by the analyzer
+	 * Stops the animation, disconnects all audio nodes, removes event listeners and the canvas.
+	 * The analyzer object can't be used anymore after this.
+	 *
+	 * @param [{boolean}] closeAudioCtx if false, won't close the audio context, even if created by the analyzer
+	 * @returns {Promise} resolves when the audio context has been closed (if applicable)
+	 */
+	destroy( closeAudioCtx = true ) {
+		if ( this._destroyed )
+			return Promise.resolve();
+
+		const { onResize, onFullscreenChange, unlockContext } = this._listeners,
+			  audioCtx = this.audioCtx,
+			  canvas   = this.canvas;
+
+		// stop the animation, any pending resize and recording, and the loudness meter
+		this.toggleAnalyzer( false );
+		this.stopRecording();
+		this.loudnessMeter = false;
+		clearTimeout( this._fsTimeout );
+		this._fsTimeout = 0;
+
+		// disconnect inputs, outputs and the internal routing
+		this.disconnectInput();
+		this.disconnectOutput();
+		for ( const node of [ this._input, this._splitter, ...this._midSideGains, ...this._analyzer, this._merger, this._output ] )
+			node.disconnect();
+
+		// remove event listeners, exit fullscreen and remove the canvas from the container
+		// (a canvas provided for headless mode is left untouched)
+		if ( ! this._headless ) {
+			if ( this._resizeObserver ) {
+				this._resizeObserver.unobserve( this._container );
+				this._resizeObserver.disconnect();
+			}
+			window.removeEventListener( 'resize', onResize );
+			window.removeEventListener( 'click', unlockContext );
+			canvas.removeEventListener( 'fullscreenchange', onFullscreenChange );
+
+			if ( this.isFullscreen )
+				this.toggleFullscreen();
+			canvas.remove();
 		}
+
+		this._frameListeners.clear();
+		this._ready = false;
+		this._destroyed = true;
+
+		if ( closeAudioCtx && this._ownContext && audioCtx.state !== 'closed' )
+			return audioCtx.close();
+
+		return Promise.resolve();
 	}
 
 	/**
@@ -626,31 +1105,244 @@ export default class AudioMotionAnalyzer extends React.Component {
 			if ( startFreq === 'peak' )
 				return this._energy.peak;
 
-			const presets = {
-				bass:    [ 20, 250 ],
-				lowMid:  [ 250, 500 ],
-				mid:     [ 500, 2e3 ],
-				highMid: [ 2e3, 4e3 ],
-				treble:  [ 4e3, 16e3 ]
+			if ( ! ENERGY_PRESETS[ startFreq ] )
+				return null;
+
+			[ startFreq, endFreq ] = ENERGY_PRESETS[ startFreq ];
+		}
+
+		const startBin = this._freqToBin( startFreq ),
+		      endBin   = endFreq ? this._freqToBin( endFreq ) : startBin,
+		      chnCount = this._stereo + 1,
+		      binWidth = this.audioCtx.sampleRate / this.fftSize,
+		      toUnit   = this._scaleFns[0],
+		      weights  = this._binWeights,
+		      // logarithmic scales are undefined at 0 Hz, so there the DC bin gets no width
+		      lowFreq  = Number.isFinite( toUnit( 0 ) ) ? 0 : binWidth / 2;
+
+		// for a range, weigh each bin by the width it takes in the active frequency scale,
+		// so the result matches what is seen on screen
+		let energy = 0,
+			totalWeight = 0;
+
+		for ( let i = startBin; i <= endBin; i++ ) {
+			const freq   = i * binWidth,
+				  weight = endBin > startBin ? toUnit( Math.min( endFreq, freq + binWidth / 2 ) ) - toUnit( Math.max( startFreq, freq - binWidth / 2, lowFreq ) ) : 1;
+
+			if ( weight > 0 ) {
+				for ( let channel = 0; channel < chnCount; channel++ )
+					energy += this._normalize( this._fftData[ channel ][ i ], weights ? weights[ i ] : 0 ) * weight;
+				totalWeight += weight;
 			}
+		}
 
-			if ( ! presets[ startFreq ] )
-				return null;
+		// clamp to 1, as the weighted sum may be off by a rounding error
+		return totalWeight ? Math.min( 1, energy / totalWeight / chnCount ) : 0;
+	}
 
-			[ startFreq, endFreq ] = presets[ startFreq ];
+	/**
+	 * Returns the highest level, in dBFS, of a frequency or range of frequencies, including the weighting filter gain
+	 * Byte data is converted to dB, so values are quantized unless `useFloatData` is on.
+	 *
+	 * @param [{number|string}] single or initial frequency (Hz), or preset name (see getEnergy()); if undefined, uses the whole spectrum
+	 * @param [{number}] ending frequency (Hz)
+	 * @returns {number|null} level in dB (-Infinity if silent) or null, if the specified preset is unknown
+	 */
+	getDecibels( startFreq, endFreq ) {
+		if ( startFreq === undefined )
+			[ startFreq, endFreq ] = [ 1, this.audioCtx.sampleRate / 2 ];
+		else if ( startFreq !== ( startFreq | 0 ) ) {
+			if ( ! ENERGY_PRESETS[ startFreq ] )
+				return null;
+			[ startFreq, endFreq ] = ENERGY_PRESETS[ startFreq ];
 		}
 
 		const startBin = this._freqToBin( startFreq ),
 		      endBin   = endFreq ? this._freqToBin( endFreq ) : startBin,
-		      chnCount = this._stereo + 1;
+		      weights  = this._binWeights;
 
-		let energy = 0;
-		for ( let channel = 0; channel < chnCount; channel++ ) {
+		let level = -Infinity;
+
+		for ( let channel = 0; channel < this._stereo + 1; channel++ ) {
 			for ( let i = startBin; i <= endBin; i++ )
-				energy += this._fftData[ channel ][ i ];
+				level = Math.max( level, this._toDecibels( this._fftData[ channel ][ i ] ) + ( weights ? weights[ i ] : 0 ) );
+		}
+
+		return level;
+	}
+
+	/**
+	 * Returns the data of each analyzer bar, as of the last rendered frame
+	 * Values and peaks are normalized (0 to 1); in mono mode only the first channel is set.
+	 *
+	 * @returns {object[]} { posX, freq, freqLo, freqHi, value: [ch0, ch1], peak: [ch0, ch1], hold: [ch0, ch1], maxHold: [ch0, ch1] }
+	 *                     `freq` is the bar's center frequency and `freqLo`/`freqHi` the first and last FFT bins read
+	 *                     (in Hz); `hold` is the time, in ms, the peak will still be held before it starts falling;
+	 *                     `maxHold` is the highest value since the last resetPeaks()
+	 */
+	getBars() {
+		const binWidth  = this.audioCtx.sampleRate / this.fftSize,
+			  peakScale = this._peakScale || 1,
+			  holdLeft  = time => Math.max( 0, time + this._peakHoldTime - this._frameTime ) || 0;
+
+		return this._bars.map( bar => ( {
+			posX  : bar.posX,
+			freq  : bar.freq,
+			freqLo: bar.dataIdx * binWidth,
+			freqHi: ( bar.endIdx || bar.dataIdx ) * binWidth,
+			value : [ ...bar.value ],
+			peak  : bar.peak.map( peak => Math.max( 0, Math.min( 1, peak / peakScale ) ) ),
+			hold  : bar.peakTime.map( holdLeft ),
+			maxHold: [ ...bar.maxHold ]
+		} ) );
+	}
+
+	/**
+	 * Returns a snapshot of the data used to render the last frame
+	 *
+	 * @returns {object} { timestamp, fps, stereo, energy, peakEnergy, bars, spectrum, useFloatData }
+	 *                   `bars` as returned by getBars(); `spectrum` has a copy of the FFT data for each channel -
+	 *                   byte values (0-255) or dB, when `useFloatData` is on
+	 */
+	getFrame() {
+		return { ...this._lazyFrame() };
+	}
+
+	/**
+	 * Returns the chromagram of the current spectrum - the energy of each of the 12 pitch classes
+	 *
+	 * @returns {Float32Array} values for C, C#, D ... B, scaled so the strongest is 1 (all zeros if silent)
+	 */
+	getChroma() {
+		return computeChroma( this._binValues(), bin => bin * this.audioCtx.sampleRate / this.fftSize );
+	}
+
+	/**
+	 * Returns an estimate of the musical key, from the current chromagram
+	 * For a stable estimate, accumulate chromagrams over several seconds and use estimateKey() from chroma.js.
+	 *
+	 * @returns {object|null} { tonic, mode, name, score } e.g. { tonic: 'A', mode: 'minor', name: 'A minor', score: 0.8 }, or null if silent
+	 */
+	getKey() {
+		return estimateKey( this.getChroma() );
+	}
+
+	/**
+	 * Returns the dominant note - the strongest frequency within the analyzer's frequency range - tuner-style
+	 *
+	 * @returns {object|null} { name, pitchClass, octave, cents, noteFreq, freq } - `freq` is the detected frequency,
+	 *                        `cents` its deviation from the note; null if silent
+	 */
+	getNote() {
+		const values   = this._binValues(),
+			  binWidth = this.audioCtx.sampleRate / this.fftSize,
+			  startBin = Math.max( 1, this._freqToBin( this._minFreq ) ),
+			  endBin   = this._freqToBin( this._maxFreq );
+
+		let peak = startBin;
+		for ( let i = startBin + 1; i <= endBin; i++ ) {
+			if ( values[ i ] > values[ peak ] )
+				peak = i;
+		}
+
+		if ( ! values[ peak ] )
+			return null;
+
+		// refine the peak position by fitting a parabola through the strongest bin and its neighbors
+		const prev   = values[ peak - 1 ],
+			  next   = peak < values.length - 1 ? values[ peak + 1 ] : 0,
+			  curve  = prev - 2 * values[ peak ] + next,
+			  offset = curve < 0 ? ( prev - next ) / ( 2 * curve ) : 0,
+			  freq   = ( peak + offset ) * binWidth;
+
+		return { ...freqToNote( freq ), freq };
+	}
+
+	/**
+	 * Returns the phase correlation between the left and right channels - reads the current waveforms,
+	 * so it doesn't depend on the visualization mode
+	 *
+	 * @returns {number|null} 1 for mono, 0 for unrelated channels, -1 for opposite phase (0 if silent); null if not in stereo
+	 */
+	getCorrelation() {
+		const samples = this._stereoSamples();
+		return samples && correlation( ...samples );
+	}
+
+	/**
+	 * Returns the balance between the left and right channels, from their RMS levels
+	 *
+	 * @returns {number|null} -1 (left only) to 1 (right only), 0 if centered or silent; null if not in stereo
+	 */
+	getBalance() {
+		const samples = this._stereoSamples();
+		return samples && balance( ...samples );
+	}
+
+	/**
+	 * Returns the loudness of the input, per ITU-R BS.1770 / EBU R128 - requires the `loudnessMeter` option
+	 *
+	 * @returns {object|null} { momentary, shortTerm, integrated } in LUFS, { range } (loudness range) in LU and
+	 *                        { truePeak } in dBTP; null if the meter is off. Loudness values are -Infinity until
+	 *                        enough audio has been measured (400ms for momentary, 3s for short-term).
+	 */
+	getLoudness() {
+		return this._loudness ? this._loudness.values : null;
+	}
+
+	/**
+	 * Restarts the loudness measurements - integrated loudness, loudness range and true-peak accumulate until then
+	 */
+	resetLoudness() {
+		if ( this._loudness )
+			this._loudness.reset();
+	}
+
+	/**
+	 * Drops all peaks, the max-hold line and the energy peak - the only way to lower them when `peakDecay` is 'none'
+	 */
+	resetPeaks() {
+		for ( const bar of this._bars ) {
+			bar.peak = [0,0];
+			bar.peakTop = [0,0];
+			bar.peakTime = [0,0];
+			bar.maxHold = [0,0];
+		}
+		this._energy.peak = this._energy.peakTop = 0;
+	}
+
+	/**
+	 * Returns the current value of all settings accepted by setOptions(), except callbacks and canvas dimensions
+	 *
+	 * @param [{string[]}] ignore names of settings to leave out
+	 * @returns {object}
+	 */
+	getOptions( ignore = [] ) {
+		const options = {};
+
+		for ( const prop of Object.keys( DEFAULT_SETTINGS ) ) {
+			if ( ! ignore.includes( prop ) )
+				options[ prop ] = prop === 'start' ? this.isOn : this[ prop ];
+		}
+
+		return options;
+	}
+
+	/**
+	 * Renders a single frame on demand - used for offline rendering, with the animation stopped
+	 *
+	 * @param {number} timestamp frame time in milliseconds, used for the fps calculation
+	 */
+	drawFrame( timestamp ) {
+		if ( this.isOn || this._destroyed )
+			return;
+
+		if ( this._time === undefined ) {
+			this._frame = this._fps = 0;
+			this._time = timestamp;
 		}
 
-		return energy / ( endBin - startBin + 1 ) / chnCount / 255;
+		this._draw( timestamp );
 	}
 
 	/**
@@ -670,6 +1362,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 			throw new AudioMotionError( 'ERR_GRADIENT_MISSING_COLOR', 'Gradient must define at least two colors' );
 
 		this._gradients[ name ] = {};
+		this._customGradients.add( name );
 
 		if ( options.bgColor !== undefined )
 			this._gradients[ name ].bgColor = options.bgColor;
@@ -721,9 +1414,9 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 		// coerce parameters to Number; `NaN` results are rejected in the condition below
 		if ( params ) {
-			let maxLeds = params.maxLeds; // ensure integer
-			let spaceV  = +params.spaceV;
-			let spaceH  = +params.spaceH;
+			maxLeds = params.maxLeds | 0; // ensure integer
+			spaceV  = +params.spaceV;
+			spaceH  = +params.spaceH;
 		}
 
 		this._ledParams = maxLeds > 0 && spaceV > 0 && spaceH >= 0 ? [ maxLeds, spaceV, spaceH ] : undefined;
@@ -752,6 +1445,106 @@ export default class AudioMotionAnalyzer extends React.Component {
 		}
 	}
 
+	/**
+	 * Starts recording the canvas and the analyzer output to a video file
+	 *
+	 * @param {object} [options]
+	 * @param {number} [options.frameRate] canvas capture rate, in frames per second (default 30)
+	 * @param {number} [options.videoBitsPerSecond] video bitrate
+	 * @param {number} [options.audioBitsPerSecond] audio bitrate
+	 * @param {number} [options.maxDuration] stops the recording automatically after this many seconds
+	 * @param {string} [options.mimeType] container / codecs; by default, the first supported WebM type
+	 * @returns {Promise} resolves to the recorded Blob when the recording stops
+	 */
+	startRecording( options = {} ) {
+		const { frameRate = 30, videoBitsPerSecond, audioBitsPerSecond, maxDuration } = options;
+
+		if ( this._recording )
+			throw new AudioMotionError( 'ERR_ALREADY_RECORDING', 'A recording is already in progress' );
+
+		if ( typeof MediaRecorder === 'undefined' || ! this.canvas.captureStream || ! this.audioCtx.createMediaStreamDestination )
+			throw new AudioMotionError( 'ERR_RECORDING_NOT_SUPPORTED', 'Recording is not supported in this environment' );
+
+		const mimeType  = options.mimeType || RECORDING_TYPES.find( type => MediaRecorder.isTypeSupported( type ) ),
+			  audioDest = this.audioCtx.createMediaStreamDestination(),
+			  video     = this.canvas.captureStream( frameRate ),
+			  stream    = new MediaStream( [ ...video.getVideoTracks(), ...audioDest.stream.getAudioTracks() ] ),
+			  chunks    = [];
+
+		// route the analyzer output into the recorded stream too
+		this.connectOutput( audioDest );
+		this._recording = { audioDest, stream, startTime: performance.now() };
+
+		// the recorder throws on creation for an unsupported mimeType, and may refuse to start - release the capture
+		// tracks and the stream destination so the analyzer can record again
+		let recorder, done;
+		try {
+			recorder = new MediaRecorder( stream, { mimeType, videoBitsPerSecond, audioBitsPerSecond } );
+
+			done = new Promise( ( resolve, reject ) => {
+				recorder.ondataavailable = event => {
+					if ( event.data && event.data.size )
+						chunks.push( event.data );
+				};
+				recorder.onerror = event => {
+					this._endRecording();
+					reject( event.error || new AudioMotionError( 'ERR_RECORDING_FAILED', 'Recording failed' ) );
+				};
+				recorder.onstop = () => {
+					this._endRecording();
+					resolve( new Blob( chunks, { type: recorder.mimeType || mimeType || 'video/webm' } ) );
+				};
+			});
+
+			recorder.start();
+		}
+		catch ( err ) {
+			this._endRecording();
+			throw err;
+		}
+
+		Object.assign( this._recording, {
+			recorder,
+			done,
+			timeout: maxDuration > 0 ? setTimeout( () => this.stopRecording(), maxDuration * 1000 ) : 0
+		});
+
+		return done;
+	}
+
+	/**
+	 * Stops the current recording
+	 *
+	 * @returns {Promise} resolves to the recorded Blob (or null, if there's no recording in progress)
+	 */
+	stopRecording() {
+		const recording = this._recording;
+
+		if ( ! recording )
+			return Promise.resolve( null );
+
+		clearTimeout( recording.timeout );
+		if ( recording.recorder.state !== 'inactive' )
+			recording.recorder.stop();
+
+		return recording.done;
+	}
+
+	/**
+	 * Registers a function to be called after each frame is rendered
+	 *
+	 * @param {function} listener called with ( frame, analyzer ), see getFrame() for the frame data - `bars` and
+	 *                   `spectrum` are only copied when first read, so read them before the next frame is rendered
+	 * @returns {function} call it to unsubscribe
+	 */
+	subscribe( listener ) {
+		if ( typeof listener !== 'function' )
+			throw new AudioMotionError( 'ERR_INVALID_LISTENER', 'Frame listener must be a function' );
+
+		this._frameListeners.add( listener );
+		return () => this._frameListeners.delete( listener );
+	}
+
 	/**
 	 * Start / stop canvas animation
 	 *
@@ -761,6 +1554,9 @@ export default class AudioMotionAnalyzer extends React.Component {
 	toggleAnalyzer( value ) {
 		const started = this.isOn;
 
+		if ( this._destroyed )
+			return false;
+
 		if ( value === undefined )
 			value = ! started;
 
@@ -812,15 +1608,20 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 		this._radius         = canvas.height * ( this._stereo ? .375 : .125 ) | 0;
 		this._barSpacePx     = Math.min( this._barWidth - 1, ( this._barSpace > 0 && this._barSpace < 1 ) ? this._barWidth * this._barSpace : this._barSpace );
-		this._isOctaveBands  = ( this._mode % 10 !== 0 );
+		this._isSpectrogram  = ( this._mode === SPECTROGRAM );
+		this._isTimeDomain   = ( this._mode === OSCILLOSCOPE || this._mode === GONIOMETER );
+		this._isOctaveBands  = ( this._mode > 0 && this._mode < 10 );
+		this._isRadial       = ( this._radial && this._mode <= 10 ); // radial and reflex only apply to the spectrum modes
 		this._isLedDisplay   = ( this._showLeds && this._isOctaveBands && ! this._radial );
 		this._isLumiBars     = ( this._lumiBars && this._isOctaveBands && ! this._radial );
+		// both channels share a single area in overlay mode (bar and line modes, and oscilloscope) and in the goniometer
+		this._isOverlay      = ( this._stereo && this._stereoOverlay && ! this._isRadial && ( this._mode <= 10 || this._mode === OSCILLOSCOPE ) );
 		// CHECK PARSING
-		this._maximizeLeds   = ! this._stereo || ( this._reflexRatio > 0 && ! this._isLumiBars );
+		this._maximizeLeds   = ! this._stereo || this._isOverlay || ( this._reflexRatio > 0 && ! this._isLumiBars );
 
-		const isDual = this._stereo && ! this._radial;
+		const isDual = this._stereo && ! this._isRadial && ! this._isOverlay && this._mode !== GONIOMETER;
 		this._channelHeight  = canvas.height - ( isDual && ! this._isLedDisplay ? .5 : 0 ) >> isDual;
-		this._analyzerHeight = this._channelHeight * ( this._isLumiBars || this._radial ? 1 : 1 - this._reflexRatio ) | 0;
+		this._analyzerHeight = this._channelHeight * ( this._isLumiBars || this._isRadial || this._mode > 10 ? 1 : 1 - this._reflexRatio ) | 0;
 
 		// channelGap is **0** if isLedDisplay == true (LEDs already have spacing); **1** if canvas height is odd (windowed); **2** if it's even
 		// TODO: improve this, make it configurable?
@@ -828,14 +1629,158 @@ export default class AudioMotionAnalyzer extends React.Component {
 	}
 
 	/**
-	 * Calculate attributes for the vintage LEDs effect, based on visualization mode and canvas resolution
+	 * (Re)allocate the FFT data arrays, for the current FFT size and data type
 	 */
-	_calcLeds() {
-		if ( ! this._isOctaveBands || ! this._ready )
-			return;
+	_allocData() {
+		const binCount  = this._analyzer[0].frequencyBinCount,
+			  DataArray = this._useFloatData ? Float32Array : Uint8Array;
 
-		// adjustment for high pixel-ratio values on low-resolution screens (Android TV)
-		const dPR = this._pixelRatio / ( window.devicePixelRatio > 1 && window.screen.height <= 540 ? 2 : 1 );
+		this._fftData = [ new DataArray( binCount ), new DataArray( binCount ) ];
+		this._timeData = [ new Float32Array( binCount * 2 ), new Float32Array( binCount * 2 ) ];
+	}
+
+	/**
+	 * Compute the normalized value (0 to 1) of a bar from the FFT data
+	 */
+	_barValue( bar, fftData ) {
+		if ( bar.endIdx === 0 ) { // single FFT bin
+			const value = this._normalize( fftData[ bar.dataIdx ], bar.weight );
+			// perform value interpolation when several bars share the same bin, to generate a smooth curve
+			if ( bar.factor ) {
+				const prevBar = bar.dataIdx ? this._normalize( fftData[ bar.dataIdx - 1 ], bar.weight ) : value;
+				return prevBar + ( value - prevBar ) * bar.factor;
+			}
+			return value;
+		}
+
+		// range of bins - use the highest value in the range
+		let value = -Infinity;
+		for ( let j = bar.dataIdx; j <= bar.endIdx; j++ )
+			value = Math.max( value, fftData[ j ] );
+
+		return this._normalize( value, bar.weight );
+	}
+
+	/**
+	 * Convert a data value (byte, or dB when using float data) to dB
+	 */
+	_toDecibels( value ) {
+		if ( this._useFloatData )
+			return value;
+
+		const minDb = this.minDecibels;
+		return value > 0 ? minDb + value * ( this.maxDecibels - minDb ) / 255 : -Infinity;
+	}
+
+	/**
+	 * Convert a data value (byte, or dB when using float data) to a normalized bar height (0 to 1)
+	 *
+	 * @param {number} value
+	 * @param {number} [gain] weighting filter gain to apply, in dB
+	 */
+	_normalize( value, gain = 0 ) {
+		// byte data is already scaled to the sensitivity range
+		if ( ! this._useFloatData && ! this._linearAmplitude && ! gain )
+			return value / 255;
+
+		const minDb = this.minDecibels,
+			  maxDb = this.maxDecibels,
+			  db    = this._toDecibels( value ) + gain;
+
+		if ( ! ( db > minDb ) ) // also catches -Infinity (silence)
+			return 0;
+
+		return Math.min( 1, this._linearAmplitude ? 10 ** ( ( db - maxDb ) / 20 ) : ( db - minDb ) / ( maxDb - minDb ) );
+	}
+
+	/**
+	 * Normalized value (0 to 1) of each FFT bin, averaged between channels
+	 */
+	_binValues() {
+		const chnCount = this._stereo + 1,
+			  values   = new Float32Array( this._fftData[0].length );
+
+		for ( let channel = 0; channel < chnCount; channel++ ) {
+			for ( let i = 0; i < values.length; i++ )
+				values[ i ] += this._normalize( this._fftData[ channel ][ i ] ) / chnCount;
+		}
+
+		return values;
+	}
+
+	/**
+	 * Frame data as returned by getFrame(), with `bars` and `spectrum` built on first access, so subscribers that
+	 * only read a few values don't pay for copying every bar and FFT bin on each frame
+	 */
+	_lazyFrame() {
+		const analyzer = this;
+		let bars, spectrum;
+
+		return {
+			timestamp   : this._frameTime,
+			fps         : this._fps,
+			stereo      : this._stereo,
+			energy      : this._energy.val,
+			peakEnergy  : this._energy.peak,
+			get bars() {
+				return bars || ( bars = analyzer.getBars() );
+			},
+			get spectrum() {
+				return spectrum || ( spectrum = analyzer._fftData.slice( 0, analyzer._stereo + 1 ).map( data => data.slice() ) );
+			},
+			useFloatData: this._useFloatData
+		};
+	}
+
+	/**
+	 * Feed the current spectrum of each band to the beat detector and fire the onOnset / onBeat callbacks
+	 */
+	_detectBeats( timestamp ) {
+		const detector = this._beatDetector,
+			  chnCount = this._stereo + 1,
+			  weights  = this._binWeights,
+			  spectra  = this._beatSpectra = this._beatSpectra || {}; // band arrays reused between frames
+
+		for ( const band of detector.bands ) {
+			if ( ! ENERGY_PRESETS[ band ] )
+				continue;
+
+			const [ startFreq, endFreq ] = ENERGY_PRESETS[ band ],
+				  startBin = this._freqToBin( startFreq ),
+				  length   = this._freqToBin( endFreq ) - startBin + 1;
+
+			if ( ! spectra[ band ] || spectra[ band ].length !== length )
+				spectra[ band ] = new Float32Array( length );
+
+			const values = spectra[ band ].fill( 0 );
+
+			// normalized values, averaged between channels and with the weighting filter applied
+			for ( let i = 0; i < values.length; i++ ) {
+				for ( let channel = 0; channel < chnCount; channel++ )
+					values[ i ] += this._normalize( this._fftData[ channel ][ startBin + i ], weights ? weights[ startBin + i ] : 0 ) / chnCount;
+			}
+
+		}
+
+		const { onsets, beat } = detector.process( timestamp, spectra );
+
+		if ( this.onOnset ) {
+			for ( const onset of onsets )
+				this.onOnset( onset, this );
+		}
+		if ( beat && this.onBeat )
+			this.onBeat( beat, this );
+	}
+
+	/**
+	 * Calculate attributes for the vintage LEDs effect, based on visualization mode and canvas resolution
+	 */
+	_calcLeds() {
+		if ( ! this._isOctaveBands || ! this._ready )
+			return;
+
+		// adjustment for high pixel-ratio values on low-resolution screens (Android TV)
+		const dPR = this._pixelRatio / ( ! this._headless && window.devicePixelRatio > 1 && window.screen.height <= 540 ? 2 : 1 );
 
 		const params = [ [],
 			[ 128,  3, .45  ], // mode 1
@@ -887,9 +1832,27 @@ export default class AudioMotionAnalyzer extends React.Component {
 		];
 	}
 
+	/**
+	 * Release the resources used by the current recording
+	 */
+	_endRecording() {
+		const recording = this._recording;
+
+		if ( ! recording )
+			return;
+
+		clearTimeout( recording.timeout );
+		for ( const track of recording.stream.getTracks() )
+			track.stop();
+		if ( ! this._destroyed )
+			this.disconnectOutput( recording.audioDest );
+
+		this._recording = undefined;
+	}
+
 	/**
 	 * Redraw the canvas
-	 * this is called 60 times per second by requestAnimationFrame()
+	 * this is called 60 times per second by requestAnimationFrame(), or on demand by drawFrame()
 	 */
 	_draw( timestamp ) {
 		const ctx            = this._canvasCtx,
@@ -900,8 +1863,10 @@ export default class AudioMotionAnalyzer extends React.Component {
 			  isOctaveBands  = this._isOctaveBands,
 			  isLedDisplay   = this._isLedDisplay,
 			  isLumiBars     = this._isLumiBars,
-			  isRadial       = this._radial,
+			  isSpectrogram  = this._isSpectrogram,
+			  isRadial       = this._isRadial,
 			  isStereo       = this._stereo,
+			  isOverlay      = this._isOverlay,
 			  mode           = this._mode,
 			  channelHeight  = this._channelHeight,
 			  channelGap     = this._channelGap,
@@ -949,15 +1914,32 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 		const nBars = this._bars.length;
 
+		const providerParams = this._providerParams();
+
+		// bar ballistics - time since the previous frame (NaN on the first one, so the bars start at the current level)
+		const attackTime    = this._attackTime,
+			  releaseTime   = this._releaseTime,
+			  hasBallistics = attackTime > 0 || releaseTime > 0,
+			  frameInterval = timestamp - this._frameTime;
+
+		// peak timing, with heights in pixels
+		const peakOptions = {
+			holdTime : this._peakHoldTime,
+			decay    : this._peakDecay,
+			decayTime: this._peakDecayTime,
+			scale    : isRadial ? centerY - radius : analyzerHeight
+		};
+
 		for ( let channel = 0; channel < isStereo + 1; channel++ ) {
 
-			const channelTop     = channelHeight * channel + channelGap * channel,
+			const channelTop     = isOverlay ? 0 : channelHeight * channel + channelGap * channel,
 				  channelBottom  = channelTop + channelHeight,
-				  analyzerBottom = channelTop + analyzerHeight - ( isLedDisplay && ! this._maximizeLeds ? ledSpaceV : 0 );
+				  analyzerBottom = channelTop + analyzerHeight - ( isLedDisplay && ! this._maximizeLeds ? ledSpaceV : 0 ),
+				  isSharedArea   = isOverlay && channel === 1; // drawing over the first channel
 
 			// clear the channel area, if in overlay mode
 			// this is done per channel to clear any residue below 0 off the top channel (especially in line graph mode with lineWidth > 1)
-			if ( this.overlay )
+			if ( this.overlay && ! isSharedArea )
 				ctx.clearRect( 0, channelTop - channelGap, canvas.width, channelHeight + channelGap );
 
 			// fill the analyzer background if needed (not overlay or overlay + showBgColor)
@@ -968,14 +1950,14 @@ export default class AudioMotionAnalyzer extends React.Component {
 				ctx.fillStyle = bgColor;
 
 				// exclude the reflection area when overlay is true and reflexAlpha == 1 (avoids alpha over alpha difference, in case bgAlpha < 1)
-				if ( ! isRadial || channel === 0 )
+				if ( ( ! isRadial && ! isSharedArea ) || channel === 0 )
 					ctx.fillRect( 0, channelTop - channelGap, canvas.width, ( this.overlay && this.reflexAlpha === 1 ? analyzerHeight : channelHeight ) + channelGap );
 
 				ctx.globalAlpha = 1;
 			}
 
 			// draw dB scale (Y-axis)
-			if ( this.showScaleY && ! isLumiBars && ! isRadial ) {
+			if ( this.showScaleY && ! isLumiBars && ! isRadial && ! isSharedArea && mode <= 10 ) {
 				const scaleWidth = canvasX.height,
 					  fontSize   = scaleWidth >> 1,
 					  mindB      = this._analyzer[0].minDecibels,
@@ -988,7 +1970,8 @@ export default class AudioMotionAnalyzer extends React.Component {
 				ctx.lineWidth = 1;
 
 				for ( let db = maxdB; db > mindB; db -= 5 ) {
-					const posY = channelTop + ( maxdB - db ) * interval,
+					// with linear amplitude, the dB lines get closer together towards the bottom
+					const posY = channelTop + ( this._linearAmplitude ? ( 1 - 10 ** ( ( db - maxdB ) / 20 ) ) * analyzerHeight : ( maxdB - db ) * interval ),
 						  even = ( db % 2 === 0 ) | 0;
 
 					if ( even ) {
@@ -1021,12 +2004,15 @@ export default class AudioMotionAnalyzer extends React.Component {
 				ctx.lineWidth = width;
 			}
 
-			// set selected gradient for fill and stroke
-			ctx.fillStyle = ctx.strokeStyle = this._canvasGradient;
+			// set selected gradient for fill and stroke (the right channel has its own gradient in overlay mode)
+			ctx.fillStyle = ctx.strokeStyle = channel ? this._canvasGradientRight : this._canvasGradient;
 
-			// get a new array of data from the FFT
+			// get a new array of data from the data provider
 			const fftData = this._fftData[ channel ];
-			this._analyzer[ channel ].getByteFrequencyData( fftData );
+			if ( this._useFloatData )
+				readFloatFrequencyData( this._dataProvider, channel, fftData, providerParams );
+			else
+				this._dataProvider.getByteFrequencyData( channel, fftData, providerParams );
 
 			// start drawing path
 			ctx.beginPath();
@@ -1036,25 +2022,21 @@ export default class AudioMotionAnalyzer extends React.Component {
 			for ( let i = 0; i < nBars; i++ ) {
 
 				let bar       = this._bars[ i ],
-					barHeight = 0;
-
-				if ( bar.endIdx === 0 ) { // single FFT bin
-					barHeight = fftData[ bar.dataIdx ];
-					// perform value interpolation when several bars share the same bin, to generate a smooth curve
-					if ( bar.factor ) {
-						const prevBar = bar.dataIdx ? fftData[ bar.dataIdx - 1 ] : barHeight;
-						barHeight = prevBar + ( barHeight - prevBar ) * bar.factor;
-					}
-				}
-				else { 					// range of bins
-					// use the highest value in the range
-					for ( let j = bar.dataIdx; j <= bar.endIdx; j++ )
-						barHeight = Math.max( barHeight, fftData[ j ] );
-				}
+					barHeight = this._barValue( bar, fftData );
+
+				if ( hasBallistics )
+					barHeight = applyBallistics( bar.value[ channel ], barHeight, frameInterval, attackTime, releaseTime );
 
-				barHeight /= 255;
+				bar.value[ channel ] = barHeight;
 				currentEnergy += barHeight;
 
+				if ( barHeight > bar.maxHold[ channel ] )
+					bar.maxHold[ channel ] = barHeight;
+
+				// the spectrogram is drawn from the bar values after the loop; the waveform modes only keep them for the data API
+				if ( mode > 10 )
+					continue;
+
 				// set opacity for lumi bars before barHeight value is normalized
 				if ( isLumiBars )
 					ctx.globalAlpha = barHeight;
@@ -1067,10 +2049,11 @@ export default class AudioMotionAnalyzer extends React.Component {
 				else
 					barHeight = barHeight * ( isRadial ? centerY - radius : analyzerHeight ) | 0;
 
+				// let the peak fall for the time elapsed since it was set, then push it up to the current bar
+				bar.peak[ channel ] = peakHeight( bar.peakTop[ channel ], timestamp - bar.peakTime[ channel ], peakOptions );
 				if ( barHeight >= bar.peak[ channel ] ) {
-					bar.peak[ channel ] = barHeight;
-					bar.hold[ channel ] = 30; // set peak hold time to 30 frames (0.5s)
-					bar.accel[ channel ] = 0;
+					bar.peak[ channel ] = bar.peakTop[ channel ] = barHeight;
+					bar.peakTime[ channel ] = timestamp;
 				}
 
 				if ( isRadial && channel === 1 )
@@ -1085,7 +2068,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 					if ( isRadial ) {
 						// in radial graph mode, use value of previous FFT bin (if available) as the initial amplitude
 						if ( i === 0 && bar.dataIdx && bar.posX )
-							ctx.lineTo( ...radialXY( 0, fftData[ bar.dataIdx - 1 ] / 255 * ( centerY - radius ) * ( channel === 1 ? -1 : 1 ) ) );
+							ctx.lineTo( ...radialXY( 0, this._normalize( fftData[ bar.dataIdx - 1 ], bar.weight ) * ( centerY - radius ) * ( channel === 1 ? -1 : 1 ) ) );
 						// draw line to current point, avoiding overlapping wrap-around frequencies
 						if ( bar.posX >= 0 )
 							ctx.lineTo( ...radialXY( bar.posX, barHeight ) );
@@ -1096,7 +2079,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 							ctx.moveTo( -this.lineWidth, analyzerBottom );
 							// use value of previous FFT bin
 							if ( bar.dataIdx )
-								ctx.lineTo( -this.lineWidth, analyzerBottom - fftData[ bar.dataIdx - 1 ] / 255 * analyzerHeight );
+								ctx.lineTo( -this.lineWidth, analyzerBottom - this._normalize( fftData[ bar.dataIdx - 1 ], bar.weight ) * analyzerHeight );
 						}
 						// draw line to current point
 						ctx.lineTo( bar.posX, analyzerBottom - barHeight );
@@ -1122,7 +2105,7 @@ export default class AudioMotionAnalyzer extends React.Component {
 					if ( isLedDisplay ) {
 						const x = posX + width / 2;
 						// draw "unlit" leds
-						if ( this.showBgColor && ! this.overlay ) {
+						if ( this.showBgColor && ! this.overlay && ! isSharedArea ) {
 							const alpha = ctx.globalAlpha;
 							ctx.beginPath();
 							ctx.moveTo( x, channelTop );
@@ -1148,28 +2131,19 @@ export default class AudioMotionAnalyzer extends React.Component {
 				}
 
 				// Draw peak
-				if ( bar.peak[ channel ] > 1 ) { // avoid half "negative" peaks on top channel (peak height is 2px)
-					if ( this.showPeaks && ! isLumiBars ) {
-						if ( isLedDisplay ) {
-							// convert the bar height to the position of the corresponding led element
-							const fullLeds = bar.peak[ channel ] / ( analyzerHeight + ledSpaceV ) * ledCount | 0,
-								  posY     = ( ledCount - fullLeds - 1 ) * ( ledHeight + ledSpaceV );
-
-							ctx.fillRect( posX,	channelTop + posY, width, ledHeight );
-						}
-						else if ( ! isRadial ) {
-							ctx.fillRect( posX, analyzerBottom - bar.peak[ channel ], adjWidth, 2 );
-						}
-						else if ( mode !== 10 && bar.posX >= 0 ) { // radial - no peaks for mode 10 or wrap-around frequencies
-							radialPoly( posX, bar.peak[ channel ] * ( channel === 1 ? -1 : 1 ), adjWidth, -2 );
-						}
-					}
+				if ( bar.peak[ channel ] > 1 && this.showPeaks && ! isLumiBars ) { // avoid half "negative" peaks on top channel (peak height is 2px)
+					if ( isLedDisplay ) {
+						// convert the bar height to the position of the corresponding led element
+						const fullLeds = bar.peak[ channel ] / ( analyzerHeight + ledSpaceV ) * ledCount | 0,
+							  posY     = ( ledCount - fullLeds - 1 ) * ( ledHeight + ledSpaceV );
 
-					if ( bar.hold[ channel ] )
-						bar.hold[ channel ]--;
-					else {
-						bar.accel[ channel ]++;
-						bar.peak[ channel ] -= bar.accel[ channel ];
+						ctx.fillRect( posX,	channelTop + posY, width, ledHeight );
+					}
+					else if ( ! isRadial ) {
+						ctx.fillRect( posX, analyzerBottom - bar.peak[ channel ], adjWidth, 2 );
+					}
+					else if ( mode !== 10 && bar.posX >= 0 ) { // radial - no peaks for mode 10 or wrap-around frequencies
+						radialPoly( posX, bar.peak[ channel ] * ( channel === 1 ? -1 : 1 ), adjWidth, -2 );
 					}
 				}
 			} // for ( let i = 0; i < nBars; i++ )
@@ -1204,11 +2178,42 @@ export default class AudioMotionAnalyzer extends React.Component {
 				ctx.fill();
 			}
 
-			// Reflex effect
-			if ( this._reflexRatio > 0 && ! isLumiBars ) {
+			// draw the max-hold line through the highest value of each bar
+			if ( this.showMaxHold && mode <= 10 && ! isLumiBars ) {
+				const scale  = isRadial ? ( centerY - radius ) * ( channel === 1 ? -1 : 1 ) : analyzerHeight,
+					  offset = isOctaveBands ? this._barWidth / 2 : 0; // center of the bars
+
+				ctx.save();
+				ctx.setLineDash([]);
+				ctx.lineWidth = 1;
+				ctx.strokeStyle = '#fff';
+				ctx.globalAlpha = .7;
+				ctx.beginPath();
+				for ( const bar of this._bars ) {
+					const height = bar.maxHold[ channel ] * scale;
+					if ( ! isRadial )
+						ctx.lineTo( bar.posX + offset, analyzerBottom - height );
+					else if ( bar.posX >= 0 ) // skip wrap-around frequencies
+						ctx.lineTo( ...radialXY( bar.posX + offset, height ) );
+				}
+				if ( isRadial )
+					ctx.closePath();
+				ctx.stroke();
+				ctx.restore();
+			}
+
+			if ( isSpectrogram )
+				this._drawSpectrogram( channel, channelTop );
+			else if ( mode === OSCILLOSCOPE )
+				this._drawOscilloscope( channel, channelTop, providerParams );
+			else if ( mode === GONIOMETER && channel === 0 )
+				this._drawGoniometer( providerParams );
+
+			// Reflex effect - in overlay mode, once both channels have been drawn
+			if ( this._reflexRatio > 0 && ! isLumiBars && mode <= 10 && ! ( isOverlay && channel === 0 ) ) {
 				let posY, height;
-				if ( this.reflexFit || isStereo ) { // always fit reflex in stereo mode
-					posY   = isStereo && channel === 0 ? channelHeight + channelGap : 0;
+				if ( this.reflexFit || ( isStereo && ! isOverlay ) ) { // always fit reflex in stereo mode
+					posY   = isStereo && ! isOverlay && channel === 0 ? channelHeight + channelGap : 0;
 					height = channelHeight - analyzerHeight;
 				}
 				else {
@@ -1235,22 +2240,26 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 		// Update energy
 		energy.val = currentEnergy / ( nBars << isStereo );
+		energy.peak = peakHeight( energy.peakTop, timestamp - energy.peakTime, { ...peakOptions, scale: 1 } );
 		if ( energy.val >= energy.peak ) {
-			energy.peak = energy.val;
-			energy.hold = 30;
+			energy.peak = energy.peakTop = energy.val;
+			energy.peakTime = timestamp;
 		}
-		else {
-			if ( energy.hold > 0 )
-				energy.hold--;
-			else if ( energy.peak > 0 )
-				energy.peak *= ( 30 + energy.hold-- ) / 30; // decay (drops to zero in 30 frames)
+
+		// detect onsets and beats, before the canvas callback so it can react to them on the same frame -
+		// only while someone listens for them; the detector starts over when detection resumes
+		if ( this.onBeat || this.onOnset )
+			this._detectBeats( timestamp );
+		else if ( this._beatSpectra ) {
+			this._beatDetector.reset();
+			this._beatSpectra = undefined;
 		}
 
 		// restore solid lines
 		ctx.setLineDash([]);
 
-		// draw frequency scale (X-axis)
-		if ( this.showScaleX ) {
+		// draw frequency scale (X-axis) - not in the horizontal spectrogram, which has frequencies on the Y axis, nor in the waveform modes
+		if ( this.showScaleX && ! this._isTimeDomain && ! ( isSpectrogram && this._spectrogramScroll === 'horizontal' ) ) {
 			if ( isRadial ) {
 				ctx.save();
 				ctx.translate( centerX, centerY );
@@ -1273,6 +2282,10 @@ export default class AudioMotionAnalyzer extends React.Component {
 			this._frame = 0;
 			this._time = timestamp;
 		}
+
+		if ( this.showLoudness && this._loudness )
+			this._drawLoudness();
+
 		if ( this.showFPS ) {
 			const size = canvasX.height;
 			ctx.font = `bold ${size}px sans-serif`;
@@ -1289,8 +2302,18 @@ export default class AudioMotionAnalyzer extends React.Component {
 			ctx.restore();
 		}
 
-		// schedule next canvas update
-		this._runId = requestAnimationFrame( timestamp => this._draw( timestamp ) );
+		// notify frame subscribers
+		this._frameTime = timestamp;
+		this._peakScale = isRadial ? centerY - radius : analyzerHeight; // converts peak heights (pixels) to 0..1
+		if ( this._frameListeners.size ) {
+			const frame = this._lazyFrame();
+			for ( const listener of this._frameListeners )
+				listener( frame, this );
+		}
+
+		// schedule next canvas update, unless this frame was rendered on demand by drawFrame()
+		if ( this.isOn )
+			this._runId = requestAnimationFrame( timestamp => this._draw( timestamp ) );
 	}
 
 	/**
@@ -1304,86 +2327,333 @@ export default class AudioMotionAnalyzer extends React.Component {
 		const ctx            = this._canvasCtx,
 			  canvas         = ctx.canvas,
 			  isLumiBars     = this._isLumiBars,
-			  gradientHeight = isLumiBars ? canvas.height : canvas.height * ( 1 - this._reflexRatio * ! this._stereo ) | 0,
+			  isStereo       = this._stereo && this._mode !== GONIOMETER && ! this._isOverlay, // two channel areas
+			  reflexRatio    = this._mode > 10 ? 0 : this._reflexRatio,
+			  gradientHeight = isLumiBars ? canvas.height : canvas.height * ( 1 - reflexRatio * ! isStereo ) | 0,
 			  					// for stereo we keep the full canvas height and handle the reflex areas while generating the color stops
-			  analyzerRatio  = 1 - this._reflexRatio;
+			  analyzerRatio  = 1 - reflexRatio;
 
 		// for radial mode
 		const centerX = canvas.width >> 1,
 			  centerY = canvas.height >> 1,
 			  radius  = this._radius;
 
-		const currGradient = this._gradients[ this._gradient ],
-			  colorStops   = currGradient.colorStops,
-			  isHorizontal = currGradient.dir === 'h';
+		// helper function - create a canvas gradient from one of the registered gradients
+		const createGradient = name => {
+			const currGradient = this._gradients[ name ],
+				  colorStops   = currGradient.colorStops,
+				  isHorizontal = currGradient.dir === 'h';
 
-		let grad;
+			let grad;
 
-		if ( this._radial )
-			grad = ctx.createRadialGradient( centerX, centerY, centerY, centerX, centerY, radius - ( centerY - radius ) * this._stereo );
-		else
-			grad = ctx.createLinearGradient( 0, 0, isHorizontal ? canvas.width : 0, isHorizontal ? 0 : gradientHeight );
+			if ( this._isRadial )
+				grad = ctx.createRadialGradient( centerX, centerY, centerY, centerX, centerY, radius - ( centerY - radius ) * isStereo );
+			else
+				grad = ctx.createLinearGradient( 0, 0, isHorizontal ? canvas.width : 0, isHorizontal ? 0 : gradientHeight );
 
-		if ( colorStops ) {
-			const dual = this._stereo && ! this._splitGradient && ! isHorizontal;
+			if ( colorStops ) {
+				const dual = isStereo && ! this._splitGradient && ! isHorizontal;
 
-			// helper function
-			const addColorStop = ( offset, colorInfo ) => grad.addColorStop( offset, colorInfo.color || colorInfo );
+				// helper function
+				const addColorStop = ( offset, colorInfo ) => grad.addColorStop( offset, colorInfo.color || colorInfo );
 
-			for ( let channel = 0; channel < 1 + dual; channel++ ) {
-				colorStops.forEach( ( colorInfo, index ) => {
+				for ( let channel = 0; channel < 1 + dual; channel++ ) {
+					colorStops.forEach( ( colorInfo, index ) => {
 
-					const maxIndex = colorStops.length - 1;
+						const maxIndex = colorStops.length - 1;
 
-					let offset = colorInfo.pos !== undefined ? colorInfo.pos : index / maxIndex;
+						let offset = colorInfo.pos !== undefined ? colorInfo.pos : index / maxIndex;
 
-					// in dual mode (not split), use half the original offset for each channel
-					if ( dual )
-						offset /= 2;
+						// in dual mode (not split), use half the original offset for each channel
+						if ( dual )
+							offset /= 2;
 
-					// constrain the offset within the useful analyzer areas (avoid reflex areas)
-					if ( this._stereo && ! isLumiBars && ! this._radial && ! isHorizontal ) {
-						offset *= analyzerRatio;
-						// skip the first reflex area in split mode
-						if ( ! dual && offset > .5 * analyzerRatio )
-							offset += .5 * this._reflexRatio;
-					}
-
-					// only for split mode
-					if ( channel === 1 ) {
-						// add colors in reverse order if radial or lumi are active
-						if ( this._radial || isLumiBars ) {
-							const revIndex = maxIndex - index;
-							colorInfo = colorStops[ revIndex ];
-							offset = 1 - ( colorInfo.pos !== undefined ? colorInfo.pos : revIndex / maxIndex ) / 2;
+						// constrain the offset within the useful analyzer areas (avoid reflex areas)
+						if ( isStereo && ! isLumiBars && ! this._isRadial && ! isHorizontal ) {
+							offset *= analyzerRatio;
+							// skip the first reflex area in split mode
+							if ( ! dual && offset > .5 * analyzerRatio )
+								offset += .5 * reflexRatio;
 						}
-						else {
-							// if the first offset is not 0, create an additional color stop to prevent bleeding from the first channel
-							if ( index === 0 && offset > 0 )
-								addColorStop( .5, colorInfo );
-							// bump the offset to the second half of the gradient
-							offset += .5;
+
+						// only for split mode
+						if ( channel === 1 ) {
+							// add colors in reverse order if radial or lumi are active
+							if ( this._isRadial || isLumiBars ) {
+								const revIndex = maxIndex - index;
+								colorInfo = colorStops[ revIndex ];
+								offset = 1 - ( colorInfo.pos !== undefined ? colorInfo.pos : revIndex / maxIndex ) / 2;
+							}
+							else {
+								// if the first offset is not 0, create an additional color stop to prevent bleeding from the first channel
+								if ( index === 0 && offset > 0 )
+									addColorStop( .5, colorInfo );
+								// bump the offset to the second half of the gradient
+								offset += .5;
+							}
 						}
-					}
 
-					// add gradient color stop
-					addColorStop( offset, colorInfo );
+						// add gradient color stop
+						addColorStop( offset, colorInfo );
 
-					// create additional color stop at the end of first channel to prevent bleeding
-					if ( this._stereo && index === maxIndex && offset < .5 )
-						addColorStop( .5, colorInfo );
-				});
+						// create additional color stop at the end of first channel to prevent bleeding
+						if ( isStereo && index === maxIndex && offset < .5 )
+							addColorStop( .5, colorInfo );
+					});
+				}
 			}
+
+			return grad;
 		}
 
-		this._canvasGradient = grad;
+		this._canvasGradient = createGradient( this._gradient );
+		this._canvasGradientRight = this._isOverlay ? createGradient( this._gradientRight ) : this._canvasGradient;
+
+		if ( this._isSpectrogram )
+			this._makeSpectrogramColors();
+	}
+
+	/**
+	 * Generate the spectrogram color map from the current gradient
+	 *
+	 * The gradient's color stops are laid out on a 256 x 1 pixel canvas, in reverse order, since the first stop
+	 * is the color for the highest level in vertical gradients. Level `v` (0 to 1) has the color at index `v * 255`.
+	 */
+	_makeSpectrogramColors() {
+		// the same offscreen canvas is reused whenever the gradient changes (which includes every resize)
+		if ( ! this._colorMapCtx )
+			this._colorMapCtx = this._createCanvas().getContext('2d');
+
+		const ctx        = this._colorMapCtx,
+			  colorStops = this._gradients[ this._gradient ].colorStops,
+			  maxIndex   = colorStops.length - 1,
+			  grad       = ctx.createLinearGradient( 0, 0, 256, 0 );
+
+		colorStops.forEach( ( colorInfo, index ) => {
+			const offset = colorInfo.pos !== undefined ? colorInfo.pos : index / maxIndex;
+			grad.addColorStop( 1 - offset, colorInfo.color || colorInfo );
+		});
+
+		ctx.canvas.width = 256;
+		ctx.canvas.height = 1;
+		ctx.fillStyle = grad;
+		ctx.fillRect( 0, 0, 256, 1 );
+
+		this._spectrogramColors = ctx.getImageData( 0, 0, 256, 1 ).data;
+	}
+
+	/**
+	 * Clear the spectrogram history and size it for the current canvas width and history length
+	 */
+	_resetSpectrogram() {
+		if ( ! this._isSpectrogram || ! this._ready )
+			return;
+
+		if ( ! this._spectrogram )
+			this._spectrogram = [ 0, 1 ].map( () => this._createCanvas().getContext('2d') );
+
+		const width = this._canvasCtx.canvas.width;
+
+		// resizing a canvas also clears it
+		for ( const ctx of this._spectrogram ) {
+			ctx.canvas.width = width;
+			ctx.canvas.height = this._spectrogramHistory;
+		}
+
+		this._spectrogramLine = this._spectrogram[0].createImageData( width, 1 );
+		this._spectrogramRow  = 0; // history row of the newest line
+	}
+
+	/**
+	 * Add the current bar values of a channel to the spectrogram history and draw it in the channel area
+	 *
+	 * The history is a ring buffer - each frame the newest line replaces the oldest one, so nothing needs to be moved.
+	 */
+	_drawSpectrogram( channel, channelTop ) {
+		const ctx     = this._canvasCtx,
+			  canvas  = ctx.canvas,
+			  history = this._spectrogram[ channel ],
+			  line    = this._spectrogramLine,
+			  pixels  = line.data,
+			  colors  = this._spectrogramColors,
+			  bars    = this._bars,
+			  width   = line.width,
+			  length  = this._spectrogramHistory,
+			  height  = this._channelHeight;
+
+		if ( channel === 0 )
+			this._spectrogramRow = ( this._spectrogramRow + length - 1 ) % length;
+
+		const row = this._spectrogramRow;
+
+		// each bar fills the pixels up to the next bar
+		bars.forEach( ( bar, i ) => {
+			const start = Math.max( 0, bar.posX ),
+				  end   = Math.min( width, i < bars.length - 1 ? bars[ i + 1 ].posX : bar.posX + 1 ),
+				  color = ( Math.min( 1, bar.value[ channel ] ) * 255 | 0 ) * 4;
+
+			for ( let x = start; x < end; x++ )
+				pixels.set( colors.subarray( color, color + 4 ), x * 4 );
+		});
+
+		history.putImageData( line, 0, row );
+
+		// map history coordinates (frequency pixel, age in frames) to the channel area
+		if ( this._spectrogramScroll === 'horizontal' )
+			ctx.setTransform( 0, -height / width, -canvas.width / length, 0, canvas.width, channelTop + height );
+		else
+			ctx.setTransform( 1, 0, 0, height / length, 0, channelTop );
+
+		// newest lines first, then the older ones stored before them in the buffer
+		ctx.drawImage( history.canvas, 0, row, width, length - row, 0, 0, width, length - row );
+		if ( row > 0 )
+			ctx.drawImage( history.canvas, 0, 0, width, row, 0, length - row, width, row );
+
+		ctx.setTransform( 1, 0, 0, 1, 0, 0 );
+	}
+
+	/**
+	 * Draw a channel's waveform, starting at a rising zero crossing so periodic signals stand still
+	 */
+	_drawOscilloscope( channel, channelTop, params ) {
+		const ctx     = this._canvasCtx,
+			  canvas  = ctx.canvas,
+			  samples = this._timeData[ channel ],
+			  length  = samples.length >> 1, // display half the buffer, leaving the other half to search for the trigger
+			  height  = this._channelHeight,
+			  middle  = channelTop + height / 2;
+
+		readTimeDomainData( this._dataProvider, channel, samples, params );
+
+		const start = findTrigger( samples, samples.length - length );
+
+		ctx.beginPath();
+		for ( let i = 0; i < length; i++ ) {
+			const x = i * canvas.width / ( length - 1 ),
+				  y = middle - Math.max( -1, Math.min( 1, samples[ start + i ] ) ) * height / 2;
+
+			if ( i )
+				ctx.lineTo( x, y );
+			else
+				ctx.moveTo( x, y );
+		}
+
+		ctx.lineWidth = Math.max( 1, this.lineWidth );
+		ctx.stroke();
+	}
+
+	/**
+	 * Draw the left vs right channel XY plot, with mid (L+R) on the vertical axis and side (R-L) on the horizontal,
+	 * and a phase correlation meter below it
+	 */
+	_drawGoniometer( params ) {
+		const ctx         = this._canvasCtx,
+			  canvas      = ctx.canvas,
+			  [ left, right ] = this._timeData,
+			  meterHeight = Math.max( 4, canvas.height / 40 | 0 ),
+			  centerX     = canvas.width >> 1,
+			  centerY     = canvas.height - meterHeight * 2 >> 1,
+			  radius      = Math.min( centerX, centerY ),
+			  scale       = radius / SQRT2; // a full scale mono signal reaches the top
+
+		for ( const channel of [0,1] )
+			readTimeDomainData( this._dataProvider, channel, this._timeData[ channel ], params );
+
+		// guide lines: mid, side, and the left and right channel axes
+		ctx.save();
+		ctx.strokeStyle = ctx.fillStyle = '#555';
+		ctx.lineWidth = 1;
+		ctx.setLineDash([2,4]);
+		ctx.beginPath();
+		ctx.moveTo( centerX, centerY - radius );
+		ctx.lineTo( centerX, centerY + radius );
+		ctx.moveTo( centerX - radius, centerY );
+		ctx.lineTo( centerX + radius, centerY );
+		ctx.moveTo( centerX - scale, centerY - scale );
+		ctx.lineTo( centerX + scale, centerY + scale );
+		ctx.moveTo( centerX + scale, centerY - scale );
+		ctx.lineTo( centerX - scale, centerY + scale );
+		ctx.stroke();
+		ctx.font = `${ meterHeight * 2 }px sans-serif`;
+		ctx.textAlign = 'center';
+		ctx.fillText( 'L', centerX - scale, centerY - scale );
+		ctx.fillText( 'R', centerX + scale, centerY - scale );
+		ctx.restore();
+
+		// signal
+		ctx.beginPath();
+		for ( let i = 0; i < left.length; i++ ) {
+			const x = centerX + ( right[ i ] - left[ i ] ) / SQRT2 * scale,
+				  y = centerY - ( left[ i ] + right[ i ] ) / SQRT2 * scale;
+
+			if ( i )
+				ctx.lineTo( x, y );
+			else
+				ctx.moveTo( x, y );
+		}
+		ctx.lineWidth = 1;
+		ctx.stroke();
+
+		// correlation meter: -1 (opposite phase) at the left, +1 (mono) at the right
+		const value      = correlation( left, right ),
+			  meterY     = canvas.height - meterHeight * 1.5,
+			  meterWidth = canvas.width >> 1;
+
+		ctx.fillStyle = '#333';
+		ctx.fillRect( centerX - meterWidth / 2, meterY, meterWidth, meterHeight );
+		ctx.fillStyle = value < 0 ? '#f00' : '#0f0';
+		ctx.fillRect( centerX, meterY, value * meterWidth / 2, meterHeight );
+	}
+
+	/**
+	 * Draw the loudness meter overlay - current values and a momentary loudness bar, at the top left corner
+	 */
+	_drawLoudness() {
+		const ctx    = this._canvasCtx,
+			  size   = this._scaleX.canvas.height >> 1,
+			  values = this._loudness.values,
+			  format = value => value > -Infinity ? value.toFixed(1) : '-∞',
+			  lines  = [
+				  `M   ${ format( values.momentary ) } LUFS`,
+				  `S   ${ format( values.shortTerm ) } LUFS`,
+				  `I   ${ format( values.integrated ) } LUFS`,
+				  `LRA ${ values.range.toFixed(1) } LU`,
+				  `TP  ${ format( values.truePeak ) } dBTP`
+			  ],
+			  width  = size * 10,
+			  height = size * 1.2 * ( lines.length + 1 );
+
+		ctx.save();
+		ctx.fillStyle = '#000b';
+		ctx.fillRect( 0, 0, width + size, height + size );
+
+		ctx.font = `${size}px monospace`;
+		ctx.textAlign = 'left';
+		ctx.fillStyle = '#ddd';
+		lines.forEach( ( line, i ) => ctx.fillText( line, size / 2, size * 1.2 * ( i + 1 ) ) );
+
+		// momentary loudness from -60 to 0 LUFS, with a mark at the EBU R128 target level (-23 LUFS)
+		const barY  = height - size / 2,
+			  level = Math.max( 0, Math.min( 1, ( values.momentary + 60 ) / 60 ) );
+
+		ctx.fillStyle = '#333';
+		ctx.fillRect( size / 2, barY, width, size / 2 );
+		ctx.fillStyle = values.momentary > -23 ? '#fa0' : '#0c0';
+		ctx.fillRect( size / 2, barY, width * level, size / 2 );
+		ctx.fillStyle = '#fff';
+		ctx.fillRect( size / 2 + width * 37 / 60, barY - 2, 1, size / 2 + 4 );
+		ctx.restore();
 	}
 
 	/**
 	 * Generate the X-axis and radial scales in auxiliary canvases
 	 */
 	_createScales() {
-		const freqLabels  = [ 16, 31, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000 ],
+		const scale       = this._frequencyScale,
+			  freqLabels  = Array.isArray( scale ) ? scale :
+							scale === 'log' ? [ 16, 31, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000 ] :
+							[ 20, 50, 100, 200, 500, 1000, 2000, 3000, 4000, 5000, 6000, 8000, 10000, 12000, 14000, 16000, 18000, 20000 ],
+			  toUnit      = this._scaleFns[0],
 			  canvas      = this._canvasCtx.canvas,
 			  scaleX      = this._scaleX,
 			  scaleR      = this._scaleR,
@@ -1412,9 +2682,34 @@ export default class AudioMotionAnalyzer extends React.Component {
 		scaleR.font = `${ scaleHeight >> 1 }px sans-serif`;
 		scaleX.textAlign = scaleR.textAlign = 'center';
 
-		for ( const freq of freqLabels ) {
-			const label = ( freq >= 1000 ) ? `${ freq / 1000 }k` : freq,
-				  x     = this._logWidth * ( Math.log10( freq ) - this._minLog );
+		const labelSpacing = canvasX.height * 1.2,
+			  freqToX      = freq => this._scaleWidth * ( toUnit( freq ) - this._scaleMin ),
+			  semitone     = ROOT24 ** 2;
+
+		let labels;
+
+		if ( this._noteLabels ) {
+			// label every note when there's room between C4 and C#4, otherwise only the Cs
+			const allNotes = freqToX( C0 * 16 * semitone ) - freqToX( C0 * 16 ) >= labelSpacing;
+			labels = [];
+			for ( let note = 0, freq; ( freq = C0 * semitone ** note ) <= this._maxFreq; note++ ) {
+				if ( allNotes || note % 12 === 0 )
+					labels.push( [ freq, freqToNote( freq ).name ] );
+			}
+		}
+		else
+			labels = freqLabels.map( freq => [ freq, ( freq >= 1000 ) ? `${ freq / 1000 }k` : freq ] );
+
+		// skip labels that would overlap the previous one (the log scale frequency labels are always spaced enough)
+		const minSpacing = scale === 'log' && ! this._noteLabels ? 0 : labelSpacing;
+		let lastX = -Infinity;
+
+		for ( const [ freq, label ] of labels ) {
+			const x = freqToX( freq );
+
+			if ( x - lastX < minSpacing )
+				continue;
+			lastX = x;
 
 			scaleX.fillText( label, x, canvasX.height * .75 );
 
@@ -1451,6 +2746,10 @@ export default class AudioMotionAnalyzer extends React.Component {
 	 *                  minFreq--> 20                   (pixels)                                22K <--maxFreq
 	 *                          (10^1.3)                                                     (10^4.34)
 	 *                           minLog
+	 *
+	 * Other frequency scales work the same way, with the scale's own unit (linear Hz, Bark, Mel or band table index)
+	 * in place of log10. In octave bands modes they keep the number of bands, evenly spaced on the selected scale,
+	 * while a custom table defines the bands itself.
 	 */
 	_calcBars() {
 
@@ -1464,16 +2763,18 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 		const canvas  = this._canvasCtx.canvas,
 			  maxFreq = this._maxFreq,
-			  minFreq = this._minFreq;
+			  minFreq = this._minFreq,
+			  table   = Array.isArray( this._frequencyScale ) ? this._frequencyScale : null,
+			  [ toUnit, fromUnit ] = this._scaleFns;
 
-		let minLog,	logWidth;
+		let scaleMin, scaleWidth;
 
 		if ( ! this._isOctaveBands ) {
 		// Discrete frequencies or area fill modes
 			this._barWidth = 1;
 
-			minLog = Math.log10( minFreq );
-			logWidth = canvas.width / ( Math.log10( maxFreq ) - minLog );
+			scaleMin = toUnit( minFreq );
+			scaleWidth = canvas.width / ( toUnit( maxFreq ) - scaleMin );
 
 			const minIndex = this._freqToBin( minFreq, 'floor' ),
 				  maxIndex = this._freqToBin( maxFreq );
@@ -1482,45 +2783,66 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 			for ( let i = minIndex; i <= maxIndex; i++ ) {
 				const freq = binToFreq( i ), // frequency represented by this index
-					  pos  = Math.round( logWidth * ( Math.log10( freq ) - minLog ) ); // avoid fractionary pixel values
+					  pos  = Math.round( scaleWidth * ( toUnit( freq ) - scaleMin ) ); // avoid fractionary pixel values
 
 				// if it's on a different X-coordinate, create a new bar for this frequency
 				if ( pos > lastPos ) {
-					bars.push( { posX: pos, dataIdx: i, endIdx: 0, factor: 0, peak: [0,0], hold: [], accel: [] } );
+					bars.push( { posX: pos, freq, dataIdx: i, endIdx: 0, factor: 0, value: [0,0], peak: [0,0], peakTop: [0,0], peakTime: [0,0], maxHold: [0,0] } );
 					lastPos = pos;
 				} // otherwise, add this frequency to the last bar's range
-				else if ( bars.length )
-					bars[ bars.length - 1 ].endIdx = i;
+				else if ( bars.length ) {
+					const bar = bars[ bars.length - 1 ];
+					bar.endIdx = i;
+					bar.freq = binToFreq( ( bar.dataIdx + i ) / 2 ); // center frequency
+				}
 			}
 		}
 		else {
 		// Octave bands modes
 
-			// generate a table of frequencies based on the equal tempered scale
+			let bandFreqs = [];
+
+			if ( table ) {
+				// use the bands in the custom table within the frequency range (or the whole table, if less than two fit)
+				bandFreqs = table.filter( freq => freq >= minFreq && freq <= maxFreq );
+				if ( bandFreqs.length < 2 )
+					bandFreqs = table;
+			}
+			else {
+				// generate a table of frequencies based on the equal tempered scale
 
-			const notesPerBand = [0,1,2,3,4,6,8,12,24][ this._mode ];
+				const notesPerBand = [0,1,2,3,4,6,8,12,24][ this._mode ];
 
-			let i = 0,
-				freq,
-				temperedScale = [];
+				let i = 0,
+					freq;
 
-			while ( ( freq = C0 * ROOT24 ** i ) <= maxFreq ) {
-				if ( freq >= minFreq && i % notesPerBand === 0 )
-					temperedScale.push( freq );
-				i++;
+				while ( ( freq = C0 * ROOT24 ** i ) <= maxFreq ) {
+					if ( freq >= minFreq && i % notesPerBand === 0 )
+						bandFreqs.push( freq );
+					i++;
+				}
+
+				// for other scales, spread the same number of bands evenly across the frequency range
+				if ( this._frequencyScale !== 'log' ) {
+					const nBands = bandFreqs.length,
+						  start  = toUnit( minFreq ),
+						  step   = ( toUnit( maxFreq ) - start ) / nBands;
+
+					bandFreqs = Array.from( { length: nBands }, ( _, band ) => fromUnit( start + step * ( band + .5 ) ) );
+				}
 			}
 
-			minLog = Math.log10( temperedScale[0] );
-			logWidth = canvas.width / ( Math.log10( temperedScale[ temperedScale.length - 1 ] ) - minLog );
+			scaleMin = toUnit( bandFreqs[0] );
+			scaleWidth = canvas.width / ( toUnit( bandFreqs[ bandFreqs.length - 1 ] ) - scaleMin );
 
 			// divide canvas space by the number of frequencies (bars) to display
-			this._barWidth = canvas.width / temperedScale.length;
+			this._barWidth = canvas.width / bandFreqs.length;
 
 			let prevBin = 0,  // last bin included in previous frequency band
 				prevIdx = -1, // previous bar FFT array index
 				nBars   = 0;  // count of bars with the same index
 
-			temperedScale.forEach( ( freq, index ) => {
+			bandFreqs.forEach( ( freq, index ) => {
 				// which FFT bin best represents this frequency?
 				const bin = this._freqToBin( freq );
 
@@ -1547,8 +2869,8 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 				prevBin = nextBin = bin;
 				// check if there's another band after this one
-				if ( index < temperedScale.length - 1 ) {
-					nextBin = this._freqToBin( temperedScale[ index + 1 ] );
+				if ( index < bandFreqs.length - 1 ) {
+					nextBin = this._freqToBin( bandFreqs[ index + 1 ] );
 					// and use half the bins in between for this band
 					if ( nextBin - bin > 1 )
 						prevBin += Math.round( ( nextBin - bin ) / 2 );
@@ -1558,20 +2880,31 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 				bars.push( {
 					posX: index * this._barWidth,
+					freq,
 					dataIdx: idx,
 					endIdx,
 					factor: 0,
+					value: [0,0],
 					peak: [0,0],
-					hold: [],
-					accel: []
+					peakTop: [0,0],
+					peakTime: [0,0],
+					maxHold: [0,0]
 				} );
 
 			} );
 		}
 
+		// precompute the weighting filter gain (dB) for each bar's center frequency, and for each FFT bin (used by getEnergy)
+		const filter = this._weightingFilter;
+
+		for ( const bar of bars )
+			bar.weight = filter ? weightingGain( filter, bar.freq ) : 0;
+
+		this._binWeights = filter ? Float32Array.from( { length: this._analyzer[0].frequencyBinCount }, ( _, i ) => weightingGain( filter, binToFreq( i ) ) ) : null;
+
 		// save these for scale generation
-		this._minLog = minLog;
-		this._logWidth = logWidth;
+		this._scaleMin = scaleMin;
+		this._scaleWidth = scaleWidth;
 
 		// update internal variables
 		this._calcAux();
@@ -1581,6 +2914,9 @@ export default class AudioMotionAnalyzer extends React.Component {
 
 		// update LED properties
 		this._calcLeds();
+
+		// the spectrogram history no longer matches the bars
+		this._resetSpectrogram();
 	}
 
 	/**
@@ -1604,17 +2940,21 @@ export default class AudioMotionAnalyzer extends React.Component {
 		const ctx    = this._canvasCtx,
 			  canvas = ctx.canvas;
 
-		this._pixelRatio = window.devicePixelRatio; // for Retina / HiDPI devices
+		this._pixelRatio = this._headless ? 1 : window.devicePixelRatio; // for Retina / HiDPI devices
 
 		if ( this._loRes )
 			this._pixelRatio /= 2;
 
-		this._fsWidth = Math.max( window.screen.width, window.screen.height ) * this._pixelRatio;
-		this._fsHeight = Math.min( window.screen.height, window.screen.width ) * this._pixelRatio;
+		// there's no screen in headless mode, so use the default canvas dimensions as "fullscreen" size
+		const screen = this._headless ? { width: this._defaultWidth, height: this._defaultHeight } : window.screen;
 
-		const isFullscreen = this.isFullscreen,
-			  newWidth  = isFullscreen ? this._fsWidth  : ( this._width  || this._container.clientWidth  || this._defaultWidth )  * this._pixelRatio | 0,
-			  newHeight = isFullscreen ? this._fsHeight : ( this._height || this._container.clientHeight || this._defaultHeight ) * this._pixelRatio | 0;
+		this._fsWidth = Math.max( screen.width, screen.height ) * this._pixelRatio;
+		this._fsHeight = Math.min( screen.height, screen.width ) * this._pixelRatio;
+
+		const container = this._container || {},
+			  isFullscreen = this.isFullscreen,
+			  newWidth  = isFullscreen ? this._fsWidth  : ( this._width  || container.clientWidth  || this._defaultWidth )  * this._pixelRatio | 0,
+			  newHeight = isFullscreen ? this._fsHeight : ( this._height || container.clientHeight || this._defaultHeight ) * this._pixelRatio | 0;
 
 		// if canvas dimensions haven't changed, quit
 		if ( canvas.width === newWidth && canvas.height === newHeight )
@@ -1658,56 +2998,102 @@ export default class AudioMotionAnalyzer extends React.Component {
 	}
 
 	/**
-	 * Set object properties
+	 * Parameters passed to the data provider
 	 */
-	_setProps( options, useDefaults ) {
-
-		// settings defaults
-		const defaults = {
-			mode         : 0,
-			fftSize      : 8192,
-			minFreq      : 20,
-			maxFreq      : 22000,
-			smoothing    : 0.5,
-			gradient     : 'classic',
-			minDecibels  : -85,
-			maxDecibels  : -25,
-			showBgColor  : true,
-			showLeds     : false,
-			showScaleX   : true,
-			showScaleY   : false,
-			showPeaks    : true,
-			showFPS      : false,
-			lumiBars     : false,
-			loRes        : false,
-			reflexRatio  : 0,
-			reflexAlpha  : 0.15,
-			reflexBright : 1,
-			reflexFit    : true,
-			lineWidth    : 0,
-			fillAlpha    : 1,
-			barSpace     : 0.1,
-			overlay      : false,
-			bgAlpha      : 0.7,
-			radial		 : false,
-			spinSpeed    : 0,
-			stereo       : false,
-			splitGradient: false,
-			start        : true,
-			volume       : 1
+	_providerParams() {
+		return {
+			sampleRate : this.audioCtx.sampleRate,
+			fftSize    : this.fftSize,
+			minDecibels: this.minDecibels,
+			maxDecibels: this.maxDecibels
 		};
+	}
+
+	/**
+	 * Read the current left and right channel waveforms, decoding them from mid/side if needed
+	 *
+	 * @returns {Float32Array[]|null} [ left, right ], or null when the channels aren't analyzed separately
+	 */
+	_stereoSamples() {
+		if ( this._routing === 'mono' )
+			return null;
+
+		const params = this._providerParams(),
+			  [ a, b ] = this._timeData;
+
+		for ( const channel of [0,1] )
+			readTimeDomainData( this._dataProvider, channel, this._timeData[ channel ], params );
+
+		// mid = ( L + R ) / 2 and side = ( L - R ) / 2
+		if ( this._routing === 'midside' )
+			return [ a.map( ( mid, i ) => mid + b[ i ] ), a.map( ( mid, i ) => mid - b[ i ] ) ];
+
+		return [ a, b ];
+	}
+
+	/**
+	 * Set up the internal audio routing for the current settings (see the diagrams in the constructor)
+	 *
+	 * Both analyzer nodes get their own channel through the splitter in stereo and goniometer modes, or the mid and
+	 * side signals when `midSide` is on; otherwise the input goes straight into the first analyzer node.
+	 * The analyzer nodes are only connected to the output while it is connected to other nodes.
+	 */
+	_routeChannels() {
+		const split     = this._stereo || this._mode === GONIOMETER,
+			  routing   = ! split ? 'mono' : this._midSide && this._mode !== GONIOMETER ? 'midside' : 'stereo',
+			  hasOutput = this._outNodes.length > 0;
+
+		if ( routing === this._routing && hasOutput === this._routedOutput )
+			return;
+
+		this._routing = routing;
+		this._routedOutput = hasOutput;
+
+		const { _input: input, _splitter: splitter, _merger: merger, _output: output, _analyzer: analyzer } = this;
+
+		for ( const node of [ input, splitter, ...this._midSideGains, ...analyzer ] )
+			node.disconnect();
+
+		input.connect( routing === 'mono' ? analyzer[0] : splitter );
+
+		// the loudness meter is also fed by the input
+		if ( this._loudness )
+			this._loudness.connect();
 
-		// callback functions properties
-		const callbacks = [ 'onCanvasDraw', 'onCanvasResize' ];
+		if ( routing === 'midside' ) {
+			const [ midL, midR, sideL, sideR ] = this._midSideGains;
+			splitter.connect( midL, 0 );
+			splitter.connect( midR, 1 );
+			splitter.connect( sideL, 0 );
+			splitter.connect( sideR, 1 );
+			midL.connect( analyzer[0] );
+			midR.connect( analyzer[0] );
+			sideL.connect( analyzer[1] );
+			sideR.connect( analyzer[1] );
+			input.connect( output );
+			return;
+		}
+
+		for ( const i of [0,1] ) {
+			splitter.connect( analyzer[ i ], i );
+			if ( hasOutput )
+				analyzer[ i ].connect( ( routing === 'mono' && ! i ? output : merger ), 0, i );
+		}
+	}
+
+	/**
+	 * Set object properties
+	 */
+	_setProps( options, useDefaults ) {
 
 		// compile valid properties; `start` is not an actual property and is handled after setting everything else
-		const validProps = Object.keys( defaults ).concat( callbacks, ['height', 'width'] ).filter( e => e !== 'start' );
+		const validProps = Object.keys( DEFAULT_SETTINGS ).concat( CALLBACKS, ['height', 'width'] ).filter( e => e !== 'start' );
 
 		if ( useDefaults || options === undefined )
-			options = Object.assign( defaults, options ); // NOTE: defaults is modified!
+			options = { ...DEFAULT_SETTINGS, ...options };
 
 		for ( const prop of Object.keys( options ) ) {
-			if ( callbacks.includes( prop ) && typeof options[ prop ] !== 'function' ) // check invalid callback
+			if ( CALLBACKS.includes( prop ) && typeof options[ prop ] !== 'function' ) // check invalid callback
 				this[ prop ] = undefined;
 			else if ( validProps.includes( prop ) ) // set only valid properties
 				this[ prop ] = options[ prop ];
@@ -1716,19 +3102,103 @@ export default class AudioMotionAnalyzer extends React.Component {
 		if ( options.start !== undefined )
 			this.toggleAnalyzer( options.start );
 	}
-
-  render() {
-    return <div id="app"></div>;
-
-  }
 }
 
 /* Custom error class */
 
-class AudioMotionError extends Error {
+export class AudioMotionError extends Error {
 	constructor( code, message ) {
 		super( message );
 		this.name = 'AudioMotionError';
 		this.code = code;
 	}
 }
+
+/**
+ * ==========================================================================
+ *
+ * REACT COMPONENT
+ *
+ * ==========================================================================
+ */
+
+// props forwarded to the analyzer via setOptions(); `start` toggles the animation
+const OPTION_PROPS = Object.keys( DEFAULT_SETTINGS ).concat( CALLBACKS, ['height', 'width'] );
+
+/**
+ * Renders an analyzer inside its own container element
+ *
+ * Any option accepted by `setOptions()` can be passed as a prop, plus:
+ *   source          - HTMLMediaElement or AudioNode to connect to the analyzer input
+ *   dataProvider    - supplies the frequency data instead of the analyzer nodes (see `dataProvider` property)
+ *   audioCtx        - AudioContext to use (only read on mount)
+ *   connectSpeakers - set to false to keep the output disconnected (only read on mount)
+ *   onInit          - called with the AudioMotionAnalyzer instance once it's been created
+ *   className/style - applied to the container element
+ */
+export default class AudiomotionAnalyzer extends Component {
+	constructor( props ) {
+		super( props );
+		this._container = React.createRef();
+	}
+
+	// the underlying AudioMotionAnalyzer instance (undefined until mounted)
+	get analyzer() {
+		return this._analyzer;
+	}
+
+	componentDidMount() {
+		const { source, audioCtx, connectSpeakers, onInit } = this.props,
+			  options = { audioCtx, connectSpeakers };
+
+		for ( const prop of OPTION_PROPS ) {
+			if ( this.props[ prop ] !== undefined )
+				options[ prop ] = this.props[ prop ];
+		}
+
+		this._analyzer = new AudioMotionAnalyzer( this._container.current, options );
+		this._analyzer.dataProvider = this.props.dataProvider;
+		this._connectSource( source );
+
+		if ( onInit )
+			onInit( this._analyzer );
+	}
+
+	componentDidUpdate( prevProps ) {
+		const changed = {};
+
+		for ( const prop of OPTION_PROPS ) {
+			const value = this.props[ prop ];
+			if ( value !== prevProps[ prop ] )
+				changed[ prop ] = value === undefined ? DEFAULT_SETTINGS[ prop ] : value;
+		}
+
+		if ( Object.keys( changed ).length )
+			this._analyzer.setOptions( changed );
+
+		if ( this.props.source !== prevProps.source )
+			this._connectSource( this.props.source );
+
+		if ( this.props.dataProvider !== prevProps.dataProvider )
+			this._analyzer.dataProvider = this.props.dataProvider;
+	}
+
+	componentWillUnmount() {
+		this._analyzer.destroy();
+		this._analyzer = this._sourceNode = undefined;
+	}
+
+	render() {
+		return <div ref={ this._container } className={ this.props.className } style={ this.props.style }></div>;
+	}
+
+	/**
+	 * Replace the audio source connected via the `source` prop
+	 */
+	_connectSource( source ) {
+		if ( this._sourceNode )
+			this._analyzer.disconnectInput( this._sourceNode );
+
+		this._sourceNode = source ? this._analyzer.connectInput( source ) : undefined;
+	}
+}
@@ -0,0 +1,1065 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import AudiomotionAnalyzer, { AudioMotionAnalyzer } from './AudiomotionAnalyzer';
+import { FakeAudioContext, FakeAudioWorkletNode, installFakeAudioContext } from '../testUtils/fakeAudioContext';
+import { FakeMediaRecorder, installFakeMediaRecorder } from '../testUtils/fakeMediaRecorder';
+import { ArrayDataProvider } from '../audiomotion/dataProviders';
+
+installFakeAudioContext();
+
+function renderAnalyzer(props) {
+  let analyzer;
+  const utils = render(<AudiomotionAnalyzer start={false} onInit={a => (analyzer = a)} {...props} />);
+  return { ...utils, analyzer };
+}
+
+test('creates the analyzer inside its container on mount', () => {
+  const { container, analyzer } = renderAnalyzer({ mode: 3, gradient: 'prism' });
+
+  expect(container.querySelector('canvas')).toBe(analyzer.canvas);
+  expect(analyzer.mode).toBe(3);
+  expect(analyzer.gradient).toBe('prism');
+  expect(analyzer.isOn).toBe(false);
+});
+
+test('maps changed props onto the analyzer', () => {
+  const { rerender, analyzer } = renderAnalyzer({ mode: 3, fftSize: 4096 });
+
+  rerender(<AudiomotionAnalyzer start={false} mode={6} fftSize={4096} stereo showLeds />);
+
+  expect(analyzer.mode).toBe(6);
+  expect(analyzer.fftSize).toBe(4096);
+  expect(analyzer.stereo).toBe(true);
+  expect(analyzer.showLeds).toBe(true);
+});
+
+test('restores the default value when a prop is removed', () => {
+  const { rerender, analyzer } = renderAnalyzer({ minFreq: 30, maxFreq: 16000 });
+
+  rerender(<AudiomotionAnalyzer start={false} />);
+
+  expect(analyzer.minFreq).toBe(20);
+  expect(analyzer.maxFreq).toBe(22000);
+});
+
+test('switches the connected source', () => {
+  const audio = document.createElement('audio');
+  const { rerender, analyzer } = renderAnalyzer({ source: audio });
+
+  expect(analyzer.connectedSources).toHaveLength(1);
+  expect(analyzer.connectedSources[0].mediaElement).toBe(audio);
+
+  rerender(<AudiomotionAnalyzer start={false} />);
+  expect(analyzer.connectedSources).toHaveLength(0);
+
+  // reconnecting the same element reuses its source node
+  rerender(<AudiomotionAnalyzer start={false} source={audio} />);
+  expect(analyzer.connectedSources[0].mediaElement).toBe(audio);
+});
+
+test('removes the canvas on unmount', () => {
+  const { container, unmount, analyzer } = renderAnalyzer({ start: true });
+
+  expect(analyzer.isOn).toBe(true);
+  unmount();
+
+  expect(analyzer.isOn).toBe(false);
+  expect(container.querySelector('canvas')).toBeNull();
+});
+
+describe('destroy()', () => {
+  const originalResizeObserver = window.ResizeObserver;
+  let observer;
+
+  beforeEach(() => {
+    window.ResizeObserver = class {
+      constructor() {
+        observer = this;
+        this.observed = [];
+      }
+      observe(el) {
+        this.observed.push(el);
+      }
+      unobserve(el) {
+        this.observed = this.observed.filter(e => e !== el);
+      }
+      disconnect() {
+        this.observed = [];
+      }
+    };
+  });
+
+  afterEach(() => {
+    window.ResizeObserver = originalResizeObserver;
+  });
+
+  test('releases listeners, audio nodes and the canvas', async () => {
+    const container = document.createElement('div');
+    const removeListener = jest.spyOn(window, 'removeEventListener');
+    const analyzer = new AudioMotionAnalyzer(container);
+    const source = analyzer.connectInput(analyzer.audioCtx.createGain());
+
+    expect(analyzer.isOn).toBe(true);
+    expect(observer.observed).toEqual([container]);
+
+    await analyzer.destroy();
+
+    expect(analyzer.isOn).toBe(false);
+    expect(analyzer.isDestroyed).toBe(true);
+    expect(analyzer.connectedSources).toHaveLength(0);
+    expect(analyzer.connectedTo).toHaveLength(0);
+    expect(source.connections).toHaveLength(0);
+    expect(observer.observed).toHaveLength(0);
+    expect(removeListener).toHaveBeenCalledWith('resize', expect.any(Function));
+    expect(removeListener).toHaveBeenCalledWith('click', expect.any(Function));
+    removeListener.mockRestore();
+    expect(container.querySelector('canvas')).toBeNull();
+    expect(analyzer.audioCtx.state).toBe('closed');
+
+    // can't be restarted
+    expect(analyzer.toggleAnalyzer(true)).toBe(false);
+  });
+
+  test('only closes an audio context created by the analyzer', async () => {
+    const audioCtx = new FakeAudioContext();
+    const shared = new AudioMotionAnalyzer(document.createElement('div'), { audioCtx });
+    await shared.destroy();
+    expect(audioCtx.state).toBe('running');
+
+    const own = new AudioMotionAnalyzer(document.createElement('div'));
+    await own.destroy(false);
+    expect(own.audioCtx.state).toBe('running');
+  });
+});
+
+describe('recording', () => {
+  installFakeMediaRecorder();
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('records the canvas and the analyzer output to a WebM blob', async () => {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, connectSpeakers: false });
+    const done = analyzer.startRecording({ frameRate: 60, videoBitsPerSecond: 2500000 });
+    const recorder = FakeMediaRecorder.instances[0];
+    const [video, audio] = recorder.stream.getTracks();
+
+    expect(analyzer.isRecording).toBe(true);
+    expect(video.frameRate).toBe(60);
+    expect(audio.kind).toBe('audio');
+    expect(recorder.options).toEqual(expect.objectContaining({ mimeType: 'video/webm;codecs=vp8,opus', videoBitsPerSecond: 2500000 }));
+    expect(analyzer.connectedTo).toHaveLength(1);
+    expect(() => analyzer.startRecording()).toThrow(expect.objectContaining({ code: 'ERR_ALREADY_RECORDING' }));
+
+    const stopped = analyzer.stopRecording();
+    const blob = await done;
+
+    expect(await stopped).toBe(blob);
+    expect(blob.type).toBe('video/webm;codecs=vp8,opus');
+    expect(blob.size).toBeGreaterThan(0);
+    expect(analyzer.isRecording).toBe(false);
+    expect(analyzer.connectedTo).toHaveLength(0);
+    expect(video.stop).toHaveBeenCalled();
+    expect(await analyzer.stopRecording()).toBeNull();
+  });
+
+  test('stops automatically after the maximum duration', async () => {
+    jest.useFakeTimers();
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+    const done = analyzer.startRecording({ maxDuration: 5 });
+
+    jest.advanceTimersByTime(4999);
+    expect(analyzer.isRecording).toBe(true);
+
+    jest.advanceTimersByTime(1);
+    expect(analyzer.isRecording).toBe(false);
+    await expect(done).resolves.toBeInstanceOf(Blob);
+  });
+
+  test('releases the recording when the recorder fails to start', () => {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, connectSpeakers: false });
+    const start = jest.spyOn(FakeMediaRecorder.prototype, 'start').mockImplementation(() => {
+      throw new Error('NotSupportedError');
+    });
+
+    expect(() => analyzer.startRecording()).toThrow('NotSupportedError');
+    expect(analyzer.isRecording).toBe(false);
+    expect(analyzer.connectedTo).toHaveLength(0);
+    expect(FakeMediaRecorder.instances[0].stream.getVideoTracks()[0].stop).toHaveBeenCalled();
+
+    start.mockRestore();
+    expect(analyzer.startRecording()).toBeInstanceOf(Promise);
+    analyzer.stopRecording();
+  });
+
+  test('releases the capture when the recorder rejects the container format', () => {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, connectSpeakers: false });
+    window.MediaRecorder = class extends FakeMediaRecorder {
+      constructor(stream, options) {
+        super(stream, options);
+        throw new Error('NotSupportedError');
+      }
+    };
+
+    expect(() => analyzer.startRecording({ mimeType: 'video/mp4' })).toThrow('NotSupportedError');
+    expect(analyzer.isRecording).toBe(false);
+    expect(analyzer.connectedTo).toHaveLength(0);
+    expect(FakeMediaRecorder.instances[0].stream.getVideoTracks()[0].stop).toHaveBeenCalled();
+
+    window.MediaRecorder = FakeMediaRecorder;
+    expect(analyzer.startRecording()).toBeInstanceOf(Promise);
+    analyzer.stopRecording();
+  });
+
+  test('fails when MediaRecorder is not available', () => {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+    delete window.MediaRecorder;
+
+    expect(() => analyzer.startRecording()).toThrow(expect.objectContaining({ code: 'ERR_RECORDING_NOT_SUPPORTED' }));
+  });
+});
+
+describe('frequency scales', () => {
+  const create = options => new AudioMotionAnalyzer(document.createElement('div'), { start: false, ...options });
+  const binFreq = (analyzer, bin) => (bin * analyzer.audioCtx.sampleRate) / analyzer.fftSize;
+  const mel = f => 2595 * Math.log10(1 + f / 700);
+
+  test('positions discrete frequencies on a linear scale', () => {
+    const analyzer = create({ frequencyScale: 'linear', minFreq: 20, maxFreq: 20000 });
+    const width = analyzer.canvas.width;
+
+    for (const bar of analyzer._bars.filter((_, i) => i % 50 === 0)) {
+      const freq = binFreq(analyzer, bar.dataIdx);
+      expect(bar.posX).toBe(Math.round((width * (freq - 20)) / (20000 - 20)));
+    }
+  });
+
+  test('spreads octave bands evenly on the Mel scale, keeping the number of bands', () => {
+    const log = create({ mode: 3 });
+    const analyzer = create({ mode: 3, frequencyScale: 'mel' });
+    const bands = analyzer._bars.map(bar => mel(binFreq(analyzer, bar.dataIdx)));
+
+    expect(analyzer._bars).toHaveLength(log._bars.length);
+    // compare the high bands, which are wide enough to map to distinct bins
+    const steps = bands.slice(-10).map((m, i, a) => (i ? m - a[i - 1] : null)).slice(1);
+    for (const step of steps) expect(step).toBeCloseTo(steps[0], -1);
+  });
+
+  test('uses one bar per band of a custom table', () => {
+    const iso = [25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800, 1000, 1250, 1600, 2000, 2500];
+    const analyzer = create({ mode: 3, frequencyScale: iso, maxFreq: 1000 });
+
+    expect(analyzer._bars).toHaveLength(iso.indexOf(1000) + 1);
+    expect(analyzer.frequencyScale).toEqual(iso);
+    expect(analyzer.frequencyScale).not.toBe(iso);
+  });
+
+  test('weighs band energy by the active scale', () => {
+    const analyzer = create();
+    const data = new Uint8Array(4096);
+    data.fill(255, analyzer._freqToBin(500), analyzer._freqToBin(1000));
+    analyzer.dataProvider = new ArrayDataProvider(data);
+    analyzer._draw(performance.now());
+    analyzer.toggleAnalyzer(false);
+
+    // 500-1000Hz is half of the 'mid' range (500-2000Hz) in octaves, but only a third of it in Hz
+    expect(analyzer.getEnergy('mid')).toBeCloseTo(0.5, 1);
+    analyzer.frequencyScale = 'linear';
+    expect(analyzer.getEnergy('mid')).toBeCloseTo(1 / 3, 1);
+  });
+
+  test('weighs ranges starting at 0 Hz on logarithmic scales', () => {
+    const analyzer = create();
+    analyzer.dataProvider = new ArrayDataProvider(new Uint8Array(4096).fill(255));
+    analyzer._draw(performance.now());
+    analyzer.toggleAnalyzer(false);
+
+    for (const scale of ['log', 'mel', [20, 100, 1000, 10000]]) {
+      analyzer.frequencyScale = scale;
+      expect(analyzer.getEnergy(0, 250)).toBeCloseTo(1, 5);
+    }
+  });
+
+  test('rejects unknown scales and invalid tables', () => {
+    const analyzer = create();
+
+    for (const value of ['octave', [100], [100, 50], [0, 100]])
+      expect(() => (analyzer.frequencyScale = value)).toThrow(
+        expect.objectContaining({ code: 'ERR_INVALID_FREQUENCY_SCALE' })
+      );
+    expect(analyzer.frequencyScale).toBe('log');
+  });
+});
+
+describe('weighting filters', () => {
+  function drawFlat(options) {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, ...options });
+    analyzer.dataProvider = new ArrayDataProvider(new Uint8Array(4096).fill(128));
+    analyzer._draw(performance.now());
+    analyzer.toggleAnalyzer(false);
+    return analyzer;
+  }
+
+  test('applies the filter gain to each bar', () => {
+    const analyzer = drawFlat({ mode: 3, weightingFilter: 'a' });
+    const data = new Uint8Array(4096).fill(128);
+    const value = freq => analyzer._barValue(analyzer._bars.find(bar => bar.freq >= freq), data);
+
+    expect(analyzer.weightingFilter).toBe('A');
+    expect(value(1000)).toBeCloseTo(128 / 255, 2);
+    expect(value(60)).toBeLessThan(value(1000));
+    // the gain is converted to the byte scale of the current sensitivity (-85 to -25 dB)
+    const bar = analyzer._bars.find(b => b.freq >= 100);
+    expect(analyzer._barValue(bar, data)).toBeCloseTo((128 + (bar.weight * 255) / 60) / 255, 5);
+    // silence stays silent
+    expect(analyzer._barValue(bar, new Uint8Array(4096))).toBe(0);
+  });
+
+  test('affects band energy', () => {
+    const flat = drawFlat();
+    const weighted = drawFlat({ weightingFilter: 'A' });
+
+    expect(flat.getEnergy('bass')).toBeCloseTo(flat.getEnergy('mid'), 5);
+    expect(weighted.getEnergy('bass')).toBeLessThan(weighted.getEnergy('mid'));
+    expect(weighted.getEnergy()).toBeLessThan(flat.getEnergy());
+
+    weighted.weightingFilter = '';
+    expect(weighted.getEnergy('bass')).toBeCloseTo(flat.getEnergy('bass'), 5);
+  });
+
+  test('rejects unknown filters', () => {
+    expect(() => drawFlat({ weightingFilter: 'Z' })).toThrow(expect.objectContaining({ code: 'ERR_INVALID_WEIGHTING_FILTER' }));
+  });
+});
+
+describe('floating-point data', () => {
+  function drawFloat(floatData, options) {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, useFloatData: true, ...options });
+    analyzer._analyzer[0].floatData = floatData;
+    analyzer._draw(performance.now());
+    analyzer.toggleAnalyzer(false);
+    return analyzer;
+  }
+
+  test('keeps levels outside the sensitivity range', () => {
+    const analyzer = drawFloat(new Float32Array(4096).fill(-10));
+    const bar = analyzer._bars[100];
+
+    expect(analyzer._fftData[0]).toBeInstanceOf(Float32Array);
+    expect(analyzer._barValue(bar, analyzer._fftData[0])).toBe(1); // above maxDecibels (-25)
+
+    analyzer.setSensitivity(-100, 0);
+    expect(analyzer._barValue(bar, analyzer._fftData[0])).toBeCloseTo(0.9, 5);
+    expect(analyzer.getEnergy('mid')).toBeCloseTo(0.9, 5);
+  });
+
+  test('reports levels in dBFS', () => {
+    const data = new Float32Array(4096).fill(-120);
+    const analyzer = drawFloat(data);
+    data[analyzer._freqToBin(1000)] = -12.5;
+    analyzer._draw(performance.now());
+    analyzer.toggleAnalyzer(false);
+
+    expect(analyzer.getDecibels()).toBe(-12.5);
+    expect(analyzer.getDecibels('mid')).toBe(-12.5);
+    expect(analyzer.getDecibels('bass')).toBe(-120);
+    expect(analyzer.getDecibels('nope')).toBeNull();
+
+    analyzer.weightingFilter = 'A';
+    expect(analyzer.getDecibels(1000)).toBeCloseTo(-12.5, 1);
+    expect(analyzer.getDecibels('bass')).toBeLessThan(-120);
+  });
+
+  test('converts byte data to dB when float data is off', () => {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+    analyzer.dataProvider = new ArrayDataProvider(new Uint8Array(4096).fill(255));
+    analyzer._draw(performance.now());
+    analyzer.toggleAnalyzer(false);
+
+    expect(analyzer._fftData[0]).toBeInstanceOf(Uint8Array);
+    expect(analyzer.getDecibels()).toBe(analyzer.maxDecibels);
+  });
+
+  test('maps amplitude linearly', () => {
+    const analyzer = drawFloat(new Float32Array(4096).fill(-25 - 20 * Math.log10(2)), { linearAmplitude: true });
+
+    expect(analyzer._barValue(analyzer._bars[100], analyzer._fftData[0])).toBeCloseTo(0.5, 5);
+
+    analyzer.useFloatData = false;
+    analyzer.dataProvider = new ArrayDataProvider(new Uint8Array(4096).fill(0));
+    analyzer._draw(performance.now());
+    analyzer.toggleAnalyzer(false);
+    expect(analyzer.getEnergy()).toBe(0);
+  });
+});
+
+describe('frame data', () => {
+  function create(options) {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, mode: 3, ...options });
+    const data = new Uint8Array(4096);
+    data.fill(255, 0, analyzer._freqToBin(250) + 1);
+    analyzer.dataProvider = new ArrayDataProvider(data);
+    return analyzer;
+  }
+
+  test('describes each bar', () => {
+    const analyzer = create({ stereo: true });
+    analyzer.drawFrame(1000);
+
+    const bars = analyzer.getBars();
+    const low = bars.find(bar => bar.freqHi < 200);
+    const high = bars.find(bar => bar.freqLo > 1000);
+
+    expect(bars).toHaveLength(analyzer._bars.length);
+    expect(low.freqLo).toBeLessThanOrEqual(low.freqHi);
+    expect(low.value).toEqual([1, 1]);
+    expect(low.peak).toEqual([1, 1]);
+    expect(low.hold).toEqual([500, 500]);
+    expect(low.maxHold).toEqual([1, 1]);
+    expect(high.value).toEqual([0, 0]);
+
+    // snapshots are not affected by later frames
+    low.value[0] = 0.5;
+    expect(analyzer.getBars().find(bar => bar.freq === low.freq).value[0]).toBe(1);
+  });
+
+  test('notifies subscribers after each frame', () => {
+    const analyzer = create();
+    const listener = jest.fn();
+    const unsubscribe = analyzer.subscribe(listener);
+
+    analyzer.drawFrame(1000);
+    analyzer.drawFrame(1016);
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    const [frame, target] = listener.mock.calls[1];
+    expect(target).toBe(analyzer);
+    expect(frame).toEqual(
+      expect.objectContaining({ timestamp: 1016, stereo: false, useFloatData: false, energy: analyzer.getEnergy() })
+    );
+    expect(frame.spectrum).toHaveLength(1);
+    expect(frame.spectrum[0]).not.toBe(analyzer._fftData[0]);
+    expect(frame.spectrum[0][0]).toBe(255);
+
+    unsubscribe();
+    analyzer.drawFrame(1032);
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    // bars are only built for listeners that read them
+    const getBars = jest.spyOn(analyzer, 'getBars');
+    analyzer.subscribe(frame => frame.energy);
+    analyzer.drawFrame(1048);
+    expect(getBars).not.toHaveBeenCalled();
+    getBars.mockRestore();
+    expect(() => analyzer.subscribe('nope')).toThrow(expect.objectContaining({ code: 'ERR_INVALID_LISTENER' }));
+  });
+});
+
+describe('peaks', () => {
+  // full level on the low frequencies, followed by silence
+  function create(options) {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, mode: 3, ...options });
+    const loud = new Uint8Array(4096).fill(255, 0, analyzer._freqToBin(250) + 1);
+    const provider = new ArrayDataProvider(loud);
+    analyzer.dataProvider = provider;
+    analyzer.drawFrame(0);
+    provider.data = new Uint8Array(4096);
+    return analyzer;
+  }
+
+  const lowBar = analyzer => analyzer.getBars().find(bar => bar.freqHi < 200);
+
+  // draw frames at a given rate, up to (and including) `until` ms
+  function run(analyzer, fps, until) {
+    for (let frame = 1; frame * (1000 / fps) <= until; frame++) analyzer.drawFrame(frame * (1000 / fps));
+  }
+
+  test('hold and fall over the same time at any frame rate', () => {
+    const slow = create();
+    const fast = create();
+
+    run(slow, 60, 400);
+    run(fast, 144, 400);
+    expect(lowBar(slow).peak[0]).toBe(1);
+    expect(lowBar(slow).hold[0]).toBeCloseTo(100);
+
+    run(slow, 60, 750);
+    run(fast, 144, 750);
+    const peak = lowBar(slow).peak[0];
+    expect(peak).toBeGreaterThan(0);
+    expect(peak).toBeLessThan(1);
+    expect(lowBar(fast).peak[0]).toBeCloseTo(peak, 1);
+
+    run(slow, 60, 1020);
+    expect(lowBar(slow).peak[0]).toBe(0);
+  });
+
+  test('applies the hold time and decay model', () => {
+    const analyzer = create({ peakHoldTime: 0, peakDecay: 'exponential', peakDecayTime: 1000 });
+    analyzer.drawFrame(500);
+    expect(lowBar(analyzer).peak[0]).toBeCloseTo(0.1, 1);
+
+    analyzer.peakDecay = 'none';
+    analyzer.drawFrame(60000);
+    expect(lowBar(analyzer).peak[0]).toBe(1);
+    expect(analyzer.peakEnergy).toBeGreaterThan(0);
+
+    analyzer.resetPeaks();
+    expect(lowBar(analyzer)).toEqual(expect.objectContaining({ peak: [0, 0], maxHold: [0, 0] }));
+    expect(analyzer.peakEnergy).toBe(0);
+  });
+
+  test('holds the energy peak for the hold time', () => {
+    const analyzer = create();
+    const peak = analyzer.peakEnergy;
+
+    analyzer.drawFrame(500);
+    expect(analyzer.peakEnergy).toBe(peak);
+    analyzer.drawFrame(800);
+    expect(analyzer.peakEnergy).toBeLessThan(peak);
+    analyzer.drawFrame(1500);
+    expect(analyzer.peakEnergy).toBe(0);
+  });
+
+  test('keeps and draws the max-hold line', () => {
+    const analyzer = create({ showMaxHold: true });
+    run(analyzer, 60, 2000);
+    expect(lowBar(analyzer).maxHold[0]).toBe(1);
+
+    const lineTo = jest.spyOn(analyzer.canvasCtx, 'lineTo');
+    lineTo.mockClear();
+    analyzer.drawFrame(2016);
+    expect(lineTo).toHaveBeenCalledTimes(analyzer._bars.length);
+    expect(lineTo).toHaveBeenCalledWith(expect.any(Number), analyzer._analyzerHeight - analyzer._analyzerHeight);
+
+    analyzer.showMaxHold = false;
+    lineTo.mockClear();
+    analyzer.drawFrame(2032);
+    expect(lineTo).not.toHaveBeenCalled();
+    lineTo.mockRestore();
+  });
+
+  test('validates the settings', () => {
+    const analyzer = create();
+
+    expect(() => (analyzer.peakDecay = 'linear')).toThrow(expect.objectContaining({ code: 'ERR_INVALID_PEAK_DECAY' }));
+    expect(() => (analyzer.peakHoldTime = -1)).toThrow(expect.objectContaining({ code: 'ERR_PEAK_TIME_OUT_OF_RANGE' }));
+    expect(() => (analyzer.peakDecayTime = 0)).toThrow(expect.objectContaining({ code: 'ERR_PEAK_TIME_OUT_OF_RANGE' }));
+  });
+});
+
+describe('ballistics', () => {
+  // silence on the first frame, then full level on the low frequencies
+  function create(options) {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, mode: 3, ...options });
+    const provider = new ArrayDataProvider(new Uint8Array(4096));
+    analyzer.dataProvider = provider;
+    analyzer.drawFrame(0);
+    provider.data = new Uint8Array(4096).fill(255, 0, analyzer._freqToBin(250) + 1);
+    return analyzer;
+  }
+
+  const lowValue = analyzer => analyzer.getBars().find(bar => bar.freqHi < 200).value[0];
+
+  test('moves the bars at the same speed at any frame rate', () => {
+    const slow = create(AudioMotionAnalyzer.ballistics.vu);
+    const fast = create(AudioMotionAnalyzer.ballistics.vu);
+
+    for (let frame = 1; frame <= 3; frame++) slow.drawFrame((frame * 1000) / 30);
+    for (let frame = 1; frame <= 12; frame++) fast.drawFrame((frame * 1000) / 120);
+
+    expect(lowValue(slow)).toBeGreaterThan(0.5);
+    expect(lowValue(slow)).toBeLessThan(1);
+    expect(lowValue(fast)).toBeCloseTo(lowValue(slow), 10);
+  });
+
+  test('meter presets turn off the analyzer smoothing', () => {
+    const analyzer = create(AudioMotionAnalyzer.ballistics.ppm);
+    expect(analyzer.smoothing).toBe(0);
+    expect(analyzer._analyzer.map(node => node.smoothingTimeConstant)).toEqual([0, 0]);
+
+    analyzer.setOptions(AudioMotionAnalyzer.ballistics.none);
+    expect(analyzer.smoothing).toBe(0.5);
+  });
+
+  test('rises and falls at different speeds', () => {
+    const analyzer = create({ attackTime: 0, releaseTime: 1000 });
+    analyzer.drawFrame(16);
+    expect(lowValue(analyzer)).toBe(1);
+
+    analyzer.dataProvider.data = new Uint8Array(4096);
+    analyzer.drawFrame(516);
+    expect(lowValue(analyzer)).toBeCloseTo(0.1);
+  });
+
+  test('follows the data directly by default', () => {
+    const analyzer = create();
+    analyzer.drawFrame(16);
+    expect(lowValue(analyzer)).toBe(1);
+    expect(AudioMotionAnalyzer.ballistics.none).toEqual({ attackTime: 0, releaseTime: 0, smoothing: 0.5 });
+    expect(() => (analyzer.releaseTime = -1)).toThrow(expect.objectContaining({ code: 'ERR_BALLISTICS_OUT_OF_RANGE' }));
+  });
+});
+
+describe('beat detection', () => {
+  test('fires onBeat and onOnset with the band, strength and timestamp', () => {
+    const onBeat = jest.fn();
+    const onOnset = jest.fn();
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, onBeat, onOnset });
+    const quiet = new Uint8Array(4096).fill(20);
+    const kick = new Uint8Array(4096).fill(20).fill(230, 0, analyzer._freqToBin(250) + 1);
+    const provider = new ArrayDataProvider(quiet);
+    analyzer.dataProvider = provider;
+
+    for (let frame = 0; frame < 240; frame++) {
+      provider.data = frame % 30 === 0 ? kick : quiet; // 120 BPM at 60fps
+      analyzer.drawFrame((frame * 1000) / 60);
+    }
+
+    expect(onBeat.mock.calls.length).toBeGreaterThanOrEqual(7);
+    const [beat, target] = onBeat.mock.calls[onBeat.mock.calls.length - 1];
+    expect(target).toBe(analyzer);
+    expect(beat).toEqual(expect.objectContaining({ band: 'bass', timestamp: 3500 }));
+    expect(beat.strength).toBeGreaterThan(1);
+    expect(analyzer.bpm).toBeCloseTo(120, 0);
+    expect(onOnset).toHaveBeenCalledWith(expect.objectContaining({ band: 'bass' }), analyzer);
+    expect(onOnset).not.toHaveBeenCalledWith(expect.objectContaining({ band: 'treble' }), analyzer);
+  });
+
+  test('skips detection while nobody listens', () => {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+    const process = jest.spyOn(analyzer.beatDetector, 'process');
+
+    analyzer.drawFrame(0);
+    expect(process).not.toHaveBeenCalled();
+
+    analyzer.onBeat = () => {};
+    analyzer.drawFrame(16);
+    analyzer.drawFrame(33);
+    expect(process).toHaveBeenCalledTimes(2);
+    expect(process.mock.calls[1][1].bass).toBe(process.mock.calls[0][1].bass); // same arrays, refilled
+
+    const reset = jest.spyOn(analyzer.beatDetector, 'reset');
+    analyzer.onBeat = undefined;
+    analyzer.drawFrame(50);
+    expect(process).toHaveBeenCalledTimes(2);
+    expect(reset).toHaveBeenCalled();
+    process.mockRestore();
+    reset.mockRestore();
+  });
+});
+
+describe('pitch analysis', () => {
+  function create(options) {
+    return new AudioMotionAnalyzer(document.createElement('div'), { start: false, ...options });
+  }
+
+  // draw one frame with a spectrum peaking at the given frequencies
+  function drawTones(analyzer, freqs) {
+    const data = new Uint8Array(4096);
+    for (const freq of freqs) {
+      const bin = (freq * analyzer.fftSize) / analyzer.audioCtx.sampleRate;
+      // spread each tone over its two nearest bins, proportionally to the distance
+      const lo = Math.floor(bin);
+      data[lo] = Math.max(data[lo], 255 * (1 - (bin - lo) / 2));
+      data[lo + 1] = Math.max(data[lo + 1], 255 * (0.5 + (bin - lo) / 2));
+    }
+    analyzer.dataProvider = new ArrayDataProvider(data);
+    analyzer.drawFrame(0);
+  }
+
+  test('finds the dominant note', () => {
+    const analyzer = create();
+    expect(analyzer.getNote()).toBeNull();
+
+    drawTones(analyzer, [440]);
+    const note = analyzer.getNote();
+
+    expect(note.name).toBe('A4');
+    expect(Math.abs(note.freq - 440)).toBeLessThan(3);
+    expect(Math.abs(note.cents)).toBeLessThan(12);
+  });
+
+  test('computes the chromagram and key', () => {
+    const analyzer = create();
+    // C major scale
+    drawTones(analyzer, [261.63, 293.66, 329.63, 349.23, 392, 440, 493.88, 523.25]);
+
+    const chroma = analyzer.getChroma();
+    expect(chroma).toHaveLength(12);
+    expect(chroma[0]).toBeGreaterThan(chroma[1]);
+    expect(analyzer.getKey()).toEqual(expect.objectContaining({ name: 'C major' }));
+  });
+
+  test('labels the X axis with note names', () => {
+    const analyzer = create({ mode: 2 });
+    const fillText = jest.spyOn(analyzer._scaleX, 'fillText');
+    fillText.mockClear(); // the canvas mock records earlier calls too
+
+    analyzer.noteLabels = true;
+    const labels = fillText.mock.calls.map(([label]) => label);
+
+    expect(labels).toEqual(expect.arrayContaining(['C2', 'C4', 'C9']));
+    expect(labels).not.toContain('1k');
+    expect(labels).not.toContain('C#4'); // no room for every note at this width
+
+    fillText.mockClear();
+    analyzer.setOptions({ minFreq: 200, maxFreq: 600 });
+    expect(fillText.mock.calls.map(([label]) => label)).toEqual(expect.arrayContaining(['C4', 'C#4', 'A4']));
+  });
+});
+
+describe('spectrogram', () => {
+  function create(options) {
+    return new AudioMotionAnalyzer(document.createElement('div'), { start: false, mode: 11, ...options });
+  }
+
+  // calls that drew a spectrogram history canvas onto the analyzer canvas
+  function historyDraws(drawImage, length) {
+    return drawImage.mock.calls.filter(([image]) => image.height === length);
+  }
+
+  test('validates the spectrogram options', () => {
+    const analyzer = create();
+
+    expect(analyzer.mode).toBe(11);
+    expect(analyzer.isOctaveBands).toBe(false);
+    expect(() => (analyzer.mode = 14)).toThrow(expect.objectContaining({ code: 'ERR_INVALID_MODE' }));
+    expect(() => (analyzer.spectrogramScroll = 'diagonal')).toThrow(
+      expect.objectContaining({ code: 'ERR_INVALID_SPECTROGRAM_SCROLL' })
+    );
+    expect(() => (analyzer.spectrogramHistory = 0)).toThrow(
+      expect.objectContaining({ code: 'ERR_SPECTROGRAM_HISTORY_OUT_OF_RANGE' })
+    );
+  });
+
+  test('reuses its canvases when the gradient or size changes', () => {
+    const createCanvas = jest.fn(() => document.createElement('canvas'));
+    const analyzer = create({ createCanvas });
+    const created = createCanvas.mock.calls.length;
+
+    analyzer.gradient = 'rainbow';
+    analyzer.setCanvasSize(400, 200);
+    analyzer.drawFrame(0);
+
+    expect(createCanvas).toHaveBeenCalledTimes(created);
+  });
+
+  test('scrolls the history down, newest line first', () => {
+    const analyzer = create({ spectrogramHistory: 100 });
+    const ctx = analyzer.canvasCtx;
+    const { width, height } = analyzer.canvas;
+    const drawImage = jest.spyOn(ctx, 'drawImage');
+    const setTransform = jest.spyOn(ctx, 'setTransform');
+
+    analyzer.drawFrame(0);
+    analyzer.drawFrame(16);
+
+    // newest lines on top, followed by the older ones
+    const draws = historyDraws(drawImage, 100);
+    expect(draws).toHaveLength(4);
+    expect(draws[0]).toEqual([expect.anything(), 0, 99, width, 1, 0, 0, width, 1]);
+    expect(draws[2]).toEqual([expect.anything(), 0, 98, width, 2, 0, 0, width, 2]);
+    expect(draws[3]).toEqual([expect.anything(), 0, 0, width, 98, 0, 2, width, 98]);
+    expect(setTransform).toHaveBeenCalledWith(1, 0, 0, height / 100, 0, 0);
+
+    drawImage.mockRestore();
+    setTransform.mockRestore();
+  });
+
+  test('scrolls horizontally and splits stereo channels', () => {
+    const analyzer = create({ spectrogramScroll: 'horizontal', spectrogramHistory: 50, stereo: true, reflexRatio: 0.3 });
+    const ctx = analyzer.canvasCtx;
+    const { width } = analyzer.canvas;
+    const channelHeight = (analyzer.canvas.height - 0.5) >> 1;
+    const setTransform = jest.spyOn(ctx, 'setTransform');
+    const drawImage = jest.spyOn(ctx, 'drawImage');
+
+    analyzer.drawFrame(0);
+
+    const draws = historyDraws(drawImage, 50);
+    expect(draws).toHaveLength(4);
+    expect(draws[0][0]).not.toBe(draws[2][0]); // one history per channel
+    expect(setTransform).toHaveBeenCalledWith(0, -channelHeight / width, -width / 50, 0, width, channelHeight);
+    expect(setTransform).toHaveBeenCalledWith(0, -channelHeight / width, -width / 50, 0, width, analyzer.canvas.height);
+
+    drawImage.mockRestore();
+    setTransform.mockRestore();
+  });
+
+  test('keeps the bar data up to date', () => {
+    const analyzer = create();
+    analyzer.dataProvider = new ArrayDataProvider(new Uint8Array(4096).fill(255));
+    analyzer.drawFrame(0);
+
+    expect(analyzer.getBars().every(bar => bar.value[0] === 1)).toBe(true);
+    expect(analyzer.getEnergy()).toBeCloseTo(1);
+  });
+});
+
+describe('waveform modes', () => {
+  function create(options) {
+    return new AudioMotionAnalyzer(document.createElement('div'), { start: false, fftSize: 1024, ...options });
+  }
+
+  // provider with a sine wave per channel - `phases` in radians
+  function sineProvider(period, phases = [0, 0]) {
+    return {
+      getByteFrequencyData: (channel, array) => array.fill(0),
+      getFloatTimeDomainData: (channel, array) => {
+        for (let i = 0; i < array.length; i++) array[i] = 0.5 * Math.sin((2 * Math.PI * i) / period + phases[channel]);
+      },
+    };
+  }
+
+  test('draws a triggered oscilloscope per channel', () => {
+    const analyzer = create({ mode: 12, stereo: true });
+    const ctx = analyzer.canvasCtx;
+    const channelHeight = (analyzer.canvas.height - 0.5) >> 1;
+    analyzer.dataProvider = sineProvider(100, [Math.PI / 2, Math.PI / 2]);
+    const moveTo = jest.spyOn(ctx, 'moveTo');
+    const lineTo = jest.spyOn(ctx, 'lineTo');
+
+    analyzer.drawFrame(0);
+
+    // each channel starts at the zero crossing (vertical center) and spans half the buffer
+    const starts = moveTo.mock.calls.filter(([x]) => x === 0);
+    expect(starts).toHaveLength(2);
+    expect(starts[0][1]).toBeCloseTo(channelHeight / 2, -1);
+    expect(starts[1][1]).toBeCloseTo(analyzer.canvas.height - channelHeight / 2, -1);
+    expect(lineTo.mock.calls.filter(([x]) => x === analyzer.canvas.width)).toHaveLength(2);
+    expect(analyzer.isOctaveBands).toBe(false);
+
+    moveTo.mockRestore();
+    lineTo.mockRestore();
+  });
+
+  test('shows silence with providers that have no waveform data', () => {
+    const analyzer = create({ mode: 12 });
+    analyzer.dataProvider = new ArrayDataProvider([255, 255]);
+    const lineTo = jest.spyOn(analyzer.canvasCtx, 'lineTo');
+
+    analyzer.drawFrame(0);
+
+    const middle = analyzer.canvas.height / 2;
+    expect(lineTo.mock.calls.every(([, y]) => y === middle)).toBe(true);
+    lineTo.mockRestore();
+  });
+
+  test('splits the channels for the goniometer, even in mono', () => {
+    const analyzer = create();
+    const { _input: input, _splitter: splitter, _analyzer: nodes } = analyzer;
+    expect(input.connections).toEqual([nodes[0]]);
+
+    analyzer.mode = 13;
+    expect(input.connections).toEqual([splitter]);
+
+    analyzer.mode = 0;
+    expect(input.connections).toEqual([nodes[0]]);
+  });
+
+  test('plots mid and side and measures phase correlation', () => {
+    const analyzer = create({ mode: 13 });
+    const ctx = analyzer.canvasCtx;
+    const fillRect = jest.spyOn(ctx, 'fillRect');
+    const lineTo = jest.spyOn(ctx, 'lineTo');
+    const centerX = analyzer.canvas.width >> 1;
+
+    // mono signal - a vertical line
+    analyzer.dataProvider = sineProvider(64);
+    analyzer.drawFrame(0);
+    expect(analyzer.getCorrelation()).toBeCloseTo(1);
+    const signal = lineTo.mock.calls.slice(-1023);
+    expect(signal.every(([x]) => Math.abs(x - centerX) < 1e-6)).toBe(true);
+    // positive correlation fills the meter to the right of center
+    expect(fillRect).toHaveBeenLastCalledWith(centerX, expect.any(Number), expect.any(Number), expect.any(Number));
+    expect(fillRect.mock.calls[fillRect.mock.calls.length - 1][2]).toBeGreaterThan(0);
+
+    // opposite phase - a horizontal line
+    lineTo.mockClear();
+    analyzer.dataProvider = sineProvider(64, [0, Math.PI]);
+    analyzer.drawFrame(16);
+    expect(analyzer.getCorrelation()).toBeCloseTo(-1);
+    expect(fillRect.mock.calls[fillRect.mock.calls.length - 1][2]).toBeLessThan(0);
+
+    fillRect.mockRestore();
+    lineTo.mockRestore();
+  });
+});
+
+describe('stereo analysis', () => {
+  function create(options) {
+    return new AudioMotionAnalyzer(document.createElement('div'), { start: false, fftSize: 1024, ...options });
+  }
+
+  // provider with a waveform function per channel
+  function waveProvider(left, right) {
+    return {
+      getByteFrequencyData: (channel, array) => array.fill(0),
+      getFloatTimeDomainData: (channel, array) => {
+        for (let i = 0; i < array.length; i++) array[i] = (channel ? right : left)(i);
+      },
+    };
+  }
+
+  const sine = i => Math.sin(i / 10);
+
+  test('routes mid and side signals to the analyzer nodes', () => {
+    const analyzer = create({ stereo: true, midSide: true });
+    const { _input: input, _splitter: splitter, _merger: merger, _output: output, _analyzer: nodes } = analyzer;
+    const gains = splitter.connections;
+
+    expect(gains).toHaveLength(4);
+    expect(gains.map(node => node.gain.value)).toEqual([0.5, 0.5, 0.5, -0.5]);
+    expect(gains.map(node => node.connections[0])).toEqual([nodes[0], nodes[0], nodes[1], nodes[1]]);
+    // the audio bypasses the decoded signals
+    expect(input.connections).toEqual([splitter, output]);
+    expect(nodes[0].connections).toHaveLength(0);
+
+    analyzer.midSide = false;
+    expect(splitter.connections).toEqual(nodes);
+    expect(nodes[0].connections).toEqual([merger]);
+    expect(input.connections).toEqual([splitter]);
+  });
+
+  test('reports correlation and balance in stereo only', () => {
+    const analyzer = create();
+    analyzer.dataProvider = waveProvider(sine, i => sine(i) / 2);
+    expect(analyzer.getCorrelation()).toBeNull();
+    expect(analyzer.getBalance()).toBeNull();
+
+    analyzer.stereo = true;
+    expect(analyzer.getCorrelation()).toBeCloseTo(1);
+    expect(analyzer.getBalance()).toBeCloseTo(-1 / 3);
+
+    analyzer.dataProvider = waveProvider(sine, i => -sine(i));
+    expect(analyzer.getCorrelation()).toBeCloseTo(-1);
+  });
+
+  test('decodes mid/side back to left and right', () => {
+    // side only - opposite phase channels
+    const analyzer = create({ stereo: true, midSide: true });
+    analyzer.dataProvider = waveProvider(() => 0, sine);
+
+    expect(analyzer.getCorrelation()).toBeCloseTo(-1);
+    expect(analyzer.getBalance()).toBeCloseTo(0);
+  });
+
+  test('overlays both channels with their own gradients', () => {
+    const analyzer = create({ mode: 12, stereo: true, stereoOverlay: true, gradientRight: 'prism' });
+    const ctx = analyzer.canvasCtx;
+    const moveTo = jest.spyOn(ctx, 'moveTo');
+    const styles = [];
+    const stroke = jest.spyOn(ctx, 'stroke').mockImplementation(() => styles.push(ctx.strokeStyle));
+    analyzer.dataProvider = waveProvider(() => 0, () => 0);
+
+    analyzer.drawFrame(0);
+
+    const starts = moveTo.mock.calls.filter(([x]) => x === 0);
+    expect(starts).toEqual([[0, analyzer.canvas.height / 2], [0, analyzer.canvas.height / 2]]);
+    expect(styles).toHaveLength(2);
+    expect(styles[0]).not.toBe(styles[1]);
+
+    expect(() => (analyzer.gradientRight = 'nope')).toThrow(expect.objectContaining({ code: 'ERR_UNKNOWN_GRADIENT' }));
+
+    moveTo.mockRestore();
+    stroke.mockRestore();
+  });
+});
+
+describe('loudness meter', () => {
+  const { createObjectURL, revokeObjectURL } = URL;
+
+  beforeEach(() => {
+    URL.createObjectURL = jest.fn(() => 'blob:loudness');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+  });
+
+  // create an analyzer with the meter on and wait for the worklet node
+  async function create(options) {
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, loudnessMeter: true, ...options });
+    await analyzer._loudness.ready;
+    const node = analyzer._input.connections.find(n => n instanceof FakeAudioWorkletNode);
+    return { analyzer, node };
+  }
+
+  test('loads the processor and measures the input', async () => {
+    const { analyzer, node } = await create();
+
+    expect(analyzer.audioCtx.audioWorklet.addModule).toHaveBeenCalledWith('blob:loudness');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:loudness');
+    expect(node.name).toBe('loudness-meter');
+    expect(analyzer.getLoudness().momentary).toBe(-Infinity);
+
+    // four 100ms blocks of a -20 LUFS signal
+    for (let i = 0; i < 4; i++) node.port.onmessage({ data: { power: [0.005, 0.005], peak: 0.5 } });
+    const loudness = analyzer.getLoudness();
+    expect(loudness.momentary).toBeCloseTo(-20.691, 2);
+    expect(loudness.truePeak).toBeCloseTo(-6.02, 2);
+
+    analyzer.resetLoudness();
+    expect(analyzer.getLoudness().momentary).toBe(-Infinity);
+    expect(node.port.postMessage).toHaveBeenCalledWith('reset');
+  });
+
+  test('stays connected when the routing changes and disconnects when turned off', async () => {
+    const { analyzer, node } = await create();
+
+    analyzer.stereo = true;
+    expect(analyzer._input.connections).toContain(node);
+
+    analyzer.loudnessMeter = false;
+    expect(analyzer._input.connections).not.toContain(node);
+    expect(node.port.close).toHaveBeenCalled();
+    expect(analyzer.getLoudness()).toBeNull();
+  });
+
+  test('draws the overlay', async () => {
+    const { analyzer, node } = await create({ showLoudness: true });
+    for (let i = 0; i < 4; i++) node.port.onmessage({ data: { power: [0.005, 0.005], peak: 0.5 } });
+    const fillText = jest.spyOn(analyzer.canvasCtx, 'fillText');
+    fillText.mockClear();
+
+    analyzer.drawFrame(0);
+
+    const text = fillText.mock.calls.map(([line]) => line);
+    expect(text).toContain('M   -20.7 LUFS');
+    expect(text).toContain('S   -∞ LUFS');
+    expect(text).toContain('TP  -6.0 dBTP');
+    fillText.mockRestore();
+  });
+
+  test('reports a processor that fails to load and retries on the next meter', async () => {
+    const audioCtx = new FakeAudioContext();
+    audioCtx.audioWorklet.addModule.mockRejectedValueOnce(new Error('Syntax error'));
+    const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { audioCtx, start: false, loudnessMeter: true });
+    await analyzer._loudness.ready;
+
+    expect(analyzer.loudnessError).toEqual(expect.objectContaining({ code: 'ERR_LOUDNESS_WORKLET_FAILED' }));
+    expect(analyzer.getLoudness().momentary).toBe(-Infinity);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:loudness');
+
+    analyzer.loudnessMeter = false;
+    analyzer.loudnessMeter = true;
+    await analyzer._loudness.ready;
+
+    expect(audioCtx.audioWorklet.addModule).toHaveBeenCalledTimes(2);
+    expect(analyzer.loudnessError).toBeNull();
+    expect(analyzer._input.connections.some(n => n instanceof FakeAudioWorkletNode)).toBe(true);
+  });
+
+  test('requires AudioWorklet support', () => {
+    const audioCtx = new FakeAudioContext();
+    delete audioCtx.audioWorklet;
+
+    expect(() => new AudioMotionAnalyzer(document.createElement('div'), { audioCtx, start: false, loudnessMeter: true })).toThrow(
+      expect.objectContaining({ code: 'ERR_LOUDNESS_NOT_SUPPORTED' })
+    );
+  });
+});
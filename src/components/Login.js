@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { Link, Redirect, useLocation } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { errorMessage } from '../auth/authApi';
+
+function Login() {
+  const { isAuthenticated, login } = useAuth();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  if (isAuthenticated)
+    return <Redirect to={(location.state && location.state.from) || '/'} />;
+
+  const handleSubmit = e => {
+    e.preventDefault();
+    setError(null);
+    login({ email, password }).catch(err => setError(errorMessage(err)));
+  };
+
+  return (
+    <form className="auth-form" onSubmit={handleSubmit}>
+      <h2>Log in</h2>
+      {error && <p className="error" role="alert">{error}</p>}
+      <label>
+        Email
+        <input type="email" value={email} onChange={e => setEmail(e.target.value)} required />
+      </label>
+      <label>
+        Password
+        <input type="password" value={password} onChange={e => setPassword(e.target.value)} required />
+      </label>
+      <button type="submit">Log in</button>
+      <p>
+        No account yet? <Link to="/signup">Sign up</Link>
+      </p>
+    </form>
+  );
+}
+
+export default Login;
@@ -0,0 +1,66 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route } from 'react-router-dom';
+import Login from './Login';
+import ProtectedRoute from './ProtectedRoute';
+import { AuthProvider } from '../auth/AuthContext';
+import { validJwt } from '../testUtils/jwt';
+
+function renderApp(adapter) {
+  render(
+    <AuthProvider baseURL="http://localhost:8000" adapter={adapter}>
+      <MemoryRouter initialEntries={['/private']}>
+        <Route path="/login">
+          <Login />
+        </Route>
+        <ProtectedRoute path="/private">
+          <p>secret page</p>
+        </ProtectedRoute>
+      </MemoryRouter>
+    </AuthProvider>
+  );
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('logs in and returns to the protected page', async () => {
+  const token = validJwt();
+  const adapter = jest.fn(config => Promise.resolve({ status: 200, headers: {}, config, data: { token } }));
+  renderApp(adapter);
+
+  userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  userEvent.type(screen.getByLabelText('Password'), 'secret');
+  userEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+  expect(await screen.findByText('secret page')).toBeInTheDocument();
+  expect(JSON.parse(adapter.mock.calls[0][0].data)).toEqual({ email: 'ada@example.com', password: 'secret' });
+  expect(localStorage.getItem('jwtToken')).toBe(token);
+});
+
+test('shows backend errors', async () => {
+  const adapter = jest.fn(config =>
+    Promise.reject(Object.assign(new Error('failed'), { config, response: { status: 400, data: { msg: 'Password incorrect' } } }))
+  );
+  renderApp(adapter);
+
+  userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  userEvent.type(screen.getByLabelText('Password'), 'wrong');
+  userEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+  await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Password incorrect'));
+});
+
+test('does not log in with a token it cannot read', async () => {
+  const adapter = jest.fn(config => Promise.resolve({ status: 200, headers: {}, config, data: { token: 'not-a-jwt' } }));
+  renderApp(adapter);
+
+  userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  userEvent.type(screen.getByLabelText('Password'), 'secret');
+  userEvent.click(screen.getByRole('button', { name: 'Log in' }));
+
+  await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('invalid session token'));
+  expect(screen.queryByText('secret page')).toBeNull();
+  expect(localStorage.getItem('jwtToken')).toBeNull();
+});
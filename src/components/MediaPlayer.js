@@ -0,0 +1,122 @@
+import { useEffect, useState } from 'react';
+import { formatElapsed } from './RecordButton';
+import { itemTitle } from '../audiomotion/mediaPlayer';
+import { REPEAT_MODES } from '../audiomotion/playQueue';
+
+const CROSSFADE_OPTIONS = [0, 2, 5, 10];
+
+/**
+ * Transport controls, track info and queue for a MediaPlayer
+ *
+ * @param {object} props.player MediaPlayer instance
+ * @param {object} [props.analyzer] AudioMotionAnalyzer whose output volume the volume slider controls
+ */
+function MediaPlayer({ player, analyzer }) {
+  const [state, setState] = useState(() => player.state);
+  const [volume, setVolume] = useState(() => (analyzer ? analyzer.volume : 1));
+  const [crossfade, setCrossfade] = useState(player.crossfade);
+
+  useEffect(() => {
+    setState(player.state);
+    return player.subscribe(setState);
+  }, [player]);
+
+  // the player doesn't notify time updates
+  useEffect(() => {
+    if (!state.playing) return;
+    const timer = setInterval(() => setState(player.state), 250);
+    return () => clearInterval(timer);
+  }, [player, state.playing]);
+
+  const changeVolume = e => {
+    const value = +e.target.value;
+    setVolume(value);
+    if (analyzer) analyzer.volume = value;
+  };
+
+  const changeCrossfade = e => {
+    player.crossfade = +e.target.value;
+    setCrossfade(player.crossfade);
+  };
+
+  const cycleRepeat = () => {
+    player.repeat = REPEAT_MODES[(REPEAT_MODES.indexOf(state.repeat) + 1) % REPEAT_MODES.length];
+  };
+
+  const { item } = state;
+  const metadata = (item && item.metadata) || {};
+  const ignoreErrors = promise => promise.catch(() => {});
+
+  return (
+    <div className="MediaPlayer">
+      {item && (
+        <div className="MediaPlayer-track">
+          {item.cover && <img className="MediaPlayer-cover" src={item.cover} alt="Cover art" />}
+          <div>
+            <div className="MediaPlayer-title">{metadata.title || item.name}</div>
+            {(metadata.artist || metadata.album) && (
+              <div className="MediaPlayer-artist">{[metadata.artist, metadata.album].filter(Boolean).join(' - ')}</div>
+            )}
+          </div>
+        </div>
+      )}
+      <div className="MediaPlayer-transport">
+        <button onClick={() => ignoreErrors(player.previous())} aria-label="Previous">
+          ⏮
+        </button>
+        <button onClick={() => ignoreErrors(player.toggle())} aria-label={state.playing ? 'Pause' : 'Play'}>
+          {state.playing ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => ignoreErrors(player.next())} aria-label="Next">
+          ⏭
+        </button>
+        <span className="MediaPlayer-time">{formatElapsed(state.currentTime)}</span>
+        <input
+          type="range"
+          aria-label="Seek"
+          min="0"
+          max={state.duration}
+          step="0.1"
+          value={state.currentTime}
+          onChange={e => player.seek(+e.target.value)}
+          disabled={!item}
+        />
+        <span className="MediaPlayer-time">{formatElapsed(state.duration)}</span>
+      </div>
+      <div className="MediaPlayer-options">
+        <button onClick={() => (player.shuffle = !state.shuffle)} aria-pressed={state.shuffle}>
+          Shuffle
+        </button>
+        <button onClick={cycleRepeat}>Repeat: {state.repeat}</button>
+        <label>
+          Volume
+          <input type="range" min="0" max="1" step="0.01" value={volume} onChange={changeVolume} />
+        </label>
+        <label>
+          Crossfade
+          <select value={crossfade} onChange={changeCrossfade}>
+            {CROSSFADE_OPTIONS.map(seconds => (
+              <option key={seconds} value={seconds}>
+                {seconds ? `${seconds}s` : 'Gapless'}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {player.items.length > 0 && (
+        <ol className="MediaPlayer-queue">
+          {player.items.map((entry, index) => (
+            <li key={entry.url} aria-current={index === state.index ? 'true' : undefined}>
+              <button onClick={() => ignoreErrors(player.select(index))}>{itemTitle(entry)}</button>
+              <button onClick={() => player.remove(index)} aria-label={`Remove ${entry.name}`}>
+                ✕
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default MediaPlayer;
@@ -0,0 +1,61 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MediaPlayer from './MediaPlayer';
+import { MediaPlayer as Player } from '../audiomotion/mediaPlayer';
+import { FakeAudioContext } from '../testUtils/fakeAudioContext';
+import { FakeMediaElement } from '../testUtils/fakeMediaElement';
+
+beforeEach(() => {
+  let count = 0;
+  URL.createObjectURL = jest.fn(() => `blob:${++count}`);
+  URL.revokeObjectURL = jest.fn();
+});
+
+// renders the controls for a player with two queued files, once their metadata has been read
+async function setup() {
+  const analyzer = { volume: 1 };
+  const player = new Player(new FakeAudioContext(), { createElement: () => new FakeMediaElement() });
+  render(<MediaPlayer player={player} analyzer={analyzer} />);
+  act(() => {
+    player.add(['one.mp3', 'two.mp3'].map(name => new File([''], name, { type: 'audio/mpeg' })));
+  });
+  await screen.findByRole('button', { name: 'two' });
+  return { analyzer, player };
+}
+
+test('controls playback', async () => {
+  const { player } = await setup();
+
+  userEvent.click(screen.getByRole('button', { name: 'Play' }));
+  expect(await screen.findByRole('button', { name: 'Pause' })).toBeInTheDocument();
+  expect(player.state).toEqual(expect.objectContaining({ index: 0, playing: true }));
+  expect(screen.getByRole('slider', { name: 'Seek' })).toHaveAttribute('max', '100');
+
+  userEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(await screen.findByText('two', { selector: '.MediaPlayer-title' })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Pause' }));
+  expect(player.state.playing).toBe(false);
+});
+
+test('sets the queue options and volume', async () => {
+  const { analyzer, player } = await setup();
+
+  userEvent.click(screen.getByRole('button', { name: 'Shuffle' }));
+  expect(screen.getByRole('button', { name: 'Shuffle' })).toHaveAttribute('aria-pressed', 'true');
+  userEvent.click(screen.getByRole('button', { name: 'Repeat: off' }));
+  expect(player.state.repeat).toBe('all');
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Crossfade' }), '5s');
+  expect(player.crossfade).toBe(5);
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Crossfade' }), 'Gapless');
+  expect(player.crossfade).toBe(0);
+
+  const volume = screen.getByRole('slider', { name: 'Volume' });
+  fireEvent.change(volume, { target: { value: '0.5' } });
+  expect(analyzer.volume).toBe(0.5);
+
+  userEvent.click(screen.getByRole('button', { name: 'Remove one.mp3' }));
+  expect(player.items.map(item => item.name)).toEqual(['two.mp3']);
+  expect(screen.queryByRole('button', { name: 'one' })).toBeNull();
+});
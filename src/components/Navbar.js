@@ -0,0 +1,26 @@
+import { Link } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import SpotifyLogin from './SpotifyLogin';
+
+function Navbar() {
+  const { isAuthenticated, user, logout } = useAuth();
+
+  if (!isAuthenticated) {
+    return (
+      <nav className="Navbar">
+        <Link to="/login">Log in</Link>
+        <Link to="/signup">Sign up</Link>
+      </nav>
+    );
+  }
+
+  return (
+    <nav className="Navbar">
+      <span>{user.name || user.email}</span>
+      <SpotifyLogin />
+      <button onClick={logout}>Log out</button>
+    </nav>
+  );
+}
+
+export default Navbar;
@@ -0,0 +1,124 @@
+import { useMemo, useState } from 'react';
+import downloadBlob from './downloadBlob';
+import {
+  applyPreset,
+  createPresetStore,
+  exportPreset,
+  importPreset,
+  presetFromAnalyzer,
+} from '../audiomotion/presets';
+
+function readText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Pick, save, export and import analyzer presets
+ *
+ * @param {object} props.analyzer AudioMotionAnalyzer instance (the controls are disabled until it's available)
+ * @param {object} [props.store] preset store, see createPresetStore()
+ */
+function PresetManager({ analyzer, store: customStore }) {
+  const store = useMemo(() => customStore || createPresetStore(), [customStore]);
+  const [presets, setPresets] = useState(() => store.list());
+  const [selected, setSelected] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const current = presets.find(p => p.name === selected);
+
+  const run = action => {
+    setError(null);
+    try {
+      action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const select = presetName => {
+    setSelected(presetName);
+    const preset = presets.find(p => p.name === presetName);
+    if (preset) run(() => applyPreset(analyzer, preset));
+  };
+
+  const save = e => {
+    e.preventDefault();
+    run(() => {
+      store.save(presetFromAnalyzer(analyzer, name.trim()));
+      setPresets(store.list());
+      setSelected(name.trim());
+      setName('');
+    });
+  };
+
+  const remove = () =>
+    run(() => {
+      store.remove(selected);
+      setPresets(store.list());
+      setSelected('');
+    });
+
+  const exportSelected = () => {
+    const blob = new Blob([exportPreset(current)], { type: 'application/json' });
+    downloadBlob(blob, `${current.name}.json`);
+  };
+
+  const importFile = e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    readText(file)
+      .then(json =>
+        run(() => {
+          const preset = importPreset(json);
+          // only keep presets the analyzer accepts
+          applyPreset(analyzer, preset);
+          store.save(preset);
+          setPresets(store.list());
+          setSelected(preset.name);
+        })
+      )
+      .catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="PresetManager">
+      <label>
+        Preset
+        <select value={selected} onChange={e => select(e.target.value)} disabled={!analyzer}>
+          <option value="">Custom settings</option>
+          {presets.map(p => (
+            <option key={p.name} value={p.name}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button onClick={exportSelected} disabled={!current}>
+        Export
+      </button>
+      <button onClick={remove} disabled={!current || current.builtin}>
+        Delete
+      </button>
+      <form onSubmit={save}>
+        <input aria-label="Preset name" placeholder="Preset name" value={name} onChange={e => setName(e.target.value)} />
+        <button type="submit" disabled={!analyzer || !name.trim()}>
+          Save
+        </button>
+      </form>
+      <label className="PresetManager-import">
+        Import
+        <input type="file" accept="application/json,.json" onChange={importFile} disabled={!analyzer} />
+      </label>
+      {error && <span className="error" role="alert">{error}</span>}
+    </div>
+  );
+}
+
+export default PresetManager;
@@ -0,0 +1,58 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PresetManager from './PresetManager';
+import { AudioMotionAnalyzer } from './AudiomotionAnalyzer';
+import { createPresetStore } from '../audiomotion/presets';
+import { installFakeAudioContext } from '../testUtils/fakeAudioContext';
+
+installFakeAudioContext();
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('applies a built-in preset and saves the current settings', () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  const store = createPresetStore();
+  render(<PresetManager analyzer={analyzer} store={store} />);
+
+  userEvent.selectOptions(screen.getByRole('combobox'), 'Radial spectrum');
+  expect(analyzer.radial).toBe(true);
+  expect(screen.getByRole('button', { name: 'Delete' })).toBeDisabled();
+
+  analyzer.mode = 7;
+  userEvent.type(screen.getByLabelText('Preset name'), 'Wide bars');
+  userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(store.get('Wide bars').options).toEqual(expect.objectContaining({ mode: 7, radial: true }));
+  expect(screen.getByRole('combobox')).toHaveValue('Wide bars');
+  expect(screen.getByRole('button', { name: 'Delete' })).toBeEnabled();
+});
+
+test('reports an invalid preset name', () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  render(<PresetManager analyzer={analyzer} />);
+
+  userEvent.type(screen.getByLabelText('Preset name'), 'Line graph');
+  userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(screen.getByRole('alert')).toHaveTextContent('built-in');
+});
+
+test('does not keep an imported preset the analyzer rejects', async () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, mode: 3 });
+  const store = createPresetStore();
+  render(<PresetManager analyzer={analyzer} store={store} />);
+  const setOptions = jest.spyOn(analyzer, 'setOptions').mockImplementationOnce(() => {
+    throw new Error('Rejected by the analyzer');
+  });
+
+  const preset = { format: 'audiomotion-preset', name: 'Rejected', options: { mode: 2 } };
+  const file = new File([JSON.stringify(preset)], 'rejected.json', { type: 'application/json' });
+  userEvent.upload(screen.getByLabelText('Import'), file);
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Rejected by the analyzer');
+  expect(store.get('Rejected')).toBeUndefined();
+  expect(analyzer.mode).toBe(3);
+  setOptions.mockRestore();
+});
@@ -0,0 +1,20 @@
+import { Redirect, Route } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+
+/**
+ * Route only rendered for logged in users; everyone else is sent to the login page
+ */
+function ProtectedRoute({ children, ...rest }) {
+  const { isAuthenticated } = useAuth();
+
+  return (
+    <Route
+      {...rest}
+      render={({ location }) =>
+        isAuthenticated ? children : <Redirect to={{ pathname: '/login', state: { from: location } }} />
+      }
+    />
+  );
+}
+
+export default ProtectedRoute;
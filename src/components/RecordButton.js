@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react';
+import downloadBlob from './downloadBlob';
+
+/**
+ * Format a duration in seconds as m:ss
+ */
+export function formatElapsed(seconds) {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Records the analyzer canvas and audio, then downloads the result as a WebM file
+ *
+ * @param {object} props.analyzer AudioMotionAnalyzer instance (the button is disabled until it's available)
+ * @param {object} [props.options] passed to `analyzer.startRecording()` (frameRate, bitrates, maxDuration)
+ */
+function RecordButton({ analyzer, options }) {
+  const [recording, setRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [error, setError] = useState(null);
+  const mounted = useRef(true);
+  const recordingAnalyzer = useRef(null);
+
+  // an unfinished recording is discarded on unmount
+  useEffect(() => () => {
+    mounted.current = false;
+    if (recordingAnalyzer.current) recordingAnalyzer.current.stopRecording();
+  }, []);
+
+  useEffect(() => {
+    if (!recording) return;
+    const timer = setInterval(() => setElapsed(analyzer.recordingTime), 250);
+    return () => clearInterval(timer);
+  }, [analyzer, recording]);
+
+  const start = () => {
+    setError(null);
+    setElapsed(0);
+    let done;
+    try {
+      done = analyzer.startRecording(options);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setRecording(true);
+    recordingAnalyzer.current = analyzer;
+    done
+      .then(blob => {
+        if (mounted.current && blob.size) downloadBlob(blob, `visualizer-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`);
+      })
+      .catch(err => mounted.current && setError(err.message))
+      .finally(() => {
+        recordingAnalyzer.current = null;
+        if (mounted.current) setRecording(false);
+      });
+  };
+
+  return (
+    <div className="RecordButton">
+      <button onClick={recording ? () => analyzer.stopRecording() : start} disabled={!analyzer}>
+        {recording ? 'Stop recording' : 'Record'}
+      </button>
+      {recording && <span className="RecordButton-elapsed">{formatElapsed(elapsed)}</span>}
+      {error && <span className="error" role="alert">{error}</span>}
+    </div>
+  );
+}
+
+export default RecordButton;
@@ -0,0 +1,73 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RecordButton, { formatElapsed } from './RecordButton';
+
+function fakeAnalyzer() {
+  let finish;
+  return {
+    recordingTime: 0,
+    startRecording: jest.fn(() => new Promise(resolve => (finish = resolve))),
+    stopRecording: jest.fn(() => finish(new Blob(['video'], { type: 'video/webm' })))
+  };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  URL.createObjectURL = jest.fn(() => 'blob:recording');
+  URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('formats the elapsed time', () => {
+  expect(formatElapsed(0)).toBe('0:00');
+  expect(formatElapsed(75.9)).toBe('1:15');
+});
+
+test('shows the elapsed time and downloads the recording when stopped', async () => {
+  const analyzer = fakeAnalyzer();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  render(<RecordButton analyzer={analyzer} options={{ maxDuration: 60 }} />);
+
+  userEvent.click(screen.getByRole('button', { name: 'Record' }));
+  expect(analyzer.startRecording).toHaveBeenCalledWith({ maxDuration: 60 });
+
+  analyzer.recordingTime = 3.2;
+  act(() => {
+    jest.advanceTimersByTime(250);
+  });
+  expect(screen.getByText('0:03')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Stop recording' }));
+  expect(await screen.findByRole('button', { name: 'Record' })).toBeInTheDocument();
+  expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+  expect(click).toHaveBeenCalled();
+  click.mockRestore();
+});
+
+test('reports when recording is not possible', () => {
+  const analyzer = fakeAnalyzer();
+  analyzer.startRecording.mockImplementation(() => {
+    throw new Error('Recording is not supported in this environment');
+  });
+  render(<RecordButton analyzer={analyzer} />);
+
+  userEvent.click(screen.getByRole('button', { name: 'Record' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('not supported');
+});
+
+test('discards the recording when unmounted', async () => {
+  const analyzer = fakeAnalyzer();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  const { unmount } = render(<RecordButton analyzer={analyzer} />);
+
+  userEvent.click(screen.getByRole('button', { name: 'Record' }));
+  unmount();
+  await analyzer.startRecording.mock.results[0].value;
+
+  expect(analyzer.stopRecording).toHaveBeenCalled();
+  expect(click).not.toHaveBeenCalled();
+  click.mockRestore();
+});
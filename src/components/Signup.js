@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { Link, Redirect } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { errorMessage } from '../auth/authApi';
+
+function Signup() {
+  const { isAuthenticated, signup } = useAuth();
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  if (isAuthenticated)
+    return <Redirect to="/" />;
+
+  const handleSubmit = e => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setError(null);
+    signup({ name, email, password }).catch(err => setError(errorMessage(err)));
+  };
+
+  return (
+    <form className="auth-form" onSubmit={handleSubmit}>
+      <h2>Sign up</h2>
+      {error && <p className="error" role="alert">{error}</p>}
+      <label>
+        Name
+        <input type="text" value={name} onChange={e => setName(e.target.value)} required />
+      </label>
+      <label>
+        Email
+        <input type="email" value={email} onChange={e => setEmail(e.target.value)} required />
+      </label>
+      <label>
+        Password
+        <input type="password" value={password} onChange={e => setPassword(e.target.value)} minLength={8} required />
+      </label>
+      <label>
+        Confirm password
+        <input type="password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} required />
+      </label>
+      <button type="submit">Sign up</button>
+      <p>
+        Already have an account? <Link to="/login">Log in</Link>
+      </p>
+    </form>
+  );
+}
+
+export default Signup;
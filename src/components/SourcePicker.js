@@ -0,0 +1,133 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import MediaPlayer from './MediaPlayer';
+import { InputSourceManager, isAudioFile } from '../audiomotion/inputSources';
+import { MediaPlayer as Player, itemTitle } from '../audiomotion/mediaPlayer';
+
+/**
+ * Pick the analyzer's audio input - a microphone, tab/system audio, or local files played by the media player
+ * (opened with the file picker or dropped anywhere on the component)
+ *
+ * @param {object} props.analyzer AudioMotionAnalyzer instance (the controls are disabled until it's available)
+ * @param {function} [props.onChange] called with the current source ({ type, label }) or null
+ * @param {object} [props.mediaDevices] defaults to navigator.mediaDevices
+ * @param {function} [props.createMediaElement] returns the media player's elements; defaults to new <audio> elements
+ */
+function SourcePicker({ analyzer, onChange, mediaDevices, createMediaElement }) {
+  const [current, setCurrent] = useState(null);
+  const [microphones, setMicrophones] = useState([]);
+  const [deviceId, setDeviceId] = useState('');
+  const [error, setError] = useState(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const manager = useMemo(
+    () =>
+      analyzer &&
+      new InputSourceManager(analyzer, {
+        mediaDevices,
+        onChange: source => {
+          setCurrent(source);
+          if (onChangeRef.current) onChangeRef.current(source);
+        },
+      }),
+    [analyzer, mediaDevices]
+  );
+
+  useEffect(() => {
+    if (!manager) return;
+    let mounted = true;
+    manager.listMicrophones().then(list => mounted && setMicrophones(list), () => {});
+    return () => {
+      mounted = false;
+      manager.onChange = null; // no state updates once unmounted
+      manager.stop();
+    };
+  }, [manager]);
+
+  const player = useMemo(
+    () => analyzer && new Player(analyzer.audioCtx, { createElement: createMediaElement }),
+    [analyzer, createMediaElement]
+  );
+
+  useEffect(() => player && (() => player.destroy()), [player]);
+
+  // the player becomes the source once it starts playing, and labels it with the current track from then on
+  useEffect(() => {
+    if (!manager || !player) return;
+    return player.subscribe(state => {
+      const source = manager.current;
+      if (state.item && (state.playing || (source && source.type === 'player')))
+        manager.usePlayer(player, itemTitle(state.item));
+    });
+  }, [manager, player]);
+
+  const run = async action => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startMicrophone = () =>
+    run(async () => {
+      await manager.useMicrophone(deviceId || undefined);
+      // device labels are only available after access has been granted
+      setMicrophones(await manager.listMicrophones());
+    });
+
+  const startDisplayCapture = () => run(() => manager.useDisplayCapture());
+
+  const addFiles = fileList => {
+    const files = Array.from(fileList).filter(isAudioFile);
+    if (!files.length) {
+      setError('No audio files found');
+      return;
+    }
+    const first = player.add(files);
+    if (player.state.playing) setError(null);
+    else run(() => player.select(first));
+  };
+
+  const openFiles = e => {
+    addFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const drop = e => {
+    e.preventDefault();
+    if (manager) addFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="SourcePicker" onDragOver={e => e.preventDefault()} onDrop={drop}>
+      <div className="SourcePicker-inputs">
+        <select aria-label="Microphone" value={deviceId} onChange={e => setDeviceId(e.target.value)} disabled={!manager}>
+          <option value="">Default microphone</option>
+          {microphones.map(mic => (
+            <option key={mic.deviceId} value={mic.deviceId}>
+              {mic.label}
+            </option>
+          ))}
+        </select>
+        <button onClick={startMicrophone} disabled={!manager}>
+          Microphone
+        </button>
+        <button onClick={startDisplayCapture} disabled={!manager}>
+          Tab audio
+        </button>
+        <label className="SourcePicker-files">
+          Open files
+          <input type="file" accept="audio/*" multiple onChange={openFiles} disabled={!manager} />
+        </label>
+        {current && <button onClick={() => manager.stop()}>Stop</button>}
+        {current && <span className="SourcePicker-current">{current.label}</span>}
+        {error && <span className="error" role="alert">{error}</span>}
+      </div>
+      {player && <MediaPlayer player={player} analyzer={analyzer} />}
+    </div>
+  );
+}
+
+export default SourcePicker;
@@ -0,0 +1,83 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SourcePicker from './SourcePicker';
+import { AudioMotionAnalyzer } from './AudiomotionAnalyzer';
+import { installFakeAudioContext } from '../testUtils/fakeAudioContext';
+import { FakeMediaDevices } from '../testUtils/fakeMediaDevices';
+import { FakeMediaElement } from '../testUtils/fakeMediaElement';
+
+installFakeAudioContext();
+
+beforeEach(() => {
+  let count = 0;
+  URL.createObjectURL = jest.fn(() => `blob:file-${++count}`);
+  URL.revokeObjectURL = jest.fn();
+});
+
+// renders the picker and waits for the microphone list
+async function setup(mediaDevices = new FakeMediaDevices({ devices: [{ kind: 'audioinput', deviceId: 'usb', label: 'USB mic' }] })) {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false });
+  const onChange = jest.fn();
+  const elements = [];
+  const createMediaElement = () => elements[elements.push(new FakeMediaElement()) - 1];
+  const view = render(
+    <SourcePicker analyzer={analyzer} onChange={onChange} mediaDevices={mediaDevices} createMediaElement={createMediaElement} />
+  );
+  await act(() => Promise.resolve());
+  return { analyzer, onChange, mediaDevices, elements, ...view };
+}
+
+test('switches to the selected microphone', async () => {
+  const { analyzer, onChange, mediaDevices } = await setup();
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Microphone' }), 'USB mic');
+  userEvent.click(screen.getByRole('button', { name: 'Microphone' }));
+
+  expect(await screen.findByText('Built-in microphone')).toBeInTheDocument();
+  expect(mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: expect.objectContaining({ deviceId: { exact: 'usb' } }) });
+  expect(onChange).toHaveBeenLastCalledWith({ type: 'microphone', label: 'Built-in microphone' });
+  expect(analyzer.connectedSources).toHaveLength(1);
+
+  userEvent.click(screen.getByRole('button', { name: 'Stop' }));
+  expect(onChange).toHaveBeenLastCalledWith(null);
+  expect(analyzer.connectedSources).toEqual([]);
+});
+
+test('plays dropped audio files with the media player', async () => {
+  const { analyzer, onChange, container, elements, unmount } = await setup();
+  const files = [new File(['a'], 'one.mp3', { type: 'audio/mpeg' }), new File(['b'], 'two.ogg', { type: 'audio/ogg' })];
+  const playing = () => elements.find(element => !element.paused);
+
+  fireEvent.drop(container.firstChild, { dataTransfer: { files } });
+
+  // titles come from the files' metadata, read in the background
+  expect(await screen.findByRole('button', { name: 'two' })).toBeInTheDocument();
+  expect(playing().src).toBe('blob:file-1');
+  expect(onChange).toHaveBeenLastCalledWith({ type: 'player', label: 'one' });
+  expect(analyzer.connectedSources).toHaveLength(2);
+
+  act(() => playing().advance(100));
+  expect(playing().src).toBe('blob:file-2');
+  expect(onChange).toHaveBeenLastCalledWith({ type: 'player', label: 'two' });
+
+  userEvent.click(screen.getByRole('button', { name: 'one' }));
+  expect(playing().src).toBe('blob:file-1');
+
+  userEvent.click(screen.getByRole('button', { name: 'Microphone' }));
+  expect(await screen.findByText('Built-in microphone')).toBeInTheDocument();
+  expect(playing()).toBeUndefined();
+
+  unmount();
+  expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+  expect(analyzer.connectedSources).toEqual([]);
+});
+
+test('reports sources that cannot be used', async () => {
+  const { container } = await setup(new FakeMediaDevices({ shareAudio: false }));
+
+  fireEvent.drop(container.firstChild, { dataTransfer: { files: [new File([''], 'notes.txt', { type: 'text/plain' })] } });
+  expect(screen.getByRole('alert')).toHaveTextContent('No audio files');
+
+  userEvent.click(screen.getByRole('button', { name: 'Tab audio' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('No audio was shared');
+});
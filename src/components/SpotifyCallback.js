@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { useHistory, useLocation } from 'react-router-dom';
+import { useSpotifyAuth } from '../spotify/SpotifyAuthContext';
+
+/**
+ * Route rendered at the OAuth redirect URI; completes the Spotify login and returns to the app
+ */
+function SpotifyCallback() {
+  const { auth } = useSpotifyAuth();
+  const { search } = useLocation();
+  const history = useHistory();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    auth
+      .handleCallback(search)
+      .then(() => history.replace('/'))
+      .catch(setError);
+  }, [auth, search, history]);
+
+  if (error)
+    return <p className="error" role="alert">{error.message}</p>;
+
+  return <p>Logging in to Spotify…</p>;
+}
+
+export default SpotifyCallback;
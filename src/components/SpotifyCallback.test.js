@@ -0,0 +1,37 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Route } from 'react-router-dom';
+import SpotifyCallback from './SpotifyCallback';
+import { SpotifyAuthProvider } from '../spotify/SpotifyAuthContext';
+
+function renderCallback(auth) {
+  let location;
+  render(
+    <SpotifyAuthProvider auth={auth}>
+      <MemoryRouter initialEntries={['/callback?code=abc&state=xyz']}>
+        <SpotifyCallback />
+        <Route path="*" render={props => { location = props.location; return null; }} />
+      </MemoryRouter>
+    </SpotifyAuthProvider>
+  );
+  return () => location;
+}
+
+function fakeAuth(handleCallback) {
+  return { handleCallback, getTokens: () => null, subscribe: () => () => {}, login() {}, logout() {} };
+}
+
+test('completes the login and returns to the app', async () => {
+  const handleCallback = jest.fn(() => Promise.resolve({}));
+  const getLocation = renderCallback(fakeAuth(handleCallback));
+
+  expect(handleCallback).toHaveBeenCalledWith('?code=abc&state=xyz');
+  await screen.findByText(/logging in/i);
+  await new Promise(resolve => setTimeout(resolve));
+  expect(getLocation().pathname).toBe('/');
+});
+
+test('shows login errors', async () => {
+  renderCallback(fakeAuth(() => Promise.reject(new Error('Spotify login failed: access_denied'))));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('access_denied');
+});
@@ -0,0 +1,24 @@
+import { useState } from 'react';
+import { useSpotifyAuth } from '../spotify/SpotifyAuthContext';
+
+function SpotifyLogin() {
+  const { isLoggedIn, login, logout } = useSpotifyAuth();
+  const [error, setError] = useState(null);
+
+  if (isLoggedIn)
+    return <button onClick={() => logout()}>Log out of Spotify</button>;
+
+  const handleLogin = () => {
+    setError(null);
+    login().catch(err => setError(err.message));
+  };
+
+  return (
+    <>
+      <button onClick={handleLogin}>Log in with Spotify</button>
+      {error && <span className="error" role="alert">{error}</span>}
+    </>
+  );
+}
+
+export default SpotifyLogin;
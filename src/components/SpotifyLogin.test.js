@@ -0,0 +1,22 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SpotifyLogin from './SpotifyLogin';
+import { SpotifyAuthProvider } from '../spotify/SpotifyAuthContext';
+
+function fakeAuth(login) {
+  return { login, getTokens: () => null, subscribe: () => () => {}, logout() {} };
+}
+
+test('shows login errors', async () => {
+  const login = jest.fn(() => Promise.reject(new Error('Web Crypto is not available')));
+  render(
+    <SpotifyAuthProvider auth={fakeAuth(login)}>
+      <SpotifyLogin />
+    </SpotifyAuthProvider>
+  );
+
+  userEvent.click(screen.getByRole('button', { name: 'Log in with Spotify' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Web Crypto is not available');
+  expect(login).toHaveBeenCalled();
+});
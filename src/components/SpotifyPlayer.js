@@ -0,0 +1,130 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { formatElapsed } from './RecordButton';
+import { PlaybackClock } from '../spotify/analysisSynth';
+import { useSpotifyAuth } from '../spotify/SpotifyAuthContext';
+import { useWebPlayback } from '../spotify/useWebPlayback';
+
+/**
+ * Spotify player panel - plays Spotify in the page through the Web Playback SDK, showing the current track,
+ * transport controls and the user's devices to move playback between; hidden when not logged in to Spotify
+ *
+ * @param {object} [props.clock] PlaybackClock to keep in sync with the player, e.g. the one driving the AnalysisSynth
+ * @param {function} [props.loadSdk] resolves to the `Spotify` namespace; defaults to loading the real SDK
+ */
+function SpotifyPlayer({ clock: clockProp, loadSdk }) {
+  const { auth, client, isLoggedIn } = useSpotifyAuth();
+  const [ownClock] = useState(() => new PlaybackClock());
+  const clock = clockProp || ownClock;
+  const { player, deviceId, track, error } = useWebPlayback({
+    getAccessToken: auth.getAccessToken,
+    clock,
+    loadSdk,
+    enabled: isLoggedIn,
+  });
+  const [devices, setDevices] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [actionError, setActionError] = useState(null);
+
+  const mounted = useRef(true);
+  useEffect(() => () => (mounted.current = false), []);
+
+  const run = async action => {
+    setActionError(null);
+    try {
+      await action();
+    } catch (err) {
+      if (mounted.current) setActionError(err.message);
+    }
+  };
+
+  const refreshDevices = useCallback(async () => {
+    const { devices } = await client.getDevices();
+    if (mounted.current) setDevices(devices);
+  }, [client]);
+
+  useEffect(() => {
+    if (deviceId) refreshDevices().catch(() => {});
+  }, [deviceId, refreshDevices]);
+
+  // the progress bar follows the clock between state changes
+  useEffect(() => {
+    if (!track) return;
+    setPosition(track.positionMs);
+    if (track.paused) return;
+    const timer = setInterval(() => setPosition(Math.min(clock.position * 1000, track.durationMs)), 500);
+    return () => clearInterval(timer);
+  }, [track, clock]);
+
+  if (!isLoggedIn) return null;
+
+  const transfer = id =>
+    run(async () => {
+      await client.transferPlayback(id);
+      await refreshDevices();
+    });
+
+  const seek = e => {
+    const positionMs = +e.target.value;
+    setPosition(positionMs);
+    run(() => player.seek(positionMs));
+  };
+
+  // the SDK device only shows up in the list once Spotify knows about it
+  const listed = !deviceId || devices.some(device => device.id === deviceId);
+  const deviceList = listed ? devices : [{ id: deviceId }, ...devices];
+  const active = devices.find(device => device.is_active);
+
+  return (
+    <div className="SpotifyPlayer">
+      {track ? (
+        <div className="SpotifyPlayer-track">
+          {track.image && <img className="SpotifyPlayer-cover" src={track.image} alt={`${track.album} cover`} />}
+          <div>
+            <div className="SpotifyPlayer-title">{track.name}</div>
+            <div className="SpotifyPlayer-artist">
+              {track.artists} - {track.album}
+            </div>
+          </div>
+        </div>
+      ) : (
+        deviceId && <button onClick={() => transfer(deviceId)}>Play here</button>
+      )}
+      {track && (
+        <div className="SpotifyPlayer-transport">
+          <button onClick={() => run(() => player.previousTrack())} aria-label="Previous">
+            ⏮
+          </button>
+          <button onClick={() => run(() => player.togglePlay())} aria-label={track.paused ? 'Play' : 'Pause'}>
+            {track.paused ? '▶' : '⏸'}
+          </button>
+          <button onClick={() => run(() => player.nextTrack())} aria-label="Next">
+            ⏭
+          </button>
+          <span className="SpotifyPlayer-time">{formatElapsed(position / 1000)}</span>
+          <input type="range" aria-label="Seek" min="0" max={track.durationMs} step="1000" value={position} onChange={seek} />
+          <span className="SpotifyPlayer-time">{formatElapsed(track.durationMs / 1000)}</span>
+        </div>
+      )}
+      {deviceList.length > 0 && (
+        <label>
+          Device
+          <select value={active ? active.id : ''} onChange={e => transfer(e.target.value)}>
+            {!active && <option value="">None</option>}
+            {deviceList.map(device => (
+              <option key={device.id} value={device.id}>
+                {device.id === deviceId ? 'This browser' : device.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {(actionError || error) && (
+        <span className="error" role="alert">
+          {actionError || error}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default SpotifyPlayer;
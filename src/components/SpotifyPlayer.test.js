@@ -0,0 +1,98 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SpotifyPlayer from './SpotifyPlayer';
+import { PlaybackClock } from '../spotify/analysisSynth';
+import { SpotifyAuthProvider } from '../spotify/SpotifyAuthContext';
+import { createFakeSpotifySdk, playerState } from '../testUtils/fakeSpotifySdk';
+
+function fakeAuth(tokens = { accessToken: 'abc', expiresAt: Date.now() + 3600000 }) {
+  return {
+    getTokens: () => tokens,
+    getAccessToken: () => Promise.resolve('abc'),
+    refreshAccessToken: () => Promise.resolve('abc'),
+    subscribe: () => () => {},
+    login() {},
+    logout() {},
+  };
+}
+
+function fakeClient(devices = [{ id: 'phone', name: 'Phone', is_active: true }]) {
+  return {
+    getDevices: jest.fn(() => Promise.resolve({ devices })),
+    transferPlayback: jest.fn(() => Promise.resolve(null)),
+  };
+}
+
+// renders the panel and waits for the SDK player
+async function setup({ auth = fakeAuth(), client = fakeClient() } = {}) {
+  const sdk = createFakeSpotifySdk();
+  const clock = new PlaybackClock(() => 0);
+  const view = render(
+    <SpotifyAuthProvider auth={auth} client={client}>
+      <SpotifyPlayer clock={clock} loadSdk={sdk.load} />
+    </SpotifyAuthProvider>
+  );
+  await act(() => Promise.resolve());
+  return { sdk, player: sdk.players[0], clock, client, ...view };
+}
+
+test('registers a Connect device and transfers playback to it', async () => {
+  const { player, client } = await setup();
+
+  expect(player.options.name).toBe('audioMotion visualizer');
+  expect(player.connect).toHaveBeenCalled();
+  await expect(player.getOAuthToken()).resolves.toBe('abc');
+
+  await act(async () => player.emit('ready', { device_id: 'browser' }));
+  expect(client.getDevices).toHaveBeenCalled();
+  expect(screen.getByRole('combobox', { name: 'Device' })).toHaveValue('phone');
+
+  userEvent.click(screen.getByRole('button', { name: 'Play here' }));
+  await act(() => Promise.resolve());
+  expect(client.transferPlayback).toHaveBeenCalledWith('browser');
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Device' }), 'Phone');
+  await act(() => Promise.resolve());
+  expect(client.transferPlayback).toHaveBeenLastCalledWith('phone');
+});
+
+test('shows the current track and syncs the clock from state changes', async () => {
+  const { player, clock } = await setup();
+
+  act(() => player.emit('player_state_changed', playerState({ position: 65000, paused: true })));
+
+  expect(screen.getByText('Song')).toBeInTheDocument();
+  expect(screen.getByText('Artist, Guest - Album')).toBeInTheDocument();
+  expect(screen.getByRole('img')).toHaveAttribute('src', 'https://i.scdn.co/small');
+  expect(screen.getByText('1:05')).toBeInTheDocument();
+  expect(clock.position).toBe(65);
+
+  userEvent.click(screen.getByRole('button', { name: 'Play' }));
+  userEvent.click(screen.getByRole('button', { name: 'Next' }));
+  fireEvent.change(screen.getByRole('slider', { name: 'Seek' }), { target: { value: '90000' } });
+  await act(() => Promise.resolve());
+  expect(player.togglePlay).toHaveBeenCalled();
+  expect(player.nextTrack).toHaveBeenCalled();
+  expect(player.seek).toHaveBeenCalledWith(90000);
+
+  // playback moved to another device
+  act(() => player.emit('player_state_changed', null));
+  expect(screen.queryByText('Song')).toBeNull();
+});
+
+test('reports player errors', async () => {
+  const { player, unmount } = await setup();
+
+  act(() => player.emit('account_error', { message: 'Spotify Premium required' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('Premium');
+
+  unmount();
+  expect(player.disconnect).toHaveBeenCalled();
+});
+
+test('stays hidden and does not load the SDK when logged out', async () => {
+  const { sdk, container } = await setup({ auth: fakeAuth(null) });
+
+  expect(container).toBeEmptyDOMElement();
+  expect(sdk.load).not.toHaveBeenCalled();
+});
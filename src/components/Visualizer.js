@@ -0,0 +1,34 @@
+import { useState } from 'react';
+import AudiomotionAnalyzer from './AudiomotionAnalyzer';
+import PresetManager from './PresetManager';
+import RecordButton from './RecordButton';
+import SourcePicker from './SourcePicker';
+import SpotifyPlayer from './SpotifyPlayer';
+import { useSpotifyAuth } from '../spotify/SpotifyAuthContext';
+import { useSpotifyAnalysisSynth } from '../spotify/useSpotifyAnalysisSynth';
+
+/**
+ * Analyzer page; while a Spotify track is playing, the display is driven by its audio-analysis,
+ * unless an input source (microphone, tab audio or local files) has been picked. Spotify can also play
+ * in the page itself, through the player panel.
+ */
+function Visualizer() {
+  const { client, isLoggedIn } = useSpotifyAuth();
+  const { synth, clock } = useSpotifyAnalysisSynth(client, { enabled: isLoggedIn });
+  const [analyzer, setAnalyzer] = useState();
+  const [source, setSource] = useState(null);
+
+  return (
+    <div className="Visualizer">
+      <div className="Visualizer-controls">
+        <PresetManager analyzer={analyzer} />
+        <RecordButton analyzer={analyzer} />
+      </div>
+      <SpotifyPlayer clock={clock} />
+      <SourcePicker analyzer={analyzer} onChange={setSource} />
+      <AudiomotionAnalyzer dataProvider={source ? undefined : synth} onInit={setAnalyzer} />
+    </div>
+  );
+}
+
+export default Visualizer;
@@ -3,3 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom doesn't implement the canvas 2D context; the mock is reinstalled before each test
+// because react-scripts enables `resetMocks`, which would otherwise wipe its implementation
+import { setupJestCanvasMock } from 'jest-canvas-mock';
+
+beforeEach(() => {
+  setupJestCanvasMock();
+});
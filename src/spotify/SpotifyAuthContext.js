@@ -0,0 +1,53 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createSpotifyAuth, spotifyAuthConfig } from './spotifyAuth';
+import { createSpotifyClient } from './spotifyClient';
+
+const SpotifyAuthContext = createContext(null);
+
+/**
+ * Provides the Spotify login session and an authenticated Web API client
+ *
+ * @param {object} [props.auth] session created with createSpotifyAuth(); defaults to one configured from the environment
+ * @param {object} [props.client] Web API client; defaults to one authenticated by the session
+ */
+export function SpotifyAuthProvider({ auth: authProp, client: clientProp, children }) {
+  const [auth] = useState(() => authProp || createSpotifyAuth(spotifyAuthConfig()));
+  const [tokens, setTokens] = useState(() => auth.getTokens());
+
+  useEffect(() => auth.subscribe(setTokens), [auth]);
+
+  // refresh the access token shortly before it expires, so the player never sees a stale one
+  useEffect(() => {
+    if (!tokens)
+      return;
+
+    const delay = Math.max(0, tokens.expiresAt - Date.now() - 60000);
+    const timer = setTimeout(() => auth.refreshAccessToken().catch(() => {}), delay);
+
+    return () => clearTimeout(timer);
+  }, [auth, tokens]);
+
+  const client = useMemo(
+    () =>
+      clientProp ||
+      createSpotifyClient({ getAccessToken: auth.getAccessToken, refreshAccessToken: auth.refreshAccessToken }),
+    [auth, clientProp]
+  );
+
+  const value = useMemo(
+    () => ({
+      auth,
+      client,
+      isLoggedIn: !!tokens,
+      login: auth.login,
+      logout: auth.logout,
+    }),
+    [auth, client, tokens]
+  );
+
+  return <SpotifyAuthContext.Provider value={value}>{children}</SpotifyAuthContext.Provider>;
+}
+
+export function useSpotifyAuth() {
+  return useContext(SpotifyAuthContext);
+}
@@ -0,0 +1,202 @@
+/**
+ * Synthetic spectrum generated from Spotify's audio-analysis data
+ *
+ * Spotify streams are DRM-protected, so their samples never reach the Web Audio graph. Instead, we rebuild
+ * a plausible spectrum for the current playback position from the track's analysis:
+ *
+ *   - segment loudness (`loudness_start` -> `loudness_max` -> next segment) sets the overall level
+ *   - timbre[1] (brightness) sets the spectral tilt
+ *   - `pitches` add peaks at every octave of each pitch class
+ *   - beats, bars and tatums add decaying bass and treble transients
+ *
+ * The result is written as byte frequency data, scaled exactly like AnalyserNode.getByteFrequencyData().
+ */
+
+const C0 = 440 * 2 ** (-57 / 12); // ~16.35 Hz
+
+// tuning constants
+const LEVEL_OFFSET = -22; // dB added to the segment loudness to get the level at 1kHz
+const PITCH_GAIN = 16; // dB boost for a pitch class with strength 1
+const PITCH_WIDTH = 0.35; // width (std deviation, in semitones) of each pitch peak
+const BEAT_GAIN = 14; // dB boost for bass frequencies on a beat with confidence 1
+const BAR_GAIN = 6; // extra bass boost on downbeats
+const TATUM_GAIN = 8; // dB boost for treble frequencies on tatums
+const TRANSIENT_TIME = 0.12; // decay time constant of the transients, in seconds
+const BASS_LIMIT = 180; // Hz
+const TREBLE_LIMIT = 5000; // Hz
+
+/**
+ * Find the last item whose `start` is <= time (items must be sorted by start)
+ *
+ * @returns {number} index, or -1 if time is before the first item
+ */
+export function findInterval(items, time) {
+  let lo = 0;
+  let hi = items.length - 1;
+  let idx = -1;
+
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (items[mid].start <= time) {
+      idx = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return idx;
+}
+
+/**
+ * Envelope (0 to 1) of the transient event (beat, bar, tatum) active at `time`
+ */
+function transient(items = [], time) {
+  const item = items[findInterval(items, time)];
+
+  if (!item || time > item.start + item.duration)
+    return 0;
+
+  const confidence = item.confidence === undefined ? 1 : item.confidence;
+  return confidence * Math.exp(-(time - item.start) / TRANSIENT_TIME);
+}
+
+/**
+ * Segment loudness (dB) at a given time, following Spotify's attack / decay description
+ */
+function segmentLoudness(segment, next, time) {
+  const elapsed = time - segment.start;
+  const attack = segment.loudness_max_time;
+  const lerp = (a, b, ratio) => a + (b - a) * Math.min(1, Math.max(0, ratio));
+
+  if (elapsed < attack)
+    return lerp(segment.loudness_start, segment.loudness_max, elapsed / attack);
+
+  const end = next ? next.loudness_start : segment.loudness_end ?? segment.loudness_start;
+  return lerp(segment.loudness_max, end, (elapsed - attack) / (segment.duration - attack));
+}
+
+/**
+ * Compute the synthetic spectrum, in decibels, for each FFT bin
+ *
+ * @param {object} analysis Spotify audio-analysis object
+ * @param {number} time playback position in seconds
+ * @param {Float32Array} out array to fill, one value per FFT bin
+ * @param {number} sampleRate
+ * @param {number} fftSize
+ * @returns {boolean} false if there's no segment at the given time (out is filled with -Infinity)
+ */
+export function synthesizeSpectrum(analysis, time, out, sampleRate, fftSize) {
+  const segments = analysis.segments || [];
+  const idx = findInterval(segments, time);
+  const segment = segments[idx];
+
+  if (!segment || time > segment.start + segment.duration) {
+    out.fill(-Infinity);
+    return false;
+  }
+
+  const level = segmentLoudness(segment, segments[idx + 1], time) + LEVEL_OFFSET;
+  const pitches = segment.pitches || [];
+  // brightness usually ranges from -100 to 150; map it to a -7 .. -2 dB/octave tilt
+  const brightness = (segment.timbre && segment.timbre[1]) || 0;
+  const tilt = -4.5 + Math.max(-1, Math.min(1, brightness / 125)) * 2.5;
+  const bass = BEAT_GAIN * transient(analysis.beats, time) + BAR_GAIN * transient(analysis.bars, time);
+  const treble = TATUM_GAIN * transient(analysis.tatums, time);
+
+  for (let bin = 0; bin < out.length; bin++) {
+    const freq = Math.max((bin * sampleRate) / fftSize, 20);
+    const semitone = 12 * Math.log2(freq / C0);
+    const rolloff = freq > 16000 ? 24 * Math.log2(freq / 16000) : 0;
+
+    // broadband level with spectral tilt
+    let power = 10 ** ((level + tilt * Math.log2(freq / 1000) - rolloff) / 10);
+
+    // pitch class peaks, stronger in the middle octaves
+    const octaveWeight = Math.exp(-((semitone / 12 - 4.5) ** 2) / 4);
+    for (let pc = 0; pc < 12; pc++) {
+      if (!pitches[pc])
+        continue;
+      // distance, in semitones, to the nearest note of this pitch class
+      const offset = (((semitone - pc) % 12) + 12) % 12;
+      const dist = Math.min(offset, 12 - offset);
+      const peak = level + PITCH_GAIN * pitches[pc] * octaveWeight;
+      power += 10 ** (peak / 10) * Math.exp(-(dist ** 2) / (2 * PITCH_WIDTH ** 2));
+    }
+
+    let db = 10 * Math.log10(power);
+
+    if (freq < BASS_LIMIT)
+      db += bass;
+    else if (freq > TREBLE_LIMIT)
+      db += treble;
+
+    out[bin] = db;
+  }
+
+  return true;
+}
+
+/**
+ * Keeps track of the playback position between Spotify player state updates
+ */
+export class PlaybackClock {
+  constructor(now = () => performance.now()) {
+    this._now = now;
+    this._position = 0;
+    this._playing = false;
+    this._updated = now();
+  }
+
+  /**
+   * @param {number} positionMs position reported by the player
+   * @param {boolean} isPlaying
+   */
+  sync(positionMs, isPlaying) {
+    this._position = positionMs / 1000;
+    this._playing = !!isPlaying;
+    this._updated = this._now();
+  }
+
+  // current position, in seconds
+  get position() {
+    return this._position + (this._playing ? (this._now() - this._updated) / 1000 : 0);
+  }
+}
+
+/**
+ * Data provider for the analyzer (see audiomotion/dataProviders.js), driven by a track's audio-analysis
+ */
+export class AnalysisSynth {
+  /**
+   * @param {object} analysis Spotify audio-analysis object
+   * @param {object|function} clock a PlaybackClock, or a function returning the position in seconds
+   */
+  constructor(analysis, clock) {
+    this.analysis = analysis;
+    this._getPosition = typeof clock === 'function' ? clock : () => clock.position;
+    this._dbData = new Float32Array(0);
+  }
+
+  /**
+   * Fill `array` with byte frequency data for the current playback position
+   * Both channels get the same data, since the analysis is mono.
+   *
+   * @param {number} channel
+   * @param {Uint8Array} array
+   * @param {object} params { sampleRate, fftSize, minDecibels, maxDecibels }
+   */
+  getByteFrequencyData(channel, array, { sampleRate, fftSize, minDecibels, maxDecibels }) {
+    // compute the spectrum only once per frame - channel 1 (stereo) reuses the data from channel 0
+    if (channel === 0 || this._dbData.length !== array.length) {
+      if (this._dbData.length !== array.length)
+        this._dbData = new Float32Array(array.length);
+      synthesizeSpectrum(this.analysis, this._getPosition(), this._dbData, sampleRate, fftSize);
+    }
+
+    // same scaling as AnalyserNode.getByteFrequencyData()
+    const scale = 255 / (maxDecibels - minDecibels);
+    for (let i = 0; i < array.length; i++)
+      array[i] = Math.max(0, Math.min(255, Math.floor(scale * (this._dbData[i] - minDecibels))));
+  }
+}
@@ -0,0 +1,82 @@
+import { AnalysisSynth, findInterval, PlaybackClock, synthesizeSpectrum } from './analysisSynth';
+import { AudioMotionAnalyzer } from '../components/AudiomotionAnalyzer';
+import { installFakeAudioContext } from '../testUtils/fakeAudioContext';
+
+installFakeAudioContext();
+
+const SAMPLE_RATE = 44100;
+const FFT_SIZE = 8192;
+const binOf = freq => Math.round((freq * FFT_SIZE) / SAMPLE_RATE);
+
+function segment(start, loudness, pitches = new Array(12).fill(0)) {
+  return { start, duration: 1, loudness_start: loudness, loudness_max: loudness, loudness_max_time: 0.1, pitches, timbre: [40, 0] };
+}
+
+function spectrum(analysis, time) {
+  const out = new Float32Array(FFT_SIZE / 2);
+  synthesizeSpectrum(analysis, time, out, SAMPLE_RATE, FFT_SIZE);
+  return out;
+}
+
+test('finds the interval containing a given time', () => {
+  const items = [{ start: 0 }, { start: 1 }, { start: 2.5 }];
+
+  expect(findInterval(items, -1)).toBe(-1);
+  expect(findInterval(items, 0)).toBe(0);
+  expect(findInterval(items, 2.4)).toBe(1);
+  expect(findInterval(items, 10)).toBe(2);
+});
+
+test('is silent outside of the analyzed segments', () => {
+  const out = spectrum({ segments: [segment(1, -10)] }, 0.5);
+  expect(out.every(v => v === -Infinity)).toBe(true);
+});
+
+test('follows the segment loudness', () => {
+  const analysis = { segments: [segment(0, -30), segment(1, -10)] };
+  expect(spectrum(analysis, 1.05)[binOf(1000)] - spectrum(analysis, 0.05)[binOf(1000)]).toBeCloseTo(20);
+});
+
+test('adds peaks for the active pitch classes', () => {
+  const pitches = new Array(12).fill(0);
+  pitches[9] = 1; // A
+  const out = spectrum({ segments: [segment(0, -10, pitches)] }, 0.5);
+  const flat = spectrum({ segments: [segment(0, -10)] }, 0.5);
+
+  expect(out[binOf(440)]).toBeGreaterThan(flat[binOf(440)] + 6); // A4
+  expect(out[binOf(466)]).toBeCloseTo(flat[binOf(466)], 0); // A#4
+});
+
+test('boosts the bass on beats', () => {
+  const segments = [segment(0, -10)];
+  const onBeat = spectrum({ segments, beats: [{ start: 0.5, duration: 0.5, confidence: 1 }] }, 0.5);
+  const offBeat = spectrum({ segments }, 0.5);
+
+  expect(onBeat[binOf(60)] - offBeat[binOf(60)]).toBeCloseTo(14);
+  expect(onBeat[binOf(1000)]).toBeCloseTo(offBeat[binOf(1000)]);
+});
+
+test('extrapolates the playback position while playing', () => {
+  let now = 0;
+  const clock = new PlaybackClock(() => now);
+
+  clock.sync(10000, true);
+  now = 500;
+  expect(clock.position).toBeCloseTo(10.5);
+
+  clock.sync(20000, false);
+  now = 2000;
+  expect(clock.position).toBe(20);
+});
+
+test('drives the analyzer in place of the audio input', () => {
+  const analyzer = new AudioMotionAnalyzer(document.createElement('div'), { start: false, stereo: true });
+  analyzer.dataProvider = new AnalysisSynth({ segments: [segment(0, -5)] }, () => 0.5);
+
+  analyzer._draw(performance.now());
+  analyzer.toggleAnalyzer(false);
+
+  expect(analyzer.getEnergy()).toBeGreaterThan(0);
+  expect(Array.from(analyzer._fftData[1])).toEqual(Array.from(analyzer._fftData[0]));
+  expect(() => (analyzer.dataProvider = {})).toThrow('getByteFrequencyData');
+});
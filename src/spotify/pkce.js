@@ -0,0 +1,45 @@
+// PKCE (RFC 7636) helpers for the Authorization Code flow
+
+const VERIFIER_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+
+// random bytes from here up are dropped, as 256 isn't a multiple of the 66 characters - taking them modulo 66
+// would make the first characters more likely
+const UNBIASED_LIMIT = 256 - (256 % VERIFIER_CHARS.length);
+
+/**
+ * Generate a random string from the unreserved URL characters
+ *
+ * @param {number} [length] 43 to 128 characters for a code verifier
+ * @param {object} [crypto] Web Crypto implementation
+ * @returns {string}
+ */
+export function randomString(length = 64, crypto = window.crypto) {
+  let result = '';
+  while (result.length < length) {
+    for (const v of crypto.getRandomValues(new Uint8Array(length - result.length))) {
+      if (v < UNBIASED_LIMIT) result += VERIFIER_CHARS[v % VERIFIER_CHARS.length];
+    }
+  }
+  return result;
+}
+
+/**
+ * Encode an ArrayBuffer as base64url, without padding
+ */
+export function base64UrlEncode(buffer) {
+  const binary = String.fromCharCode(...new Uint8Array(buffer));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Derive the S256 code challenge for a code verifier
+ *
+ * @param {string} verifier
+ * @param {object} [crypto] Web Crypto implementation
+ * @returns {Promise<string>}
+ */
+export async function createCodeChallenge(verifier, crypto = window.crypto) {
+  // verifiers only contain ASCII characters, so char codes are the UTF-8 bytes
+  const digest = await crypto.subtle.digest('SHA-256', Uint8Array.from(verifier, c => c.charCodeAt(0)));
+  return base64UrlEncode(digest);
+}
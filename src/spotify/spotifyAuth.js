@@ -0,0 +1,240 @@
+import { axiosTransport } from './spotifyClient';
+import { createCodeChallenge, randomString } from './pkce';
+
+export const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+export const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+export const DEFAULT_SCOPES = [
+  'user-read-private',
+  'user-read-email',
+  'user-read-playback-state',
+  'user-modify-playback-state',
+  'user-read-currently-playing',
+  'playlist-read-private',
+  'streaming',
+];
+
+// storage keys
+const TOKENS_KEY = 'spotifyTokens';
+const VERIFIER_KEY = 'spotifyCodeVerifier';
+const STATE_KEY = 'spotifyAuthState';
+
+/* Error thrown when the login flow can't be completed */
+
+export class SpotifyAuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SpotifyAuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Read the Spotify auth settings from the environment
+ */
+export function spotifyAuthConfig(env = process.env) {
+  return {
+    clientId: env.REACT_APP_SPOTIFY_CLIENT_ID,
+    redirectUri: env.REACT_APP_SPOTIFY_REDIRECT_URI || `${window.location.origin}/callback`,
+    authorizeUrl: env.REACT_APP_SPOTIFY_AUTHORIZE_URL || SPOTIFY_AUTHORIZE_URL,
+    tokenUrl: env.REACT_APP_SPOTIFY_TOKEN_URL || SPOTIFY_TOKEN_URL,
+  };
+}
+
+/**
+ * Create a Spotify login session using the Authorization Code flow with PKCE
+ *
+ * @param {object} options
+ * @param {string} options.clientId
+ * @param {string} options.redirectUri must match one registered for the app
+ * @param {string[]} [options.scopes]
+ * @param {string} [options.authorizeUrl] override to use a stand-in OAuth server
+ * @param {string} [options.tokenUrl] override to use a stand-in OAuth server
+ * @param {function} [options.transport] HTTP transport, see axiosTransport()
+ * @param {object} [options.storage] Storage where the tokens and the pending verifier are kept
+ * @param {function} [options.redirect] performs the browser redirect to the authorize URL
+ * @param {number} [options.refreshMargin] refresh tokens this many ms before they expire
+ * @param {function} [options.now] clock
+ * @param {object} [options.crypto] Web Crypto implementation
+ * @returns {object} session
+ */
+export function createSpotifyAuth({
+  clientId,
+  redirectUri,
+  scopes = DEFAULT_SCOPES,
+  authorizeUrl = SPOTIFY_AUTHORIZE_URL,
+  tokenUrl = SPOTIFY_TOKEN_URL,
+  transport = axiosTransport(),
+  storage = window.localStorage,
+  redirect = url => window.location.assign(url),
+  refreshMargin = 60000,
+  now = Date.now,
+  crypto = window.crypto,
+}) {
+  const listeners = new Set();
+  let pendingRefresh = null;
+
+  function readTokens() {
+    try {
+      return JSON.parse(storage.getItem(TOKENS_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function saveTokens(tokens) {
+    if (tokens)
+      storage.setItem(TOKENS_KEY, JSON.stringify(tokens));
+    else
+      storage.removeItem(TOKENS_KEY);
+    listeners.forEach(listener => listener(tokens));
+  }
+
+  async function requestTokens(params) {
+    const res = await transport({
+      method: 'POST',
+      url: tokenUrl,
+      data: new URLSearchParams({ client_id: clientId, ...params }).toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    });
+
+    if (res.status !== 200 || !res.data || !res.data.access_token) {
+      const reason = (res.data && (res.data.error_description || res.data.error)) || `status ${res.status}`;
+      // the grant itself was refused (revoked or expired refresh token, reused code), as opposed to a server error
+      const rejected = (res.data && res.data.error === 'invalid_grant') || res.status === 400 || res.status === 401;
+      throw new SpotifyAuthError(rejected ? 'ERR_INVALID_GRANT' : 'ERR_TOKEN_REQUEST', `Token request failed: ${reason}`);
+    }
+
+    const { access_token, refresh_token, expires_in, scope } = res.data;
+    const tokens = {
+      accessToken: access_token,
+      // Spotify may omit the refresh token when refreshing; keep the previous one in that case
+      refreshToken: refresh_token || (readTokens() || {}).refreshToken,
+      expiresAt: now() + expires_in * 1000,
+      scope,
+    };
+
+    saveTokens(tokens);
+    return tokens;
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   * Concurrent calls share the same request. The session ends only if Spotify rejects the refresh token;
+   * network and server errors leave it in place for the next attempt.
+   *
+   * @returns {Promise<string>} access token
+   */
+  function refreshAccessToken() {
+    if (!pendingRefresh) {
+      const tokens = readTokens();
+
+      pendingRefresh = (tokens && tokens.refreshToken
+        ? requestTokens({ grant_type: 'refresh_token', refresh_token: tokens.refreshToken })
+        : Promise.reject(new SpotifyAuthError('ERR_NOT_LOGGED_IN', 'Not logged in to Spotify'))
+      )
+        .then(({ accessToken }) => accessToken)
+        .catch(error => {
+          if (error.code === 'ERR_INVALID_GRANT')
+            saveTokens(null);
+          throw error;
+        })
+        .finally(() => (pendingRefresh = null));
+    }
+
+    return pendingRefresh;
+  }
+
+  /**
+   * Return a valid access token, refreshing it first if it's about to expire
+   *
+   * @returns {Promise<string>}
+   */
+  async function getAccessToken() {
+    const tokens = readTokens();
+
+    if (!tokens)
+      throw new SpotifyAuthError('ERR_NOT_LOGGED_IN', 'Not logged in to Spotify');
+
+    if (tokens.expiresAt - now() <= refreshMargin)
+      return refreshAccessToken();
+
+    return tokens.accessToken;
+  }
+
+  return {
+    /**
+     * Redirect the browser to the Spotify authorize page
+     */
+    async login() {
+      const verifier = randomString(64, crypto);
+      const state = randomString(16, crypto);
+      const challenge = await createCodeChallenge(verifier, crypto);
+
+      storage.setItem(VERIFIER_KEY, verifier);
+      storage.setItem(STATE_KEY, state);
+
+      const params = new URLSearchParams({
+        client_id: clientId,
+        response_type: 'code',
+        redirect_uri: redirectUri,
+        code_challenge_method: 'S256',
+        code_challenge: challenge,
+        scope: scopes.join(' '),
+        state,
+      });
+
+      redirect(`${authorizeUrl}?${params}`);
+    },
+
+    /**
+     * Complete the login when Spotify redirects back to the app
+     *
+     * @param {string} search query string of the callback URL
+     * @returns {Promise<object>} tokens
+     */
+    async handleCallback(search) {
+      const params = new URLSearchParams(search);
+      const verifier = storage.getItem(VERIFIER_KEY);
+      const state = storage.getItem(STATE_KEY);
+
+      storage.removeItem(VERIFIER_KEY);
+      storage.removeItem(STATE_KEY);
+
+      if (params.get('error'))
+        throw new SpotifyAuthError('ERR_ACCESS_DENIED', `Spotify login failed: ${params.get('error')}`);
+
+      if (!verifier || !state || params.get('state') !== state)
+        throw new SpotifyAuthError('ERR_STATE_MISMATCH', 'Login response does not match any pending request');
+
+      return requestTokens({
+        grant_type: 'authorization_code',
+        code: params.get('code'),
+        redirect_uri: redirectUri,
+        code_verifier: verifier,
+      });
+    },
+
+    refreshAccessToken,
+
+    getAccessToken,
+
+    getTokens: readTokens,
+
+    isLoggedIn: () => !!readTokens(),
+
+    logout() {
+      saveTokens(null);
+    },
+
+    /**
+     * Listen for token changes (login, refresh, logout)
+     *
+     * @returns {function} unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
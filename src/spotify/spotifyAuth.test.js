@@ -0,0 +1,165 @@
+import { createHash, webcrypto } from 'crypto';
+import { createCodeChallenge, randomString } from './pkce';
+import { createSpotifyAuth, SpotifyAuthError } from './spotifyAuth';
+
+// stand-in OAuth server: answers token requests and records their form parameters
+function fakeTokenServer({ expiresIn = 3600 } = {}) {
+  let issued = 0;
+  const transport = jest.fn(({ url, data }) => {
+    const params = Object.fromEntries(new URLSearchParams(data));
+    transport.requests.push({ url, params });
+
+    if (params.grant_type === 'refresh_token' && params.refresh_token === 'revoked')
+      return Promise.resolve({ status: 400, data: { error: 'invalid_grant', error_description: 'Refresh token revoked' } });
+    if (params.refresh_token === 'unavailable')
+      return Promise.resolve({ status: 503, data: '' });
+    if (params.refresh_token === 'offline')
+      return Promise.reject(new Error('Network Error'));
+
+    issued++;
+    return Promise.resolve({
+      status: 200,
+      data: { access_token: `access-${issued}`, refresh_token: `refresh-${issued}`, expires_in: expiresIn, scope: 'streaming' },
+    });
+  });
+  transport.requests = [];
+  return transport;
+}
+
+function setup(options = {}) {
+  let clock = 1000000;
+  const redirect = jest.fn();
+  const transport = fakeTokenServer();
+  const auth = createSpotifyAuth({
+    clientId: 'client-id',
+    redirectUri: 'http://localhost:3000/callback',
+    authorizeUrl: 'http://localhost:4001/authorize',
+    tokenUrl: 'http://localhost:4001/token',
+    transport,
+    redirect,
+    now: () => clock,
+    crypto: webcrypto,
+    ...options,
+  });
+
+  return { auth, redirect, transport, tick: ms => (clock += ms) };
+}
+
+async function login({ auth, redirect }) {
+  await auth.login();
+  const url = new URL(redirect.mock.calls[0][0]);
+  await auth.handleCallback(`?code=the-code&state=${url.searchParams.get('state')}`);
+  return url;
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('creates the S256 challenge from the verifier', async () => {
+  const verifier = 'dBjftJeZ4CVP-mJ92K1R-BgS4KDyVzEdwZBR-nl7Z8Q';
+  const expected = createHash('sha256').update(verifier).digest('base64url');
+
+  await expect(createCodeChallenge(verifier, webcrypto)).resolves.toBe(expected);
+});
+
+test('draws every verifier character with the same odds', () => {
+  const bytes = [198, 255, 0, 65, 197, 1];
+  const crypto = { getRandomValues: array => array.map(() => bytes.shift()) };
+
+  // 198 and up are dropped and drawn again
+  expect(randomString(4, crypto)).toBe('A~~B');
+  expect(bytes).toEqual([]);
+});
+
+test('redirects to the configured authorize URL', async () => {
+  const { auth, redirect } = setup();
+  await auth.login();
+
+  const url = new URL(redirect.mock.calls[0][0]);
+  expect(url.origin + url.pathname).toBe('http://localhost:4001/authorize');
+  expect(url.searchParams.get('client_id')).toBe('client-id');
+  expect(url.searchParams.get('response_type')).toBe('code');
+  expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+  expect(url.searchParams.get('redirect_uri')).toBe('http://localhost:3000/callback');
+  expect(url.searchParams.get('state')).toHaveLength(16);
+});
+
+test('exchanges the code with the stored verifier', async () => {
+  const session = setup();
+  const url = await login(session);
+
+  const [{ url: tokenUrl, params }] = session.transport.requests;
+  expect(tokenUrl).toBe('http://localhost:4001/token');
+  expect(params).toMatchObject({ grant_type: 'authorization_code', code: 'the-code', client_id: 'client-id' });
+  await expect(createCodeChallenge(params.code_verifier, webcrypto)).resolves.toBe(url.searchParams.get('code_challenge'));
+
+  expect(session.auth.isLoggedIn()).toBe(true);
+  await expect(session.auth.getAccessToken()).resolves.toBe('access-1');
+});
+
+test('rejects a callback with the wrong state', async () => {
+  const { auth } = setup();
+  await auth.login();
+
+  await expect(auth.handleCallback('?code=x&state=forged')).rejects.toMatchObject({ code: 'ERR_STATE_MISMATCH' });
+  expect(auth.isLoggedIn()).toBe(false);
+});
+
+test('reports a denied authorization', async () => {
+  const { auth } = setup();
+  await auth.login();
+
+  const error = await auth.handleCallback('?error=access_denied').catch(e => e);
+  expect(error).toBeInstanceOf(SpotifyAuthError);
+  expect(error.code).toBe('ERR_ACCESS_DENIED');
+});
+
+test('refreshes the token before it expires', async () => {
+  const session = setup();
+  await login(session);
+
+  session.tick(3600 * 1000 - 30000); // 30s before expiration
+  await expect(session.auth.getAccessToken()).resolves.toBe('access-2');
+  expect(session.transport.requests[1].params).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+});
+
+test('shares a single refresh between concurrent callers', async () => {
+  const session = setup();
+  await login(session);
+
+  const tokens = await Promise.all([session.auth.refreshAccessToken(), session.auth.refreshAccessToken()]);
+  expect(tokens).toEqual(['access-2', 'access-2']);
+  expect(session.transport).toHaveBeenCalledTimes(2);
+});
+
+test('logs out when the refresh token is rejected', async () => {
+  const session = setup();
+  await login(session);
+  localStorage.setItem('spotifyTokens', JSON.stringify({ ...session.auth.getTokens(), refreshToken: 'revoked' }));
+
+  await expect(session.auth.refreshAccessToken()).rejects.toThrow('Refresh token revoked');
+  expect(session.auth.isLoggedIn()).toBe(false);
+});
+
+test('keeps the session when the refresh fails for other reasons', async () => {
+  const session = setup();
+  await login(session);
+
+  for (const [refreshToken, message] of [['unavailable', 'status 503'], ['offline', 'Network Error']]) {
+    localStorage.setItem('spotifyTokens', JSON.stringify({ ...session.auth.getTokens(), refreshToken }));
+    await expect(session.auth.refreshAccessToken()).rejects.toThrow(message);
+    expect(session.auth.isLoggedIn()).toBe(true);
+  }
+});
+
+test('notifies subscribers on logout', async () => {
+  const session = setup();
+  await login(session);
+  const listener = jest.fn();
+  session.auth.subscribe(listener);
+
+  session.auth.logout();
+  expect(listener).toHaveBeenCalledWith(null);
+  await expect(session.auth.getAccessToken()).rejects.toMatchObject({ code: 'ERR_NOT_LOGGED_IN' });
+});
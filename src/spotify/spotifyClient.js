@@ -0,0 +1,152 @@
+import axios from 'axios';
+
+export const SPOTIFY_API_URL = 'https://api.spotify.com/v1';
+
+/* Error thrown for non-successful responses from the Web API */
+
+export class SpotifyApiError extends Error {
+  constructor(status, message, data) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Default HTTP transport, backed by axios
+ *
+ * A transport is any function taking `{ method, url, params, data, headers }` and resolving
+ * to `{ status, data, headers }`. It must not reject on HTTP error statuses.
+ *
+ * @param {object} [instance] axios instance to use (e.g. one wired to a mock adapter)
+ * @returns {function} transport function
+ */
+export function axiosTransport(instance = axios.create()) {
+  return config =>
+    instance
+      .request({ ...config, validateStatus: () => true })
+      .then(({ status, data, headers }) => ({ status, data, headers }));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a Spotify Web API client
+ *
+ * @param {object} options
+ * @param {function} options.getAccessToken returns the current access token (or a promise of it)
+ * @param {function} [options.refreshAccessToken] called once on a 401 response; resolves to a new token
+ * @param {function} [options.transport] HTTP transport, see axiosTransport()
+ * @param {string} [options.baseURL] API root, override to point the client to a local fake server
+ * @param {number} [options.maxRetries] how many times a rate limited (429) request is retried
+ * @param {function} [options.sleep] used to wait for the `Retry-After` interval
+ * @returns {object} client
+ */
+export function createSpotifyClient({
+  getAccessToken,
+  refreshAccessToken,
+  transport = axiosTransport(),
+  baseURL = SPOTIFY_API_URL,
+  maxRetries = 3,
+  sleep = wait,
+} = {}) {
+  async function send(method, path, { params, data }, token) {
+    return transport({
+      method,
+      url: baseURL + path,
+      params,
+      data,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  }
+
+  /**
+   * Perform an authenticated request, handling token refresh and rate limiting
+   *
+   * @returns {Promise} response body, or null for empty responses (204)
+   */
+  async function request(method, path, options = {}) {
+    let token = await getAccessToken();
+    let refreshed = false;
+    let retries = 0;
+
+    for (;;) {
+      const res = await send(method, path, options, token);
+
+      if (res.status === 401 && refreshAccessToken && !refreshed) {
+        token = await refreshAccessToken();
+        refreshed = true;
+        continue;
+      }
+
+      if (res.status === 429 && retries < maxRetries) {
+        const retryAfter = Number(res.headers && res.headers['retry-after']);
+        await sleep((retryAfter > 0 ? retryAfter : 1) * 1000);
+        retries++;
+        continue;
+      }
+
+      if (res.status >= 200 && res.status < 300)
+        return res.status === 204 || res.data === '' ? null : res.data;
+
+      const message = (res.data && res.data.error && res.data.error.message) || `Request failed with status ${res.status}`;
+      throw new SpotifyApiError(res.status, message, res.data);
+    }
+  }
+
+  const withDevice = deviceId => (deviceId ? { device_id: deviceId } : undefined);
+
+  return {
+    request,
+
+    // user
+
+    getCurrentUser: () => request('GET', '/me'),
+
+    // player
+
+    getCurrentlyPlaying: ({ market } = {}) =>
+      request('GET', '/me/player/currently-playing', { params: { market } }),
+
+    getPlaybackState: ({ market } = {}) => request('GET', '/me/player', { params: { market } }),
+
+    play: ({ deviceId, contextUri, uris, offset, positionMs } = {}) =>
+      request('PUT', '/me/player/play', {
+        params: withDevice(deviceId),
+        data: { context_uri: contextUri, uris, offset, position_ms: positionMs },
+      }),
+
+    pause: ({ deviceId } = {}) => request('PUT', '/me/player/pause', { params: withDevice(deviceId) }),
+
+    next: ({ deviceId } = {}) => request('POST', '/me/player/next', { params: withDevice(deviceId) }),
+
+    previous: ({ deviceId } = {}) => request('POST', '/me/player/previous', { params: withDevice(deviceId) }),
+
+    seek: (positionMs, { deviceId } = {}) =>
+      request('PUT', '/me/player/seek', { params: { position_ms: Math.round(positionMs), ...withDevice(deviceId) } }),
+
+    getDevices: () => request('GET', '/me/player/devices'),
+
+    // play on another device, e.g. the Web Playback SDK player; `play` false keeps the current paused/playing state
+    transferPlayback: (deviceId, { play = true } = {}) =>
+      request('PUT', '/me/player', { data: { device_ids: [deviceId], play } }),
+
+    // library
+
+    getMyPlaylists: ({ limit = 20, offset = 0 } = {}) =>
+      request('GET', '/me/playlists', { params: { limit, offset } }),
+
+    getPlaylistTracks: (playlistId, { limit = 100, offset = 0, market } = {}) =>
+      request('GET', `/playlists/${encodeURIComponent(playlistId)}/tracks`, { params: { limit, offset, market } }),
+
+    search: (query, types = ['track'], { limit = 20, offset = 0, market } = {}) =>
+      request('GET', '/search', { params: { q: query, type: types.join(','), limit, offset, market } }),
+
+    // track analysis
+
+    getAudioFeatures: trackId => request('GET', `/audio-features/${encodeURIComponent(trackId)}`),
+
+    getAudioAnalysis: trackId => request('GET', `/audio-analysis/${encodeURIComponent(trackId)}`),
+  };
+}
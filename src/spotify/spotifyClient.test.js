@@ -0,0 +1,107 @@
+import axios from 'axios';
+import { axiosTransport, createSpotifyClient, SpotifyApiError } from './spotifyClient';
+
+// fake transport answering from a queue of responses and recording requests
+function fakeTransport(...responses) {
+  const transport = jest.fn(config => {
+    transport.requests.push(config);
+    return Promise.resolve(responses.shift() || { status: 200, data: {} });
+  });
+  transport.requests = [];
+  return transport;
+}
+
+test('injects the access token and builds endpoint URLs', async () => {
+  const transport = fakeTransport({ status: 200, data: { id: 'listener' } });
+  const client = createSpotifyClient({ getAccessToken: () => 'abc', transport, baseURL: 'http://localhost:4000' });
+
+  await expect(client.getCurrentUser()).resolves.toEqual({ id: 'listener' });
+  expect(transport.requests[0]).toMatchObject({
+    method: 'GET',
+    url: 'http://localhost:4000/me',
+    headers: { Authorization: 'Bearer abc' },
+  });
+});
+
+test('maps player commands to request parameters', async () => {
+  const transport = fakeTransport({ status: 204 }, { status: 204 }, { status: 204 });
+  const client = createSpotifyClient({ getAccessToken: () => 'abc', transport });
+
+  await expect(client.play({ deviceId: 'dev1', uris: ['spotify:track:1'], positionMs: 500 })).resolves.toBeNull();
+  await client.seek(1234.6);
+  await client.search('daft punk', ['track', 'album'], { limit: 5 });
+
+  expect(transport.requests[0]).toMatchObject({
+    method: 'PUT',
+    params: { device_id: 'dev1' },
+    data: { uris: ['spotify:track:1'], position_ms: 500 },
+  });
+  expect(transport.requests[1].params).toEqual({ position_ms: 1235 });
+  expect(transport.requests[2].params).toMatchObject({ q: 'daft punk', type: 'track,album', limit: 5 });
+});
+
+test('lists devices and transfers playback', async () => {
+  const transport = fakeTransport({ status: 200, data: { devices: [{ id: 'dev1' }] } }, { status: 204 });
+  const client = createSpotifyClient({ getAccessToken: () => 'abc', transport });
+
+  await expect(client.getDevices()).resolves.toEqual({ devices: [{ id: 'dev1' }] });
+  await client.transferPlayback('dev2', { play: false });
+
+  expect(transport.requests[0]).toMatchObject({ method: 'GET', url: 'https://api.spotify.com/v1/me/player/devices' });
+  expect(transport.requests[1]).toMatchObject({ method: 'PUT', data: { device_ids: ['dev2'], play: false } });
+  expect(transport.requests[1].url).toBe('https://api.spotify.com/v1/me/player');
+});
+
+test('refreshes the token once on 401 and retries', async () => {
+  const transport = fakeTransport({ status: 401, data: {} }, { status: 200, data: { is_playing: true } });
+  const refreshAccessToken = jest.fn(() => Promise.resolve('fresh'));
+  const client = createSpotifyClient({ getAccessToken: () => 'stale', refreshAccessToken, transport });
+
+  await expect(client.getPlaybackState()).resolves.toEqual({ is_playing: true });
+  expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+  expect(transport.requests[1].headers.Authorization).toBe('Bearer fresh');
+});
+
+test('throws when the refreshed token is also rejected', async () => {
+  const transport = fakeTransport(
+    { status: 401, data: {} },
+    { status: 401, data: { error: { status: 401, message: 'Invalid access token' } } }
+  );
+  const client = createSpotifyClient({ getAccessToken: () => 'x', refreshAccessToken: () => 'y', transport });
+
+  const error = await client.getCurrentUser().catch(e => e);
+  expect(error).toBeInstanceOf(SpotifyApiError);
+  expect(error.status).toBe(401);
+  expect(error.message).toBe('Invalid access token');
+});
+
+test('waits for Retry-After on 429 responses', async () => {
+  const transport = fakeTransport(
+    { status: 429, headers: { 'retry-after': '2' } },
+    { status: 200, data: { items: [] } }
+  );
+  const sleep = jest.fn(() => Promise.resolve());
+  const client = createSpotifyClient({ getAccessToken: () => 'abc', transport, sleep });
+
+  await expect(client.getMyPlaylists()).resolves.toEqual({ items: [] });
+  expect(sleep).toHaveBeenCalledWith(2000);
+});
+
+test('gives up after maxRetries rate limited responses', async () => {
+  const limited = { status: 429, headers: { 'retry-after': '1' } };
+  const transport = fakeTransport(limited, limited, limited);
+  const client = createSpotifyClient({ getAccessToken: () => 'abc', transport, maxRetries: 2, sleep: () => Promise.resolve() });
+
+  await expect(client.getAudioAnalysis('track1')).rejects.toMatchObject({ status: 429 });
+  expect(transport).toHaveBeenCalledTimes(3);
+});
+
+test('axiosTransport works with a custom axios adapter', async () => {
+  const adapter = jest.fn(config =>
+    Promise.resolve({ status: 404, statusText: 'Not Found', headers: {}, config, data: { error: { message: 'nope' } } })
+  );
+  const client = createSpotifyClient({ getAccessToken: () => 'abc', transport: axiosTransport(axios.create({ adapter })) });
+
+  await expect(client.getAudioFeatures('missing')).rejects.toMatchObject({ status: 404, message: 'nope' });
+  expect(adapter.mock.calls[0][0].url).toBe('https://api.spotify.com/v1/audio-features/missing');
+});
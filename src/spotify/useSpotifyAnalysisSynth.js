@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { AnalysisSynth, PlaybackClock } from './analysisSynth';
+
+/**
+ * Follow the user's Spotify playback and build an AnalysisSynth for the current track
+ *
+ * The playback position is polled from the Web API and extrapolated in between by the returned clock,
+ * which can also be synced from other sources (e.g. Web Playback SDK state changes).
+ *
+ * @param {object} client Spotify Web API client
+ * @param {object} [options]
+ * @param {boolean} [options.enabled] set to false to stop polling (e.g. logged out)
+ * @param {number} [options.pollInterval] ms between playback state requests
+ * @returns {object} { synth, clock, track } - synth and track are null when nothing is playing
+ */
+export function useSpotifyAnalysisSynth(client, { enabled = true, pollInterval = 5000 } = {}) {
+  const [clock] = useState(() => new PlaybackClock());
+  const [state, setState] = useState({ synth: null, track: null });
+
+  useEffect(() => {
+    if (!enabled) {
+      setState({ synth: null, track: null });
+      return;
+    }
+
+    let cancelled = false;
+    let trackId = null;
+    let timer;
+
+    const poll = async () => {
+      try {
+        const playing = await client.getCurrentlyPlaying();
+        const track = playing && playing.item && playing.item.type === 'track' ? playing.item : null;
+
+        if (cancelled)
+          return;
+
+        if (!track) {
+          trackId = null;
+          setState({ synth: null, track: null });
+        } else {
+          clock.sync(playing.progress_ms, playing.is_playing);
+          if (track.id !== trackId) {
+            trackId = track.id;
+            const analysis = await client.getAudioAnalysis(track.id);
+            if (!cancelled && trackId === track.id)
+              setState({ synth: new AnalysisSynth(analysis, clock), track });
+          }
+        }
+      } catch (e) {
+        // keep the current state and try again on the next poll
+        trackId = null;
+      }
+
+      if (!cancelled)
+        timer = setTimeout(poll, pollInterval);
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [client, enabled, pollInterval, clock]);
+
+  return { ...state, clock };
+}
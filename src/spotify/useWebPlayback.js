@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { loadSpotifySdk, nowPlaying, PLAYER_ERRORS } from './webPlaybackSdk';
+
+/**
+ * Register the page as a Spotify Connect device through the Web Playback SDK
+ *
+ * Playback state changes are reported to `clock`, so an AnalysisSynth following it stays in step with
+ * the audio without waiting for the next Web API poll.
+ *
+ * @param {object} options
+ * @param {function} options.getAccessToken returns the current access token (or a promise of it)
+ * @param {object} [options.clock] PlaybackClock to sync from `player_state_changed`
+ * @param {function} [options.loadSdk] resolves to the `Spotify` namespace; defaults to loading the real SDK
+ * @param {string} [options.name] device name shown in Spotify apps
+ * @param {boolean} [options.enabled] set to false to disconnect (e.g. logged out)
+ * @returns {object} { player, deviceId, track, error } - deviceId is null until the device is ready, track
+ *          is null while something else is playing (see nowPlaying())
+ */
+export function useWebPlayback({
+  getAccessToken,
+  clock,
+  loadSdk = loadSpotifySdk,
+  name = 'audioMotion visualizer',
+  enabled = true,
+}) {
+  const [player, setPlayer] = useState(null);
+  const [deviceId, setDeviceId] = useState(null);
+  const [track, setTrack] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPlayer(null);
+    setDeviceId(null);
+    setTrack(null);
+    if (!enabled)
+      return;
+
+    let cancelled = false;
+    let sdkPlayer;
+
+    loadSdk().then(
+      Spotify => {
+        if (cancelled)
+          return;
+
+        sdkPlayer = new Spotify.Player({
+          name,
+          getOAuthToken: callback => Promise.resolve(getAccessToken()).then(callback, err => setError(err.message)),
+        });
+
+        sdkPlayer.addListener('ready', ({ device_id }) => {
+          setDeviceId(device_id);
+          setError(null);
+        });
+        sdkPlayer.addListener('not_ready', () => setDeviceId(null));
+        sdkPlayer.addListener('player_state_changed', state => {
+          // null once playback moves to another device
+          if (state && clock)
+            clock.sync(state.position, !state.paused);
+          setTrack(nowPlaying(state));
+        });
+        for (const type of PLAYER_ERRORS)
+          sdkPlayer.addListener(type, ({ message }) => setError(message));
+
+        sdkPlayer.connect();
+        setPlayer(sdkPlayer);
+      },
+      err => {
+        if (!cancelled)
+          setError(err.message);
+      }
+    );
+
+    return () => {
+      cancelled = true;
+      if (sdkPlayer)
+        sdkPlayer.disconnect();
+    };
+  }, [enabled, getAccessToken, clock, loadSdk, name]);
+
+  return { player, deviceId, track, error };
+}
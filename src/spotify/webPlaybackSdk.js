@@ -0,0 +1,79 @@
+export const SPOTIFY_SDK_URL = 'https://sdk.scdn.co/spotify-player.js';
+
+// player events reporting that it can't be used
+export const PLAYER_ERRORS = ['initialization_error', 'authentication_error', 'account_error', 'playback_error'];
+
+/* Error thrown when the Web Playback SDK can't be loaded */
+
+export class SpotifySdkError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SpotifySdkError';
+    this.code = code;
+  }
+}
+
+const pending = new WeakMap();
+
+/**
+ * Load the Spotify Web Playback SDK, once per window
+ *
+ * The SDK announces itself by calling `window.onSpotifyWebPlaybackSDKReady` and exposes `window.Spotify`.
+ *
+ * @param {object} [win] window to load the script into
+ * @param {string} [url] script URL
+ * @returns {Promise<object>} the `Spotify` namespace
+ */
+export function loadSpotifySdk(win = window, url = SPOTIFY_SDK_URL) {
+  if (win.Spotify)
+    return Promise.resolve(win.Spotify);
+
+  if (!pending.has(win)) {
+    pending.set(
+      win,
+      new Promise((resolve, reject) => {
+        win.onSpotifyWebPlaybackSDKReady = () => resolve(win.Spotify);
+
+        const script = win.document.createElement('script');
+        script.src = url;
+        script.async = true;
+        script.onerror = () => {
+          pending.delete(win);
+          script.remove();
+          reject(new SpotifySdkError('ERR_SDK_LOAD_FAILED', 'Could not load the Spotify player'));
+        };
+        win.document.body.appendChild(script);
+      })
+    );
+  }
+
+  return pending.get(win);
+}
+
+/**
+ * Current track of a Web Playback SDK state (from `player_state_changed` or getCurrentState())
+ *
+ * @param {object} state
+ * @returns {object} { id, uri, name, artists, album, image, positionMs, durationMs, paused }, or null if nothing is loaded
+ */
+export function nowPlaying(state) {
+  const track = state && state.track_window && state.track_window.current_track;
+  if (!track)
+    return null;
+
+  const images = (track.album && track.album.images) || [];
+  // the SDK lists the largest image first; the smallest one that's big enough is kinder to the network
+  const image = images.slice().reverse().find(img => !img.width || img.width >= 64) || images[0];
+
+  return {
+    id: track.id,
+    uri: track.uri,
+    name: track.name,
+    artists: track.artists.map(artist => artist.name).join(', '),
+    album: track.album ? track.album.name : '',
+    image: image ? image.url : null,
+    positionMs: state.position,
+    durationMs: state.duration,
+    paused: state.paused,
+  };
+}
@@ -0,0 +1,50 @@
+import { loadSpotifySdk, nowPlaying } from './webPlaybackSdk';
+import { playerState } from '../testUtils/fakeSpotifySdk';
+
+const scripts = () => Array.from(document.querySelectorAll('script'));
+
+afterEach(() => {
+  scripts().forEach(script => script.remove());
+});
+
+test('loads the SDK script once', async () => {
+  const win = { document };
+  const first = loadSpotifySdk(win, 'http://localhost/sdk.js');
+  const second = loadSpotifySdk(win, 'http://localhost/sdk.js');
+
+  expect(scripts().map(script => script.src)).toEqual(['http://localhost/sdk.js']);
+
+  win.Spotify = { Player: class {} };
+  win.onSpotifyWebPlaybackSDKReady();
+  await expect(first).resolves.toBe(win.Spotify);
+  await expect(second).resolves.toBe(win.Spotify);
+  await expect(loadSpotifySdk(win)).resolves.toBe(win.Spotify);
+});
+
+test('fails when the script does not load, and can be retried', async () => {
+  const win = { document };
+  const loading = loadSpotifySdk(win);
+
+  scripts()[0].onerror();
+  await expect(loading).rejects.toEqual(expect.objectContaining({ code: 'ERR_SDK_LOAD_FAILED' }));
+  expect(scripts()).toEqual([]);
+
+  loadSpotifySdk(win);
+  expect(scripts()).toHaveLength(1);
+});
+
+test('reads the current track from the player state', () => {
+  expect(nowPlaying(playerState({ position: 1000, paused: true }))).toEqual({
+    id: 'track1',
+    uri: 'spotify:track:track1',
+    name: 'Song',
+    artists: 'Artist, Guest',
+    album: 'Album',
+    image: 'https://i.scdn.co/small',
+    positionMs: 1000,
+    durationMs: 200000,
+    paused: true,
+  });
+  expect(nowPlaying(null)).toBeNull();
+  expect(nowPlaying({ track_window: { current_track: null } })).toBeNull();
+});
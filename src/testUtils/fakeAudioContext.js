@@ -0,0 +1,145 @@
+// Minimal Web Audio stand-in for jsdom, which doesn't implement AudioContext.
+// Nodes record their connections so tests can assert on the audio graph.
+
+class FakeAudioNode {
+  constructor(context) {
+    this.context = context;
+    this.connections = [];
+  }
+
+  connect(node) {
+    this.connections.push(node);
+    return node;
+  }
+
+  disconnect(node) {
+    this.connections = node ? this.connections.filter(n => n !== node) : [];
+  }
+}
+
+class FakeAnalyserNode extends FakeAudioNode {
+  constructor(context) {
+    super(context);
+    this.fftSize = 2048;
+    this.minDecibels = -100;
+    this.maxDecibels = -30;
+    this.smoothingTimeConstant = 0.8;
+    // tests may assign `byteData`, `floatData` or `timeData` to feed known values
+    this.byteData = null;
+    this.floatData = null;
+    this.timeData = null;
+  }
+
+  get frequencyBinCount() {
+    return this.fftSize / 2;
+  }
+
+  getByteFrequencyData(array) {
+    array.fill(0);
+    if (this.byteData)
+      array.set(this.byteData.slice(0, array.length));
+  }
+
+  getFloatFrequencyData(array) {
+    array.fill(-Infinity);
+    if (this.floatData)
+      array.set(this.floatData.slice(0, array.length));
+  }
+
+  getFloatTimeDomainData(array) {
+    array.fill(0);
+    if (this.timeData)
+      array.set(this.timeData.slice(0, array.length));
+  }
+}
+
+// AudioWorkletNode stand-in - tests can post messages from the "processor" with `node.port.onmessage({ data })`
+export class FakeAudioWorkletNode extends FakeAudioNode {
+  constructor(context, name, options) {
+    super(context);
+    this.name = name;
+    this.options = options;
+    this.port = { onmessage: null, postMessage: jest.fn(), close: jest.fn() };
+  }
+}
+
+export class FakeAudioContext {
+  constructor({ sampleRate = 44100 } = {}) {
+    this.sampleRate = sampleRate;
+    this.state = 'running';
+    this.currentTime = 0;
+    this.destination = new FakeAudioNode(this);
+    this.audioWorklet = { addModule: jest.fn(() => Promise.resolve()) };
+  }
+
+  createAnalyser() {
+    return new FakeAnalyserNode(this);
+  }
+
+  createChannelSplitter() {
+    return new FakeAudioNode(this);
+  }
+
+  createChannelMerger() {
+    return new FakeAudioNode(this);
+  }
+
+  createGain() {
+    const node = new FakeAudioNode(this);
+    // scheduled changes take effect immediately
+    node.gain = {
+      value: 1,
+      setValueAtTime: jest.fn(value => (node.gain.value = value)),
+      linearRampToValueAtTime: jest.fn(value => (node.gain.value = value)),
+      cancelScheduledValues: jest.fn(),
+    };
+    return node;
+  }
+
+  createMediaStreamDestination() {
+    const node = new FakeAudioNode(this);
+    node.stream = { getAudioTracks: () => [{ kind: 'audio', stop: jest.fn() }] };
+    return node;
+  }
+
+  createMediaStreamSource(mediaStream) {
+    const node = new FakeAudioNode(this);
+    node.mediaStream = mediaStream;
+    return node;
+  }
+
+  createMediaElementSource(mediaElement) {
+    const node = new FakeAudioNode(this);
+    node.mediaElement = mediaElement;
+    return node;
+  }
+
+  resume() {
+    this.state = 'running';
+    return Promise.resolve();
+  }
+
+  close() {
+    this.state = 'closed';
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Install FakeAudioContext as window.AudioContext (and FakeAudioWorkletNode as window.AudioWorkletNode)
+ * for the current test file
+ */
+export function installFakeAudioContext() {
+  const original = window.AudioContext;
+  const originalWorkletNode = window.AudioWorkletNode;
+
+  beforeEach(() => {
+    window.AudioContext = FakeAudioContext;
+    window.AudioWorkletNode = FakeAudioWorkletNode;
+  });
+
+  afterEach(() => {
+    window.AudioContext = original;
+    window.AudioWorkletNode = originalWorkletNode;
+  });
+}
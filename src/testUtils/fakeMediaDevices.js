@@ -0,0 +1,30 @@
+import { FakeMediaStream } from './fakeMediaRecorder';
+
+// navigator.mediaDevices stand-in - streams have one audio track (plus a video track for display capture),
+// and every stream handed out is kept in `streams` so tests can check they were stopped.
+
+function track(kind, label) {
+  return { kind, label, stop: jest.fn(), onended: null };
+}
+
+export class FakeMediaDevices {
+  constructor({ devices = [], shareAudio = true } = {}) {
+    this.devices = devices;
+    this.shareAudio = shareAudio;
+    this.streams = [];
+    this.getUserMedia = jest.fn(() => this._stream([track('audio', 'Built-in microphone')]));
+    this.getDisplayMedia = jest.fn(() =>
+      this._stream([track('video', 'Screen'), ...(this.shareAudio ? [track('audio', 'Tab audio')] : [])])
+    );
+  }
+
+  enumerateDevices() {
+    return Promise.resolve(this.devices);
+  }
+
+  _stream(tracks) {
+    const stream = new FakeMediaStream(tracks);
+    this.streams.push(stream);
+    return Promise.resolve(stream);
+  }
+}
@@ -0,0 +1,36 @@
+// HTMLMediaElement stand-in for jsdom, which doesn't play media. Tests move playback along with `advance()`,
+// which fires timeupdate (and ended, past the duration).
+
+export class FakeMediaElement extends EventTarget {
+  constructor({ duration = 100 } = {}) {
+    super();
+    this.src = '';
+    this.preload = '';
+    this.paused = true;
+    this.currentTime = 0;
+    this.duration = duration;
+    this.play = jest.fn(() => {
+      this.paused = false;
+      this.dispatchEvent(new Event('play'));
+      return Promise.resolve();
+    });
+    this.pause = jest.fn(() => {
+      if (this.paused) return;
+      this.paused = true;
+      this.dispatchEvent(new Event('pause'));
+    });
+  }
+
+  removeAttribute(name) {
+    if (name === 'src') this.src = '';
+  }
+
+  advance(seconds) {
+    this.currentTime = Math.min(this.currentTime + seconds, this.duration);
+    this.dispatchEvent(new Event('timeupdate'));
+    if (this.currentTime >= this.duration) {
+      this.paused = true;
+      this.dispatchEvent(new Event('ended'));
+    }
+  }
+}
@@ -0,0 +1,72 @@
+// MediaRecorder / MediaStream stand-ins for jsdom, plus HTMLCanvasElement.captureStream().
+// Recorders are kept in `FakeMediaRecorder.instances` so tests can inspect the last one.
+
+export class FakeMediaStream {
+  constructor(tracks = []) {
+    this.tracks = tracks;
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter(track => track.kind === 'audio');
+  }
+}
+
+export class FakeMediaRecorder {
+  static instances = [];
+
+  static isTypeSupported(type) {
+    return type === 'video/webm;codecs=vp8,opus' || type === 'video/webm';
+  }
+
+  constructor(stream, options = {}) {
+    this.stream = stream;
+    this.options = options;
+    this.mimeType = options.mimeType || '';
+    this.state = 'inactive';
+    FakeMediaRecorder.instances.push(this);
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new Blob(['frames'], { type: this.mimeType }) });
+    this.onstop();
+  }
+}
+
+/**
+ * Install the fakes for the current test file
+ */
+export function installFakeMediaRecorder() {
+  const originals = {
+    MediaRecorder: window.MediaRecorder,
+    MediaStream: window.MediaStream,
+    captureStream: HTMLCanvasElement.prototype.captureStream
+  };
+
+  beforeEach(() => {
+    FakeMediaRecorder.instances = [];
+    window.MediaRecorder = FakeMediaRecorder;
+    window.MediaStream = FakeMediaStream;
+    HTMLCanvasElement.prototype.captureStream = function (frameRate) {
+      return new FakeMediaStream([{ kind: 'video', frameRate, stop: jest.fn() }]);
+    };
+  });
+
+  afterEach(() => {
+    window.MediaRecorder = originals.MediaRecorder;
+    window.MediaStream = originals.MediaStream;
+    HTMLCanvasElement.prototype.captureStream = originals.captureStream;
+  });
+}
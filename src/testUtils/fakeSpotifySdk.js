@@ -0,0 +1,67 @@
+// Stand-in for the Spotify Web Playback SDK namespace. Created players are kept in `players`; tests fire
+// player events with `emit()`.
+
+export class FakeSpotifyPlayer {
+  constructor(options) {
+    this.options = options;
+    this.listeners = {};
+    this.connect = jest.fn(() => Promise.resolve(true));
+    this.disconnect = jest.fn();
+    this.togglePlay = jest.fn(() => Promise.resolve());
+    this.nextTrack = jest.fn(() => Promise.resolve());
+    this.previousTrack = jest.fn(() => Promise.resolve());
+    this.seek = jest.fn(() => Promise.resolve());
+  }
+
+  addListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+    return true;
+  }
+
+  emit(type, payload) {
+    for (const listener of this.listeners[type] || []) listener(payload);
+  }
+
+  // the access token the SDK would get
+  getOAuthToken() {
+    return new Promise(resolve => this.options.getOAuthToken(resolve));
+  }
+}
+
+export function createFakeSpotifySdk() {
+  const players = [];
+  const Spotify = {
+    Player: class extends FakeSpotifyPlayer {
+      constructor(options) {
+        super(options);
+        players.push(this);
+      }
+    },
+  };
+  return { Spotify, players, load: jest.fn(() => Promise.resolve(Spotify)) };
+}
+
+// player_state_changed payload for a track
+export function playerState({ position = 0, duration = 200000, paused = false, id = 'track1', name = 'Song' } = {}) {
+  return {
+    position,
+    duration,
+    paused,
+    track_window: {
+      current_track: {
+        id,
+        uri: `spotify:track:${id}`,
+        name,
+        artists: [{ name: 'Artist' }, { name: 'Guest' }],
+        album: {
+          name: 'Album',
+          images: [
+            { url: 'https://i.scdn.co/large', width: 640 },
+            { url: 'https://i.scdn.co/medium', width: 300 },
+            { url: 'https://i.scdn.co/small', width: 64 },
+          ],
+        },
+      },
+    },
+  };
+}
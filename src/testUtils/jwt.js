@@ -0,0 +1,10 @@
+// Build an unsigned JWT carrying `payload`; the client only ever decodes tokens
+export function fakeJwt(payload) {
+  const encode = obj => btoa(JSON.stringify(obj)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+// token for a user, valid for the next hour
+export function validJwt(user = { id: 'u1', name: 'Ada', email: 'ada@example.com' }) {
+  return fakeJwt({ ...user, exp: Math.floor(Date.now() / 1000) + 3600 });
+}